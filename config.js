@@ -3,8 +3,41 @@
  * 
  * Simple config for video player with optional recording.
  * Place your video file in media/
+ *
+ * instrumentalSrc (optional): instrumental backing track for the whole song, played
+ *   in sync with the video when the "Instrumental" source is selected.
+ *
+ * segments (optional): numbered song sections shown on the timeline.
+ *   label         — name shown in the segment block
+ *   start         — start time in seconds (defaults to the previous segment's end)
+ *   end/duration  — where the segment stops (defaults to the next segment / video end)
+ *   instrumental  — optional URL of an instrumental track for this segment
+ *                   (segment instrumentals take precedence over instrumentalSrc)
+ *   recordable    — allow recording here (defaults to true; set false to block it)
+ * Leave empty to record anywhere on the video.
+ *
+ *   segments: [
+ *     { label: 'Intro', duration: 12, recordable: false },
+ *     { label: 'Verse 1', duration: 30, instrumental: 'media/verse1-inst.mp3' },
+ *     { label: 'Chorus', duration: 25 },
+ *   ],
+ *
+ * melody (optional): reference notes shown in the pitch panel to sing against.
+ *   Either a list of notes — note as a name ('A4', 'C#5', 'Bb3') or MIDI number,
+ *   start and duration (or end) in video seconds — or the URL of a .mid or .json file.
+ * melodyOffset (optional): seconds to move the melody by (e.g. where bar 1 of a MIDI file falls).
+ *
+ *   melody: [
+ *     { note: 'E4', start: 12.0, duration: 0.5 },
+ *     { note: 'G4', start: 12.5, duration: 1 },
+ *   ],
+ *   melody: 'media/melody.mid',
  */
 
 const CONFIG = {
   videoSrc: 'media/ValentinesVideo2026.mov',
+  instrumentalSrc: '',
+  segments: [],
+  melody: [],
+  melodyOffset: 0,
 };
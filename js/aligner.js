@@ -0,0 +1,188 @@
+/**
+ * Thiptine's Day — Aligner Module
+ * Finds where a clip lines up best with a reference — the original video audio or the
+ * recordings on the lead track — within a search window around where it is now.
+ * Both are rendered band-limited to the voice and reduced to onset envelopes (how sharply the
+ * level rises), which are compared by normalised cross-correlation: different singers and
+ * backing music still share the moments where notes and syllables start.
+ */
+
+const Aligner = (() => {
+    const STORAGE_KEY = 'thiptines_align';
+    const RATE = 8000;            // Hz — signals are rendered at this rate for analysis
+    const FRAME = 0.005;          // seconds per envelope frame
+    const RUNNER_UP_GAP = 0.05;   // seconds — the second-best match must be at least this far away
+    const WINDOWS = [0.1, 0.25, 0.5, 1, 2, 5];   // search windows offered (± seconds)
+
+    let settings = { reference: 'original', window: 0.5 };
+
+    function init() {
+        try {
+            settings = { ...settings, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (e) { /* ignore malformed saved settings */ }
+    }
+
+    /**
+     * { reference: 'original' | 'lead', window: seconds either side }.
+     */
+    function getSettings() {
+        return { ...settings };
+    }
+
+    function setSettings(changes) {
+        if (changes.reference === 'original' || changes.reference === 'lead') settings.reference = changes.reference;
+        if (WINDOWS.includes(changes.window)) settings.window = changes.window;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    function getWindows() {
+        return WINDOWS.slice();
+    }
+
+    // ══════════════════════════════════════════
+    // Alignment
+    // ══════════════════════════════════════════
+
+    /**
+     * Look for the best position for `clip` within ±`window` seconds of its startTime.
+     * `reference` is { audioBuffer } (audio starting at video time 0) or { clips } (recordings,
+     * placed as they are on the timeline). Resolves to { startTime, offset, score, confidence }:
+     * score is the correlation at the match (0-1), confidence how clearly it beats the runner-up (0-1).
+     */
+    async function align(clip, reference, window) {
+        const from = Math.max(0, clip.startTime - window);
+        const to = clip.startTime + clip.duration + window;
+
+        const clipEnv = _envelope(await _render(clip.duration, (ctx, dest) => {
+            AudioEngine.scheduleClip(ctx, { ...clip, fx: null }, dest, 0).gainNode.gain.value = 1;
+        }));
+        const refEnv = _envelope(await _render(to - from, (ctx, dest) => {
+            if (reference.audioBuffer) {
+                const source = ctx.createBufferSource();
+                source.buffer = reference.audioBuffer;
+                source.connect(dest);
+                source.start(0, from, to - from);
+                return;
+            }
+            reference.clips
+                .filter(c => c.startTime < to && c.startTime + c.duration > from)
+                .forEach(c => {
+                    const when = Math.max(0, c.startTime - from);
+                    const skip = Math.max(0, from - c.startTime);
+                    AudioEngine.scheduleClip(ctx, { ...c, fx: null }, dest, when, skip).gainNode.gain.value = 1;
+                });
+        }));
+
+        // Lags in frames, relative to the clip's current position
+        const base = Math.round((clip.startTime - from) / FRAME);
+        const maxLag = Math.round(window / FRAME);
+        const minLag = -Math.min(maxLag, base);
+        const scores = _correlate(clipEnv, refEnv, base, minLag, maxLag);
+        if (!scores) throw new Error('There is no sound to line up in this clip or around it.');
+
+        let best = 0;
+        scores.forEach((s, i) => { if (s > scores[best]) best = i; });
+        const gap = Math.round(RUNNER_UP_GAP / FRAME);
+        let runnerUp = 0;
+        scores.forEach((s, i) => { if (Math.abs(i - best) > gap) runnerUp = Math.max(runnerUp, s); });
+
+        // Parabolic interpolation between frames
+        let shift = 0;
+        if (best > 0 && best < scores.length - 1) {
+            const a = scores[best - 1];
+            const b = scores[best];
+            const c = scores[best + 1];
+            const denom = a - 2 * b + c;
+            if (denom !== 0) shift = Math.max(-0.5, Math.min(0.5 * (a - c) / denom, 0.5));
+        }
+
+        const score = scores[best];
+        const offset = (minLag + best + shift) * FRAME;
+        return {
+            startTime: Math.max(0, clip.startTime + offset),
+            offset,
+            score: Math.max(0, Math.min(score, 1)),
+            confidence: score > 0 ? Math.max(0, Math.min((score - runnerUp) / (1 - runnerUp), 1)) : 0,
+        };
+    }
+
+    /**
+     * Render `duration` seconds in mono at RATE, through a band-pass for the voice.
+     */
+    async function _render(duration, schedule) {
+        const ctx = new OfflineAudioContext(1, Math.max(1, Math.ceil(duration * RATE)), RATE);
+        const highpass = ctx.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 200;
+        const lowpass = ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 3000;
+        highpass.connect(lowpass);
+        lowpass.connect(ctx.destination);
+
+        schedule(ctx, highpass);
+        const rendered = await ctx.startRendering();
+        return rendered.getChannelData(0);
+    }
+
+    /**
+     * Onset envelope: rises in log level per frame, lightly smoothed.
+     */
+    function _envelope(samples) {
+        const size = Math.round(RATE * FRAME);
+        const count = Math.floor(samples.length / size);
+        const level = new Float32Array(count);
+        for (let k = 0; k < count; k++) {
+            let sum = 0;
+            for (let i = k * size; i < (k + 1) * size; i++) sum += samples[i] * samples[i];
+            level[k] = Math.log(1 + 100 * Math.sqrt(sum / size));
+        }
+
+        const onset = new Float32Array(count);
+        for (let k = 1; k < count; k++) onset[k] = Math.max(0, level[k] - level[k - 1]);
+
+        // Triangular smoothing, so onsets a frame or two apart still overlap
+        const kernel = [1, 2, 3, 2, 1];
+        const half = 2;
+        const out = new Float32Array(count);
+        for (let k = 0; k < count; k++) {
+            let sum = 0;
+            for (let j = -half; j <= half; j++) {
+                const i = k + j;
+                if (i >= 0 && i < count) sum += onset[i] * kernel[j + half];
+            }
+            out[k] = sum / 9;
+        }
+        return out;
+    }
+
+    /**
+     * Normalised cross-correlation of `clip` against `ref` for each lag in [minLag, maxLag],
+     * where lag 0 puts clip frame 0 at ref frame `base`. Null when either side is silent.
+     */
+    function _correlate(clip, ref, base, minLag, maxLag) {
+        const refSquares = new Float64Array(ref.length + 1);
+        for (let i = 0; i < ref.length; i++) refSquares[i + 1] = refSquares[i] + ref[i] * ref[i];
+
+        const scores = [];
+        let any = false;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const at = base + lag;
+            const first = Math.max(0, -at);
+            const last = Math.min(clip.length, ref.length - at);
+            let dot = 0;
+            let clipSquares = 0;
+            for (let n = first; n < last; n++) {
+                dot += clip[n] * ref[at + n];
+                clipSquares += clip[n] * clip[n];
+            }
+            const refEnergy = last > first ? refSquares[at + last] - refSquares[at + first] : 0;
+            const norm = Math.sqrt(clipSquares * refEnergy);
+            if (norm > 0) any = true;
+            scores.push(norm > 0 ? dot / norm : 0);
+        }
+        return any ? scores : null;
+    }
+
+    return { init, getSettings, setSettings, getWindows, align };
+})();
@@ -20,7 +20,20 @@
     const recIndicator = document.getElementById('rec-indicator');
     const btnRecord = document.getElementById('btn-record');
     const btnRecDone = document.getElementById('btn-rec-done');
+    const btnSplit = document.getElementById('btn-split');
+    const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
     const recBtnLabel = document.getElementById('rec-btn-label');
+    const inputMeter = document.getElementById('input-meter');
+    const btnMonitor = document.getElementById('btn-monitor');
+    const monitorSettings = document.getElementById('monitor-settings');
+    const monitorGain = document.getElementById('monitor-gain');
+    const monitorReverb = document.getElementById('monitor-reverb');
+    const btnPunchIn = document.getElementById('btn-punch-in');
+    const btnPunchOut = document.getElementById('btn-punch-out');
+    const punchPreroll = document.getElementById('punch-preroll');
+    const btnPunchLoop = document.getElementById('btn-punch-loop');
+    const btnPunchClear = document.getElementById('btn-punch-clear');
 
     // Audio source toggle
     const pillOriginal = document.getElementById('pill-original');
@@ -33,38 +46,101 @@
     const exportClose = document.getElementById('export-close');
     const dlOriginalVideo = document.getElementById('dl-original-video');
     const dlRecordings = document.getElementById('dl-recordings');
+    const dlInstrumentalMix = document.getElementById('dl-instrumental-mix');
+    const dlMixedAudio = document.getElementById('dl-mixed-audio');
+    const dlStems = document.getElementById('dl-stems');
+    const dlMixedVideo = document.getElementById('dl-mixed-video');
+    const dlMixedAudioEstimate = document.getElementById('dl-mixed-audio-estimate');
+    const dlMixedVideoEstimate = document.getElementById('dl-mixed-video-estimate');
+    const exportCancel = document.getElementById('export-cancel');
+    const optAudioFormat = document.getElementById('opt-audio-format');
+    const optSampleRate = document.getElementById('opt-sample-rate');
+    const optVideoSize = document.getElementById('opt-video-size');
+    const optVideoQuality = document.getElementById('opt-video-quality');
+    const optLoudness = document.getElementById('opt-loudness');
+    const optOpusNote = document.getElementById('opt-opus-note');
+    const loudnessMix = document.getElementById('loudness-mix');
+    const loudnessMeasure = document.getElementById('loudness-measure');
+    const loudnessMatch = document.getElementById('loudness-match');
+    const loudnessStatus = document.getElementById('loudness-status');
+    const dlProject = document.getElementById('dl-project');
+    const openProject = document.getElementById('open-project');
+    const openProjectInput = document.getElementById('open-project-input');
     const exportProgress = document.getElementById('export-progress');
     const exportProgressFill = document.getElementById('export-progress-fill');
     const exportProgressText = document.getElementById('export-progress-text');
+    const exportStorage = document.getElementById('export-storage');
+    const exportStorageText = document.getElementById('export-storage-text');
+    const exportStorageClear = document.getElementById('export-storage-clear');
 
     // State
     let isRecordingMode = false;
+    let isRestoring = ClipStore.isSupported();   // saved clips are still loading — new takes would clash with their ids
     let audioSourceOriginal = true;
     let isUnlocked = localStorage.getItem('thiptines_unlocked') === 'true';
-    let clipScheduler = null;
     let schedulerRAF = null;
 
+    const CROSSFADE_MS = 300;
+    const PUNCH_STORAGE_KEY = 'thiptines_punch';
+    const PUNCH_POLL_MS = 20;
+    const ALIGN_MIN_CONFIDENCE = 0.15;  // weaker auto-align matches leave the clip where it is
+    const CLEANUP_PREVIEW_DELAY_MS = 300;   // settle time before the clean-up preview is redone
+    const WAVEFORM_DURATION_SLACK = 0.5;    // seconds stored peaks may differ from the video's length
+    const LEVEL_MATCH_MAX_GAIN = 4;         // vocal level matching never turns a clip up further (+12 dB)
+
+    // Punch-in/out: { in, out } markers (seconds or null), pre-roll seconds and loop flag
+    let punch = _loadPunch();
+    let punchTimer = null;
+    let punchPass = null;       // range of the pass being recorded, while punch recording
+
     // ── Initialize modules ──
     VideoPlayer.init('#bg-video');
+    Tracks.init();
     AudioEngine.init();
     Recorder.init(AudioEngine.getAudioContext());
+    Latency.init(AudioEngine.getAudioContext());
+    Aligner.init();
+    Monitor.init(AudioEngine.getAudioContext());
+    Pitch.init(AudioEngine.getAudioContext());
+    ClipProcessor.init(AudioEngine.getAudioContext());
+    Cleanup.init();
+    PitchView.init();
+    Recorder.setOnInputChange((node) => {
+        Monitor.setInput(node);
+        Pitch.setInput(node);
+    });
+    Recorder.setLatencyCompensation(({ deviceId, latency }) => Latency.getOffset(deviceId, latency).total);
+    Recorder.setSilenceDetection((audioBuffer, from, to) =>
+        Cleanup.getSettings().trimSilence ? Cleanup.findSilence(audioBuffer, from, to) : null);
+    const savedClipsRestored = _restoreSavedClips();
 
     // Wait for video metadata to get duration
     VideoPlayer.setOnLoadedMetadata((duration) => {
         timeTotal.textContent = formatTime(duration);
-        Timeline.init(duration);
+        Timeline.init(duration, CONFIG.segments);
+        _renderPunch();
         RecTimeline.init(duration);
+        _renderRecTimeline();
+        _updateRecordAvailability(VideoPlayer.getTime());
+        _loadInstrumentals();
+        _loadWaveform();
     });
 
     // If metadata already loaded
     if (VideoPlayer.getDuration()) {
         timeTotal.textContent = formatTime(VideoPlayer.getDuration());
-        Timeline.init(VideoPlayer.getDuration());
+        Timeline.init(VideoPlayer.getDuration(), CONFIG.segments);
+        _renderPunch();
         RecTimeline.init(VideoPlayer.getDuration());
+        _renderRecTimeline();
+        _updateRecordAvailability(VideoPlayer.getTime());
+        _loadInstrumentals();
+        _loadWaveform();
     }
 
     // Set initial volume
     VideoPlayer.setVolume(volumeSlider.value / 100);
+    AudioEngine.setInstrumentalVolume(volumeSlider.value / 100);
 
     // ══════════════════════════════════════════
     // ── VIDEO PLAYBACK CALLBACKS ──
@@ -73,13 +149,18 @@
     VideoPlayer.setOnTimeUpdate((currentTime, duration) => {
         timeCurrent.textContent = formatTime(currentTime);
         Timeline.update(currentTime);
+        _updateRecordAvailability(currentTime);
+
+        // Real-time exports drive the video and mix audio themselves
+        if (isExporting) return;
 
-        // Schedule recording clip playback
-        if (clipScheduler) clipScheduler(currentTime);
+        // Clips and instrumentals are scheduled on the audio clock by AudioEngine
+        _applyAudioSource(currentTime);
     });
 
     VideoPlayer.setOnEnded(() => {
         _setPlayState(false);
+        AudioEngine.stopInstrumentals();
         if (isRecordingMode) {
             _finishRecording();
         }
@@ -90,6 +171,7 @@
         VideoPlayer.seek(time);
         Timeline.update(time);
         timeCurrent.textContent = formatTime(time);
+        _updateRecordAvailability(time);
 
         // Restart clip playback from new position
         _restartClipPlayback();
@@ -141,6 +223,7 @@
         VideoPlayer.seek(t);
         Timeline.update(t);
         timeCurrent.textContent = formatTime(t);
+        _updateRecordAvailability(t);
         _restartClipPlayback();
     }
 
@@ -150,27 +233,53 @@
     // Volume
     volumeSlider.addEventListener('input', () => {
         VideoPlayer.setVolume(volumeSlider.value / 100);
+        AudioEngine.setInstrumentalVolume(volumeSlider.value / 100);
     });
 
     // ══════════════════════════════════════════
     // ── RECORDING FLOW ──
     // ══════════════════════════════════════════
 
+    // Only segments that allow recording enable the Record button.
+    // Without configured segments, recording is allowed anywhere.
+    function _canRecordAt(time) {
+        if (!Timeline.hasSegments()) return true;
+        const seg = Timeline.getSegmentAt(time);
+        return !!(seg && seg.recordable);
+    }
+
+    function _updateRecordAvailability(time) {
+        if (isRecordingMode) return;
+        const range = _punchRange();
+        const allowed = !isRestoring && _canRecordAt(range ? range.in : time);
+        btnRecord.disabled = !allowed;
+        if (isRestoring) btnRecord.title = 'Loading saved recordings…';
+        else btnRecord.title = allowed ? 'Start Recording' : 'Recording is not available in this segment';
+    }
+
     // Start recording
     btnRecord.addEventListener('click', async () => {
-        if (isRecordingMode) return;
+        if (isRecordingMode || isRestoring) return;
+        const range = _punchRange();
+        if (!_canRecordAt(range ? range.in : VideoPlayer.getTime())) return;
 
         AudioEngine.resumeContext();
         isRecordingMode = true;
 
-        // If not playing, start playback
-        if (!VideoPlayer.isPlaying()) {
-            await VideoPlayer.play();
-            _setPlayState(true);
-        }
+        let started;
+        if (range) {
+            started = await _startPunchPass(range);
+        } else {
+            // If not playing, start playback
+            if (!VideoPlayer.isPlaying()) {
+                await VideoPlayer.play();
+                _setPlayState(true);
+                _restartClipPlayback();
+            }
 
-        const startTime = VideoPlayer.getTime();
-        const started = await Recorder.startRecording(startTime);
+            const startTime = VideoPlayer.getTime();
+            started = await Recorder.startRecording(startTime, { trackId: Tracks.getArmedId() });
+        }
 
         if (!started) {
             isRecordingMode = false;
@@ -182,11 +291,11 @@
         btnRecDone.classList.remove('hidden');
         recIndicator.classList.remove('hidden');
         recBtnLabel.textContent = 'Record';
+        Monitor.resetClip();
+        _startPitchTrace();
 
         // Apply audio source setting
-        if (!audioSourceOriginal) {
-            VideoPlayer.setMuted(true);
-        }
+        _applyAudioSource(VideoPlayer.getTime());
     });
 
     // Stop recording
@@ -198,6 +307,7 @@
         if (!isRecordingMode) return;
 
         Recorder.stopRecording();
+        Pitch.stopLive();
         isRecordingMode = false;
 
         // Restore UI
@@ -205,87 +315,1662 @@
         btnRecDone.classList.add('hidden');
         recIndicator.classList.add('hidden');
 
+        // A punch take returns to its pre-roll point, ready for another go
+        if (punchPass) {
+            _stopPunchWatch();
+            const prerollAt = _prerollPoint(punchPass);
+            punchPass = null;
+            VideoPlayer.pause();
+            AudioEngine.stopAllClips();
+            _setPlayState(false);
+            VideoPlayer.seek(prerollAt);
+            Timeline.update(prerollAt);
+            timeCurrent.textContent = formatTime(prerollAt);
+            _updateRecordAvailability(prerollAt);
+        }
+
         // Restore audio
-        VideoPlayer.setMuted(false);
+        _applyAudioSource(VideoPlayer.getTime());
+    }
+
+    // ── Input meter & monitoring ──
+
+    function _renderMonitor() {
+        const { enabled, gain, reverb } = Monitor.getSettings();
+        btnMonitor.classList.toggle('active', enabled);
+        btnMonitor.title = enabled
+            ? 'Monitoring on — click to stop hearing yourself'
+            : 'Hear yourself in headphones while recording';
+        monitorSettings.classList.toggle('hidden', !enabled);
+        monitorGain.value = Math.round(gain * 100);
+        monitorReverb.value = Math.round(reverb * 100);
+    }
+
+    // Clicking the idle meter opens the mic, so levels can be checked before recording
+    inputMeter.addEventListener('click', () => {
+        if (Recorder.hasMic()) return;
+        AudioEngine.resumeContext();
+        Recorder.requestMic();
+    });
+
+    btnMonitor.addEventListener('click', async () => {
+        const enable = !Monitor.getSettings().enabled;
+        if (enable && !Recorder.hasMic()) {
+            AudioEngine.resumeContext();
+            if (!(await Recorder.requestMic())) return;
+        }
+        Monitor.setEnabled(enable);
+        _renderMonitor();
+    });
+
+    monitorGain.addEventListener('input', () => Monitor.setGain(monitorGain.value / 100));
+    monitorReverb.addEventListener('input', () => Monitor.setReverb(monitorReverb.value / 100));
+
+    _renderMonitor();
+
+    // ── Pitch ──
+    // The live trace is placed like a take: input latency is taken off so it lines up with the
+    // music. Each take's stored curve is worked out from its audio once it's recorded (or loaded).
+
+    let pitchLatency = 0;
+    let pitchQueue = Promise.resolve();
+
+    Pitch.loadMelody(CONFIG.melody, CONFIG.melodyOffset || 0)
+        .then(notes => PitchView.setMelody(notes))
+        .catch(err => console.warn('Could not load the reference melody:', err));
+
+    Pitch.setOnLiveFrame(({ time, midi }) => {
+        if (!isRecordingMode) return;
+        const ctx = AudioEngine.getAudioContext();
+        PitchView.addLive(VideoPlayer.getTime() - (ctx.currentTime - time) - pitchLatency, midi);
+    });
+
+    function _startPitchTrace() {
+        const { deviceId, latency } = Recorder.getInputInfo();
+        pitchLatency = Latency.getOffset(deviceId, latency).total;
+        PitchView.clearLive();
+        Pitch.startLive();
+    }
+
+    /**
+     * Work out pitch curves for clips that don't have one yet, one at a time. Clips cut from the
+     * same recording share its curve.
+     */
+    function _analysePitch(clips) {
+        clips.filter(c => !c.pitch).forEach(clip => {
+            pitchQueue = pitchQueue.then(async () => {
+                const current = Recorder.getClip(clip.id);
+                if (!current || current.pitch) return;
+                const pitch = await Pitch.analyse(current.audioBuffer);
+                Recorder.getAllClips()
+                    .filter(c => c.audioBuffer === current.audioBuffer)
+                    .forEach(c => {
+                        Recorder.setClipPitch(c.id, pitch);
+                        _persist(ClipStore.updateClip(c.id, { pitch }));
+                    });
+                // The stored curve takes over from the live trace
+                if (!isRecordingMode) PitchView.clearLive();
+                PitchView.setClips(Recorder.getCompedClips(), Tracks.getArmedId());
+            }).catch(err => console.error('Pitch analysis failed:', err));
+        });
+    }
+
+    // ── Punch-in/out ──
+
+    function _loadPunch() {
+        const defaults = { in: null, out: null, preroll: 2, loop: false };
+        try {
+            const saved = JSON.parse(localStorage.getItem(PUNCH_STORAGE_KEY) || 'null');
+            return saved ? { ...defaults, ...saved } : defaults;
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    function _savePunch() {
+        localStorage.setItem(PUNCH_STORAGE_KEY, JSON.stringify(punch));
+    }
+
+    /**
+     * The active punch range, or null when the markers don't form one.
+     */
+    function _punchRange() {
+        if (typeof punch.in !== 'number' || typeof punch.out !== 'number') return null;
+        return punch.out > punch.in ? { in: punch.in, out: punch.out } : null;
+    }
+
+    function _prerollPoint(range) {
+        return Math.max(0, range.in - punch.preroll);
+    }
+
+    function _renderPunch() {
+        Timeline.setPunchRange(_punchRange());
+        btnPunchIn.classList.toggle('active', typeof punch.in === 'number');
+        btnPunchOut.classList.toggle('active', typeof punch.out === 'number');
+        btnPunchIn.title = typeof punch.in === 'number'
+            ? `Punch-in at ${formatTime(punch.in)} — click to move it to the playhead (I)`
+            : 'Set punch-in at the playhead (I)';
+        btnPunchOut.title = typeof punch.out === 'number'
+            ? `Punch-out at ${formatTime(punch.out)} — click to move it to the playhead (O)`
+            : 'Set punch-out at the playhead (O)';
+        btnPunchLoop.classList.toggle('active', punch.loop);
+        btnPunchClear.disabled = punch.in === null && punch.out === null;
+        punchPreroll.value = String(punch.preroll);
+        _updateRecordAvailability(VideoPlayer.getTime());
+    }
+
+    /**
+     * Set a marker at the playhead. A marker on the wrong side of the other one clears it.
+     */
+    function _setPunchMarker(edge) {
+        if (isRecordingMode) return;
+        const time = VideoPlayer.getTime();
+        punch[edge] = time;
+        if (edge === 'in' && typeof punch.out === 'number' && punch.out <= time) punch.out = null;
+        if (edge === 'out' && typeof punch.in === 'number' && punch.in >= time) punch.in = null;
+        _savePunch();
+        _renderPunch();
+    }
+
+    btnPunchIn.addEventListener('click', () => _setPunchMarker('in'));
+    btnPunchOut.addEventListener('click', () => _setPunchMarker('out'));
+
+    btnPunchClear.addEventListener('click', () => {
+        if (isRecordingMode) return;
+        punch.in = null;
+        punch.out = null;
+        _savePunch();
+        _renderPunch();
+    });
+
+    btnPunchLoop.addEventListener('click', () => {
+        punch.loop = !punch.loop;
+        _savePunch();
+        _renderPunch();
+    });
+
+    punchPreroll.addEventListener('change', () => {
+        punch.preroll = parseFloat(punchPreroll.value) || 0;
+        _savePunch();
+        _renderPunch();
+    });
+
+    Timeline.setOnPunchChange((range) => {
+        if (isRecordingMode || !range) {
+            _renderPunch(); // markers stay put while a take is being recorded
+            return;
+        }
+        punch.in = range.in;
+        punch.out = range.out;
+        _savePunch();
+        _renderPunch();
+    });
+
+    // I / O set the markers at the playhead
+    document.addEventListener('keydown', (e) => {
+        if (!isUnlocked || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest('input, textarea, select')) return;
+        const key = e.key.toLowerCase();
+        if (key === 'i') _setPunchMarker('in');
+        else if (key === 'o') _setPunchMarker('out');
+    });
+
+    /**
+     * Roll from the pre-roll point and record one pass; the Recorder keeps only the
+     * audio between the markers. Resolves to whether recording started.
+     */
+    async function _startPunchPass(range) {
+        const prerollAt = _prerollPoint(range);
+
+        // Open the mic first so the permission prompt doesn't eat into the pre-roll
+        if (!Recorder.hasMic() && !(await Recorder.requestMic())) return false;
+
+        await VideoPlayer.seekAndWait(prerollAt);
+        if (!isRecordingMode) return false; // stopped while seeking
+        Timeline.update(prerollAt);
+        timeCurrent.textContent = formatTime(prerollAt);
+        if (!VideoPlayer.isPlaying()) {
+            await VideoPlayer.play();
+            _setPlayState(true);
+        }
+        _restartClipPlayback();
+
+        const started = await Recorder.startRecording(VideoPlayer.getTime(), { trackId: Tracks.getArmedId() }, range);
+        if (!started) return false;
+        punchPass = range;
+        _watchPunchOut();
+        return true;
+    }
+
+    /**
+     * Poll for the out marker: stop there, then either loop back for another take or finish.
+     */
+    function _watchPunchOut() {
+        _stopPunchWatch();
+        punchTimer = setInterval(async () => {
+            if (!isRecordingMode || !punchPass) {
+                _stopPunchWatch();
+                return;
+            }
+            if (VideoPlayer.getTime() < punchPass.out) return;
+
+            if (!punch.loop) {
+                _finishRecording();
+                return;
+            }
+
+            // Each pass becomes its own take
+            _stopPunchWatch();
+            Recorder.stopRecording();
+            const started = await _startPunchPass(punchPass);
+            if (!started) _finishRecording();
+        }, PUNCH_POLL_MS);
+    }
+
+    function _stopPunchWatch() {
+        clearInterval(punchTimer);
+        punchTimer = null;
     }
 
     // Recording complete callback — clip was decoded and saved
     Recorder.setOnRecordingComplete((clip) => {
-        const clips = Recorder.getAllClips();
-        RecTimeline.render(clips);
-        _showRecTimeline();
+        _renderRecTimeline();
+        _updateRecTimelineVisibility();
         AudioEngine.setClipVolume(clip.id, 0.8);
         _restartClipPlayback();
+        _persist(ClipStore.saveClip(clip, AudioEngine.getClipGain(clip.id)));
+        _pushClipEdit('Record', { [clip.id]: null });
+        if (!_cleanUpTake(clip.id)) _analysePitch([clip]);
     });
 
-    // Audio source toggle (Original / Muted)
-    pillOriginal.addEventListener('click', () => {
-        audioSourceOriginal = true;
-        pillOriginal.classList.add('active');
-        pillInstrumental.classList.remove('active');
-        if (isRecordingMode) {
+    // Audio source toggle (Original / Instrumental, or Muted when no instrumental is configured)
+    function _setAudioSource(original) {
+        audioSourceOriginal = original;
+        pillOriginal.classList.toggle('active', original);
+        pillInstrumental.classList.toggle('active', !original);
+        _applyAudioSource(VideoPlayer.getTime());
+    }
+
+    /**
+     * With an instrumental loaded, cross-fade between the video's audio and the
+     * instrumental wherever one covers the playhead. Without one, the "Muted"
+     * source silences the video while recording.
+     */
+    function _applyAudioSource(time) {
+        if (AudioEngine.hasInstrumentals()) {
+            const useInstrumental = !audioSourceOriginal && AudioEngine.hasInstrumentalAt(time);
             VideoPlayer.setMuted(false);
+            AudioEngine.setInstrumentalActive(useInstrumental, CROSSFADE_MS / 1000);
+            VideoPlayer.fadeTo(useInstrumental ? 0 : 1, CROSSFADE_MS);
+        } else {
+            VideoPlayer.setMuted(isRecordingMode && !audioSourceOriginal);
         }
-    });
+    }
 
-    pillInstrumental.addEventListener('click', () => {
-        audioSourceOriginal = false;
-        pillInstrumental.classList.add('active');
-        pillOriginal.classList.remove('active');
-        if (isRecordingMode) {
-            VideoPlayer.setMuted(true);
+    function _instrumentalSources() {
+        const fromSegments = Timeline.getSegments()
+            .filter(seg => seg.instrumental)
+            .map(seg => ({ url: seg.instrumental, startTime: seg.start, endTime: seg.end }));
+        if (fromSegments.length > 0) return fromSegments;
+        if (CONFIG.instrumentalSrc) {
+            return [{ url: CONFIG.instrumentalSrc, startTime: 0, endTime: Infinity }];
         }
-    });
+        return [];
+    }
+
+    async function _loadInstrumentals() {
+        const sources = _instrumentalSources();
+        if (sources.length === 0) return;
+
+        const loaded = await AudioEngine.loadInstrumentals(sources);
+        if (loaded > 0) {
+            pillInstrumental.textContent = 'Instrumental';
+            pillInstrumental.dataset.source = 'instrumental';
+            dlInstrumentalMix.classList.remove('hidden');
+        }
+        _restartClipPlayback();
+        _applyAudioSource(VideoPlayer.getTime());
+    }
+
+    /**
+     * The main timeline's waveform. Its peaks are stored after the first time, so the original
+     * audio is only fetched and decoded when they're missing (or the video has changed length),
+     * and let go again straight after — exports and analysis decode it when they need it.
+     */
+    async function _loadWaveform() {
+        const url = Exporter.getOriginalMediaUrl();
+        try {
+            let peaks = null;
+            if (ClipStore.isSupported()) {
+                peaks = await ClipStore.loadPeaks(url).catch(() => null);
+                if (peaks && Math.abs(peaks.duration - VideoPlayer.getDuration()) > WAVEFORM_DURATION_SLACK) peaks = null;
+            }
+            if (!peaks) {
+                peaks = Waveform.getPeaks(await AudioEngine.loadOriginalAudio(url));
+                AudioEngine.releaseOriginalAudio();
+                if (ClipStore.isSupported()) {
+                    ClipStore.savePeaks(url, peaks).catch(err => console.warn('Could not store the waveform:', err));
+                }
+            }
+            Timeline.setWaveform(peaks);
+        } catch (err) {
+            console.warn('Original audio waveform unavailable:', err);
+        }
+    }
+
+    pillOriginal.addEventListener('click', () => _setAudioSource(true));
+    pillInstrumental.addEventListener('click', () => _setAudioSource(false));
 
     // ══════════════════════════════════════════
     // ── RECORDING CLIP MANAGEMENT ──
     // ══════════════════════════════════════════
 
     RecTimeline.setOnClipDelete((clipId) => {
+        const before = _clipSnapshot([clipId]);
         Recorder.deleteClip(clipId);
-        const clips = Recorder.getAllClips();
-        RecTimeline.render(clips);
-        if (clips.length === 0) _hideRecTimeline();
+        _pushClipEdit('Delete', before);
+        _renderRecTimeline();
+        _updateRecTimelineVisibility();
         _restartClipPlayback();
+        _persist(ClipStore.deleteClip(clipId));
     });
 
-    RecTimeline.setOnClipMove((clipId, newStart) => {
-        Recorder.moveClip(clipId, newStart);
-        const clips = Recorder.getAllClips();
-        RecTimeline.render(clips);
+    RecTimeline.setOnClipMove((clipId, newStart, trackId) => _moveClip(clipId, newStart, trackId, 'Move'));
+
+    function _moveClip(clipId, newStart, trackId, label) {
+        const before = _clipSnapshot([clipId]);
+        Recorder.moveClip(clipId, newStart, trackId);
+        _pushClipEdit(label, before);
+        _renderRecTimeline();
         _restartClipPlayback();
+        const moved = Recorder.getClip(clipId);
+        if (moved) {
+            _persist(ClipStore.updateClip(clipId, { startTime: moved.startTime, trackId: moved.trackId }));
+        }
+    }
+
+    RecTimeline.setOnClipTrim((clipId, trimStart, trimEnd) => {
+        const before = _clipSnapshot([clipId]);
+        Recorder.trimClip(clipId, trimStart, trimEnd);
+        _pushClipEdit('Trim', before);
+        _afterClipEdit([clipId]);
     });
 
+    RecTimeline.setOnClipFade((clipId, fadeIn, fadeOut) => {
+        const before = _clipSnapshot([clipId]);
+        Recorder.setClipFades(clipId, fadeIn, fadeOut);
+        _pushClipEdit('Fade', before);
+        _afterClipEdit([clipId]);
+    });
+
+    // Split every clip under the playhead
+    btnSplit.addEventListener('click', () => {
+        const time = VideoPlayer.getTime();
+        const targets = Recorder.getAllClips()
+            .filter(c => time > c.startTime && time < c.startTime + c.duration)
+            .map(c => c.id);
+        if (targets.length === 0) return;
+
+        const before = _clipSnapshot(targets);
+        targets.forEach(id => {
+            const right = Recorder.splitClip(id, time);
+            if (!right) return;
+            before[right.id] = null;
+            AudioEngine.setClipVolume(right.id, AudioEngine.getClipGain(id));
+            _persist(ClipStore.saveClip(right, AudioEngine.getClipGain(right.id)));
+        });
+        _pushClipEdit('Split', before);
+        _afterClipEdit(targets);
+    });
+
+    // Swipe-comp a range of a take, or pick the whole take (from/to undefined)
+    RecTimeline.setOnClipComp((clipId, from, to) => {
+        const slot = Comping.getSlotOf(Recorder.getAllClips(), clipId);
+        if (!slot || slot.clips.length < 2) return;
+        const ids = slot.clips.map(c => c.id);
+        const before = _clipSnapshot(ids);
+        Recorder.compTake(clipId, from, to);
+        _pushClipEdit(from === undefined ? 'Take choice' : 'Comp', before);
+        _afterClipEdit(ids);
+    });
+
+    /**
+     * Re-render and save clips' trim/fade/comp/effects fields after an edit.
+     */
+    function _afterClipEdit(clipIds) {
+        _renderRecTimeline();
+        _restartClipPlayback();
+        clipIds.forEach(clipId => {
+            const clip = Recorder.getClip(clipId);
+            if (!clip) return;
+            const { startTime, duration, trimStart, trimEnd, fadeIn, fadeOut, compRanges, fx } = clip;
+            _persist(ClipStore.updateClip(clipId, {
+                startTime, duration, trimStart, trimEnd, fadeIn, fadeOut, compRanges, fx,
+            }));
+        });
+    }
+
+    // ── Undo / redo ──
+    // Edits are recorded as before/after snapshots of the clips they touched (null = no clip).
+    // Snapshots keep the audio buffer, so a deleted take stays recoverable while it's in the history.
+
+    function _clipSnapshot(ids) {
+        const snapshot = {};
+        ids.forEach(id => {
+            const clip = Recorder.getClip(id);
+            snapshot[id] = clip ? { clip: { ...clip }, gain: AudioEngine.getClipGain(id) } : null;
+        });
+        return snapshot;
+    }
+
+    function _pushClipEdit(label, before) {
+        const after = _clipSnapshot(Object.keys(before).map(Number));
+        EditHistory.push({
+            label,
+            undo: () => _applyClipSnapshot(before),
+            redo: () => _applyClipSnapshot(after),
+        });
+    }
+
+    function _applyClipSnapshot(snapshot) {
+        Object.keys(snapshot).forEach(key => {
+            const id = Number(key);
+            const entry = snapshot[id];
+            if (entry) {
+                Recorder.putClip(entry.clip);
+                AudioEngine.setClipVolume(id, entry.gain);
+                _persist(ClipStore.saveClip(entry.clip, entry.gain));
+            } else {
+                Recorder.deleteClip(id);
+                _persist(ClipStore.deleteClip(id));
+            }
+        });
+        _renderRecTimeline();
+        _updateRecTimelineVisibility();
+        _restartClipPlayback();
+        _analysePitch(Recorder.getAllClips());
+    }
+
+    function _trackSnapshot() {
+        return { tracks: Tracks.getAll(), armedId: Tracks.getArmedId() };
+    }
+
+    function _pushTrackEdit(label, before) {
+        const after = _trackSnapshot();
+        EditHistory.push({
+            label,
+            undo: () => _applyTrackSnapshot(before),
+            redo: () => _applyTrackSnapshot(after),
+        });
+    }
+
+    function _applyTrackSnapshot(snapshot) {
+        Tracks.replaceAll(snapshot.tracks, snapshot.armedId);
+        AudioEngine.applyTrackMix();
+        _renderRecTimeline();
+    }
+
+    function _undo() {
+        if (!isUnlocked || isRecordingMode || isExporting) return;
+        EditHistory.undo();
+    }
+
+    function _redo() {
+        if (!isUnlocked || isRecordingMode || isExporting) return;
+        EditHistory.redo();
+    }
+
+    btnUndo.addEventListener('click', _undo);
+    btnRedo.addEventListener('click', _redo);
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest('input, textarea, select')) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            _undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            _redo();
+        }
+    });
+
+    EditHistory.setOnChange(() => {
+        const undoLabel = EditHistory.getUndoLabel();
+        const redoLabel = EditHistory.getRedoLabel();
+        btnUndo.disabled = !undoLabel;
+        btnRedo.disabled = !redoLabel;
+        btnUndo.title = undoLabel ? `Undo ${undoLabel.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo';
+        btnRedo.title = redoLabel ? `Redo ${redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    });
+
+    // ── Tracks (lanes) ──
+
+    RecTimeline.setOnTrackAdd(() => {
+        const before = _trackSnapshot();
+        Tracks.arm(Tracks.add());
+        _pushTrackEdit('Add track', before);
+        _renderRecTimeline();
+    });
+
+    RecTimeline.setOnTrackRemove((trackId) => {
+        const count = Recorder.getAllClips().filter(c => Tracks.resolveTrackId(c.trackId) === trackId).length;
+        if (count > 0) {
+            const track = Tracks.get(trackId);
+            alert(`${track ? track.name : 'This track'} still has ${count === 1 ? 'a recording' : `${count} recordings`} on it. ` +
+                'Move them to another track or delete them first.');
+            return;
+        }
+        const before = _trackSnapshot();
+        Tracks.remove(trackId);
+        _pushTrackEdit('Remove track', before);
+        _renderRecTimeline();
+    });
+
+    RecTimeline.setOnTrackArm((trackId) => {
+        Tracks.arm(trackId);
+        _renderRecTimeline();
+    });
+
+    // `live` is set while a slider is being dragged — skip re-rendering so the drag isn't interrupted,
+    // and record a single history entry when it's released
+    let trackStateBeforeDrag = null;
+    RecTimeline.setOnTrackChange((trackId, changes, live) => {
+        const before = trackStateBeforeDrag || _trackSnapshot();
+        Tracks.update(trackId, changes);
+        AudioEngine.applyTrackMix();
+        if (live) {
+            trackStateBeforeDrag = before;
+            return;
+        }
+        trackStateBeforeDrag = null;
+        _pushTrackEdit(changes.volume !== undefined ? 'Volume change' : 'Track change', before);
+        _renderRecTimeline();
+    });
+
+    function _renderRecTimeline() {
+        RecTimeline.render(Recorder.getAllClips(), Tracks.getAll(), Tracks.getArmedId());
+        PitchView.setClips(Recorder.getCompedClips(), Tracks.getArmedId());
+    }
+
+    /**
+     * Requeue the clips after an edit or seek. A running scheduler keeps the instrumental going
+     * and notices a seek itself, re-anchoring everything to the new position.
+     */
     function _restartClipPlayback() {
-        AudioEngine.stopAllClips();
-        if (VideoPlayer.isPlaying() && Recorder.hasRecordings()) {
-            clipScheduler = AudioEngine.createClipScheduler(Recorder.getAllClips());
-            clipScheduler(VideoPlayer.getTime());
+        if (VideoPlayer.isPlaying()) {
+            AudioEngine.startClipScheduler(Recorder.getCompedClips(), VideoPlayer.getElement());
         } else {
-            clipScheduler = null;
+            AudioEngine.stopAllClips();
         }
     }
 
-    function _showRecTimeline() {
-        const container = document.getElementById('rec-timeline-container');
-        if (container) container.classList.remove('hidden');
+    // ── Persistence (IndexedDB) ──
+
+    async function _restoreSavedClips() {
+        if (!ClipStore.isSupported()) return;
+        try {
+            const saved = await ClipStore.loadClips(AudioEngine.getAudioContext());
+            if (saved.length === 0) return;
+
+            Recorder.restoreClips(saved.map(s => s.clip));
+            saved.forEach(({ clip, gain }) => {
+                AudioEngine.setClipVolume(clip.id, gain !== undefined ? gain : 0.8);
+            });
+            _renderRecTimeline();
+            _updateRecTimelineVisibility();
+            _analysePitch(Recorder.getAllClips());
+        } catch (err) {
+            console.error('Failed to restore saved recordings:', err);
+        } finally {
+            isRestoring = false;
+            _updateRecordAvailability(VideoPlayer.getTime());
+        }
+    }
+
+    function _persist(promise) {
+        promise.catch(err => console.error('Failed to save recording:', err));
+    }
+
+    async function _updateStorageInfo() {
+        if (!ClipStore.isSupported()) return;
+        exportStorage.classList.remove('hidden');
+        try {
+            const { clipCount, bytes, usage, quota } = await ClipStore.getUsage();
+            let text = `${clipCount} saved recording${clipCount === 1 ? '' : 's'} · ${formatBytes(bytes)}`;
+            if (usage !== null && quota) {
+                text += ` (site total ${formatBytes(usage)} of ${formatBytes(quota)})`;
+            }
+            exportStorageText.textContent = text;
+            exportStorageClear.disabled = clipCount === 0;
+        } catch (err) {
+            console.error('Failed to read storage usage:', err);
+            exportStorageText.textContent = 'Saved recordings unavailable';
+            exportStorageClear.disabled = true;
+        }
     }
 
-    function _hideRecTimeline() {
+    exportStorageClear.addEventListener('click', async () => {
+        if (!confirm('Delete all saved recordings? This cannot be undone.')) return;
+        try {
+            await ClipStore.clearAll();
+        } catch (err) {
+            console.error('Failed to clear saved recordings:', err);
+            alert('Could not clear saved recordings: ' + err.message);
+            return;
+        }
+        AudioEngine.stopAllClips();
+        Recorder.clearClips();
+        EditHistory.clear();
+        _renderRecTimeline();
+        _updateRecTimelineVisibility();
+        _restartClipPlayback();
+        _updateStorageInfo();
+    });
+
+    /**
+     * The lanes show while unlocked if the recording panel is open or there is something to show.
+     */
+    function _updateRecTimelineVisibility() {
         const container = document.getElementById('rec-timeline-container');
-        if (container) container.classList.add('hidden');
+        if (!container) return;
+        const visible = isUnlocked && (recPanelVisible || Recorder.hasRecordings());
+        container.classList.toggle('hidden', !visible);
+    }
+
+    // ══════════════════════════════════════════
+    // ── EFFECTS ──
+    // ══════════════════════════════════════════
+    // A track's chain is applied to everything on it; a clip's own chain runs before the track's.
+
+    const fxModal = document.getElementById('fx-modal');
+    const fxTitle = document.getElementById('fx-title');
+    const fxDesc = document.getElementById('fx-desc');
+    const fxPreset = document.getElementById('fx-preset');
+    const fxReverb = document.getElementById('fx-reverb');
+    const fxParams = document.getElementById('fx-params');
+
+    let fxTarget = null;   // { type: 'track' | 'clip', id }
+    const fxInputs = {};   // param key → { input, value }
+
+    fxPreset.appendChild(new Option('None (dry)', ''));
+    Effects.getPresets().forEach(p => fxPreset.appendChild(new Option(p.name, p.id)));
+    fxPreset.appendChild(new Option('Custom', 'custom'));
+    Effects.getReverbs().forEach(r => fxReverb.appendChild(new Option(r.name, r.id)));
+
+    Effects.getParams().forEach(param => {
+        const row = document.createElement('label');
+        row.className = 'fx-param';
+        const label = document.createElement('span');
+        label.className = 'export-setting-label';
+        label.textContent = param.label;
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.step;
+        const value = document.createElement('span');
+        value.className = 'fx-param-value';
+
+        input.addEventListener('input', () => {
+            value.textContent = _formatFxValue(param, Number(input.value));
+        });
+        input.addEventListener('change', () => {
+            _setEffects({ ..._editableFx(), [param.key]: Number(input.value), preset: 'custom' });
+        });
+
+        row.append(label, input, value);
+        fxParams.appendChild(row);
+        fxInputs[param.key] = { param, input, value };
+    });
+
+    function _formatFxValue(param, v) {
+        if (!param.unit) return `${Math.round(v * 100)}%`;
+        if (param.unit === 'dB' && v > 0) return `+${v} dB`;
+        return param.unit === ':1' ? `${v}:1` : `${v} ${param.unit}`;
+    }
+
+    RecTimeline.setOnTrackFx(trackId => _openEffects({ type: 'track', id: trackId }));
+    RecTimeline.setOnClipFx(clipId => _openEffects({ type: 'clip', id: clipId }));
+
+    function _openEffects(target) {
+        if (isRecordingMode) return;
+        fxTarget = target;
+        if (processingClipId === null) procStatus.textContent = '';
+        if (!isAligning) alignStatus.textContent = '';
+        if (!isMatchingLevel) loudStatus.textContent = '';
+        _renderEffects();
+        fxModal.classList.remove('hidden');
+    }
+
+    function _closeEffects() {
+        fxModal.classList.add('hidden');
+        fxTarget = null;
+    }
+
+    document.getElementById('fx-close').addEventListener('click', _closeEffects);
+    document.getElementById('fx-modal-backdrop').addEventListener('click', _closeEffects);
+
+    function _currentFx() {
+        if (!fxTarget) return null;
+        const owner = fxTarget.type === 'track' ? Tracks.get(fxTarget.id) : Recorder.getClip(fxTarget.id);
+        return owner ? owner.fx : null;
+    }
+
+    /**
+     * The current settings, or a neutral chain to start editing from when there are none.
+     */
+    function _editableFx() {
+        return Effects.normalize(_currentFx() || {});
+    }
+
+    function _renderEffects() {
+        if (!fxTarget) return;
+        if (fxTarget.type === 'track') {
+            const track = Tracks.get(fxTarget.id);
+            fxTitle.textContent = `Effects — ${track ? track.name : 'Track'}`;
+            fxDesc.textContent = 'Applied to every recording on this track.';
+        } else {
+            const clip = Recorder.getClip(fxTarget.id);
+            const track = clip ? Tracks.get(Tracks.resolveTrackId(clip.trackId)) : null;
+            fxTitle.textContent = clip && clip.name ? clip.name : 'Recording';
+            fxDesc.textContent = track
+                ? `Applied to this recording only, before ${track.name}'s effects.`
+                : 'Applied to this recording only, before its track\'s effects.';
+        }
+
+        const fx = _currentFx();
+        const shown = _editableFx();
+        fxPreset.value = fx ? (fx.preset || 'custom') : '';
+        fxReverb.value = shown.reverb;
+        Object.values(fxInputs).forEach(({ param, input, value }) => {
+            input.value = shown[param.key];
+            value.textContent = _formatFxValue(param, shown[param.key]);
+        });
+        fxModal.querySelector('.export-modal-content').classList.toggle('fx-dry', !fx);
+        _renderProcessing();
+        _renderAlignment();
+        _renderLoudness();
+    }
+
+    fxPreset.addEventListener('change', () => {
+        if (fxPreset.value === 'custom') {
+            _setEffects({ ..._editableFx(), preset: 'custom' });
+        } else {
+            _setEffects(fxPreset.value ? Effects.fromPreset(fxPreset.value) : null);
+        }
+    });
+
+    fxReverb.addEventListener('change', () => {
+        _setEffects({ ..._editableFx(), reverb: fxReverb.value, preset: 'custom' });
+    });
+
+    function _setEffects(fx) {
+        if (!fxTarget) return;
+        const { type, id } = fxTarget;
+        if (type === 'track') {
+            if (!Tracks.get(id)) return;
+            const before = _trackSnapshot();
+            Tracks.update(id, { fx });
+            AudioEngine.applyTrackMix();
+            _pushTrackEdit('Track effects', before);
+            _renderRecTimeline();
+        } else {
+            if (!Recorder.getClip(id)) return;
+            const before = _clipSnapshot([id]);
+            Recorder.setClipEffects(id, fx);
+            _pushClipEdit('Clip effects', before);
+            _afterClipEdit([id]);
+        }
+        _renderEffects();
+    }
+
+    // ── Pitch, timing & noise (clips only) ──
+    // Processing renders a new buffer from the original recording in a worker; the original is
+    // kept, so it can be switched back on.
+
+    const procSection = document.getElementById('proc-section');
+    const procKey = document.getElementById('proc-key');
+    const procNoise = document.getElementById('proc-noise');
+    const procStrength = document.getElementById('proc-strength');
+    const procStrengthValue = document.getElementById('proc-strength-value');
+    const procSpeed = document.getElementById('proc-speed');
+    const procSpeedValue = document.getElementById('proc-speed-value');
+    const procApply = document.getElementById('proc-apply');
+    const procEnabled = document.getElementById('proc-enabled');
+    const procStatus = document.getElementById('proc-status');
+
+    let processingClipId = null;   // clip the worker is busy with
+
+    function _renderProcessing() {
+        const clip = fxTarget && fxTarget.type === 'clip' ? Recorder.getClip(fxTarget.id) : null;
+        procSection.classList.toggle('hidden', !clip || !ClipProcessor.isSupported());
+        if (!clip) return;
+
+        // The melody loads in the background, so the choices are rebuilt each time
+        procKey.innerHTML = '';
+        procKey.appendChild(new Option('Off (timing only)', ''));
+        if (Pitch.getMelody().length > 0) procKey.appendChild(new Option('Reference melody', 'melody'));
+        procKey.appendChild(new Option('Nearest note', 'chromatic'));
+        ClipProcessor.getKeys().forEach(k => procKey.appendChild(new Option(k.name, k.id)));
+
+        const settings = ClipProcessor.normalize(clip.processing);
+        procKey.value = settings.key || '';
+        procNoise.value = settings.noise ? settings.noise.mode : 'off';
+        procStrength.value = Math.round(settings.strength * 100);
+        procSpeed.value = Math.round(settings.speed * 100);
+        _renderProcessingValues();
+
+        procApply.disabled = processingClipId !== null;
+        procEnabled.disabled = !clip.processedBuffer;
+        procEnabled.checked = !!(clip.processedBuffer && clip.audioBuffer === clip.processedBuffer);
+    }
+
+    function _renderProcessingValues() {
+        procStrengthValue.textContent = `${procStrength.value}%`;
+        procSpeedValue.textContent = `${procSpeed.value}%`;
+    }
+
+    procStrength.addEventListener('input', _renderProcessingValues);
+    procSpeed.addEventListener('input', _renderProcessingValues);
+
+    /**
+     * The reference melody in seconds of the original recording, as it will line up once the
+     * new tempo applies.
+     */
+    function _melodyForClip(clip, source, settings) {
+        const zeroAt = clip.startTime - source.trimStart / settings.speed;
+        return Pitch.getMelody()
+            .map(n => ({ midi: n.midi, start: (n.start - zeroAt) * settings.speed, end: (n.end - zeroAt) * settings.speed }))
+            .filter(n => n.end > 0 && n.start < source.audioBuffer.duration);
+    }
+
+    procApply.addEventListener('click', async () => {
+        if (!fxTarget || fxTarget.type !== 'clip' || processingClipId !== null) return;
+        const id = fxTarget.id;
+        const clip = Recorder.getClip(id);
+        const source = Recorder.getOriginalAudio(id);
+        if (!clip || !source) return;
+
+        // The clip keeps its own noise clean-up unless a different one is picked
+        const current = ClipProcessor.normalize(clip.processing).noise;
+        const noise = current && current.mode === procNoise.value
+            ? current
+            : Cleanup.noiseSettings(Recorder.getInputInfo().deviceId, procNoise.value);
+        if (procNoise.value === 'reduce' && !noise) {
+            procStatus.textContent = 'Noise reduction needs a room tone — capture one under Clean.';
+            return;
+        }
+
+        const settings = ClipProcessor.normalize({
+            key: procKey.value || null,
+            strength: procStrength.value / 100,
+            speed: procSpeed.value / 100,
+            noise,
+        });
+        if (!ClipProcessor.isActive(settings)) {
+            procStatus.textContent = 'Nothing to do — choose a key to correct toward, change the tempo or clean up noise.';
+            return;
+        }
+
+        const showing = () => fxTarget && fxTarget.type === 'clip' && fxTarget.id === id;
+        processingClipId = id;
+        procApply.disabled = true;
+        procStatus.textContent = 'Processing…';
+        try {
+            const melody = settings.key === 'melody' ? _melodyForClip(clip, source, settings) : [];
+            const buffer = await ClipProcessor.process(source.audioBuffer, settings, melody, (progress) => {
+                if (showing()) procStatus.textContent = `Processing… ${Math.round(progress * 100)}%`;
+            });
+            if (!Recorder.getClip(id)) return;
+
+            const before = _clipSnapshot([id]);
+            Recorder.applyProcessing(id, settings, buffer);
+            _pushClipEdit('Processing', before);
+            _afterClipProcessing(id);
+            if (showing()) procStatus.textContent = 'Done.';
+        } catch (err) {
+            console.error('Processing failed:', err);
+            if (showing()) procStatus.textContent = `Processing failed: ${err.message}`;
+        } finally {
+            processingClipId = null;
+            _renderProcessing();
+        }
+    });
+
+    procEnabled.addEventListener('change', () => {
+        if (!fxTarget || fxTarget.type !== 'clip') return;
+        const id = fxTarget.id;
+        const before = _clipSnapshot([id]);
+        Recorder.setProcessingEnabled(id, procEnabled.checked);
+        _pushClipEdit(procEnabled.checked ? 'Processing on' : 'Processing off', before);
+        _afterClipProcessing(id);
+    });
+
+    /**
+     * Save a clip whose audio changed (the whole record, buffers included) and refresh everything.
+     */
+    function _afterClipProcessing(id) {
+        const clip = Recorder.getClip(id);
+        if (!clip) return;
+        _persist(ClipStore.saveClip(clip, AudioEngine.getClipGain(id)));
+        _renderRecTimeline();
+        _restartClipPlayback();
+        _analysePitch([clip]);
+        _renderEffects();
+    }
+
+    // ── Alignment (clips only) ──
+
+    const alignSection = document.getElementById('align-section');
+    const alignReference = document.getElementById('align-reference');
+    const alignWindow = document.getElementById('align-window');
+    const alignRun = document.getElementById('align-run');
+    const alignStatus = document.getElementById('align-status');
+
+    let isAligning = false;
+
+    Aligner.getWindows().forEach(w => {
+        alignWindow.appendChild(new Option(w < 1 ? `± ${Math.round(w * 1000)} ms` : `± ${w} s`, String(w)));
+    });
+
+    function _renderAlignment() {
+        const clip = fxTarget && fxTarget.type === 'clip' ? Recorder.getClip(fxTarget.id) : null;
+        alignSection.classList.toggle('hidden', !clip);
+        if (!clip) return;
+        const { reference, window } = Aligner.getSettings();
+        alignReference.value = reference;
+        alignWindow.value = String(window);
+        alignRun.disabled = isAligning;
+    }
+
+    alignReference.addEventListener('change', () => Aligner.setSettings({ reference: alignReference.value }));
+    alignWindow.addEventListener('change', () => Aligner.setSettings({ window: Number(alignWindow.value) }));
+
+    alignRun.addEventListener('click', async () => {
+        if (!fxTarget || fxTarget.type !== 'clip' || isAligning) return;
+        const id = fxTarget.id;
+        const clip = Recorder.getClip(id);
+        if (!clip) return;
+        const { reference, window } = Aligner.getSettings();
+
+        const showing = () => fxTarget && fxTarget.type === 'clip' && fxTarget.id === id;
+        isAligning = true;
+        alignRun.disabled = true;
+        alignStatus.textContent = 'Looking for the best match…';
+        try {
+            const result = await Aligner.align(clip, await _alignmentReference(id, reference), window);
+            const current = Recorder.getClip(id);
+            const confidence = `confidence ${Math.round(result.confidence * 100)}%`;
+            const ms = Math.round(result.offset * 1000);
+            let message;
+            if (!current || current.startTime !== clip.startTime) {
+                message = 'The clip changed while it was being analysed — try again.';
+            } else if (result.confidence < ALIGN_MIN_CONFIDENCE) {
+                message = `No clear match (${confidence}), so the clip was left where it is.`;
+            } else if (ms === 0) {
+                message = `Already lined up (${confidence}).`;
+            } else {
+                _moveClip(id, result.startTime, undefined, 'Auto-align');
+                message = `Moved ${ms > 0 ? 'later' : 'earlier'} by ${Math.abs(ms)} ms (${confidence}).`;
+            }
+            if (showing()) alignStatus.textContent = message;
+        } catch (err) {
+            console.error('Auto-align failed:', err);
+            if (showing()) alignStatus.textContent = `Auto-align failed: ${err.message}`;
+        } finally {
+            isAligning = false;
+            _renderAlignment();
+        }
+    });
+
+    /**
+     * What to line a clip up with: the original audio, or what's heard on the lead (first) track.
+     */
+    async function _alignmentReference(clipId, reference) {
+        if (reference === 'lead') {
+            const leadId = Tracks.getAll()[0].id;
+            const clips = Recorder.getCompedClips()
+                .filter(c => c.id !== clipId && Tracks.resolveTrackId(c.trackId) === leadId);
+            if (clips.length === 0) throw new Error('There is nothing else on the lead track to line up with.');
+            return { clips };
+        }
+        try {
+            return { audioBuffer: await AudioEngine.loadOriginalAudio(Exporter.getOriginalMediaUrl()) };
+        } catch (err) {
+            throw new Error(`The original audio could not be loaded (${err.message}).`);
+        }
+    }
+
+    // ── Loudness (clips only) ──
+    // Integrated loudness and true peak (see Loudness) of the clip as it's heard: only the parts
+    // the comp uses, with its volume, fades and effects (its own, then its track's), before the
+    // track's volume.
+
+    const loudSection = document.getElementById('loud-section');
+    const loudClip = document.getElementById('loud-clip');
+    const loudMatch = document.getElementById('loud-match');
+    const loudStatus = document.getElementById('loud-status');
+
+    let isMatchingLevel = false;
+    let loudMeasureToken = 0;
+
+    function _renderLoudness() {
+        const clip = fxTarget && fxTarget.type === 'clip' ? Recorder.getClip(fxTarget.id) : null;
+        loudSection.classList.toggle('hidden', !clip);
+        if (!clip) return;
+        loudMatch.disabled = isMatchingLevel;
+
+        const token = ++loudMeasureToken;
+        loudClip.textContent = 'Measuring…';
+        _measureClip(_heardPieces(clip.id))
+            .then(result => {
+                if (token === loudMeasureToken) loudClip.textContent = Loudness.format(result);
+            })
+            .catch(err => {
+                console.warn('Could not measure the clip:', err);
+                if (token === loudMeasureToken) loudClip.textContent = '–';
+            });
+    }
+
+    loudMatch.addEventListener('click', async () => {
+        if (!fxTarget || fxTarget.type !== 'clip' || isMatchingLevel) return;
+        const id = fxTarget.id;
+        const showing = () => fxTarget && fxTarget.type === 'clip' && fxTarget.id === id;
+        loudMatch.disabled = true;
+        loudStatus.textContent = 'Comparing with the original…';
+        try {
+            const result = await _matchVocalLevel([id]);
+            if (showing()) loudStatus.textContent = _levelMatchSummary(result);
+        } catch (err) {
+            console.error('Level matching failed:', err);
+            if (showing()) loudStatus.textContent = `Level matching failed: ${err.message}`;
+        } finally {
+            if (showing()) _renderLoudness();
+        }
+    });
+
+    /**
+     * The pieces of a take the comp plays, or the whole take when none of it is heard.
+     */
+    function _heardPieces(id) {
+        const pieces = Recorder.getCompedClips().filter(c => c.id === id);
+        if (pieces.length) return pieces;
+        const clip = Recorder.getClip(id);
+        return clip ? [clip] : [];
+    }
+
+    /**
+     * Render pieces (each { startTime, duration }) back to back in stereo at `rate` and measure
+     * them together. `schedule(ctx, piece, when)` plays one piece from context time `when`.
+     */
+    async function _measurePieces(pieces, rate, schedule) {
+        const total = pieces.reduce((sum, p) => sum + p.duration, 0);
+        const ctx = new OfflineAudioContext(2, Math.max(1, Math.ceil(total * rate)), rate);
+        let when = 0;
+        pieces.forEach(piece => {
+            schedule(ctx, piece, when);
+            when += piece.duration;
+        });
+        return Loudness.measure(await ctx.startRendering());
+    }
+
+    /**
+     * Measure a take's pieces through its track's effects, panned centre, as its track bus plays them.
+     */
+    function _measureClip(pieces, rate = pieces[0].audioBuffer.sampleRate) {
+        const track = Tracks.get(Tracks.resolveTrackId(pieces[0].trackId));
+        let bus = null;
+        return _measurePieces(pieces, rate, (ctx, piece, when) => {
+            if (!bus) {
+                const panner = ctx.createStereoPanner();
+                panner.connect(ctx.destination);
+                bus = Effects.build(ctx, track ? track.fx : null);
+                bus.output.connect(panner);
+            }
+            AudioEngine.scheduleClip(ctx, piece, bus.input, when);
+        });
+    }
+
+    /**
+     * Loudness of the singing in the original over the stretches of video the pieces cover: the
+     * original less the instrumental, when instrumentals cover them all. Otherwise the whole
+     * original is used (`separated` false), which puts the vocal a little higher than it really is.
+     */
+    async function _originalVocalLoudness(original, pieces) {
+        const playFrom = (buffer, offset) => (ctx, piece, when) => {
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.connect(ctx.destination);
+            source.start(when, Math.max(0, piece.startTime - offset), piece.duration);
+        };
+        const total = (await _measurePieces(pieces, original.sampleRate, playFrom(original, 0))).integrated;
+
+        const tracks = AudioEngine.getInstrumentalTracks();
+        const backings = pieces.map(piece => tracks.find(t => t.audioBuffer
+            && t.startTime <= piece.startTime && t.startTime + t.duration >= piece.startTime + piece.duration));
+        if (backings.some(t => !t)) return { lufs: total, separated: false };
+
+        const instrumental = (await _measurePieces(pieces, original.sampleRate, (ctx, piece, when) => {
+            const backing = backings[pieces.indexOf(piece)];
+            playFrom(backing.audioBuffer, backing.startTime)(ctx, piece, when);
+        })).integrated;
+        return { lufs: Loudness.without(total, instrumental), separated: true };
+    }
+
+    /**
+     * Set each clip's volume so the parts of it that are heard come out as loud as the original
+     * vocal over the same stretches, allowing for its track's effects and volume. One undo step for all of them.
+     * Resolves to { matched, separated, skipped, clamped } counts, or null when already running.
+     */
+    async function _matchVocalLevel(ids) {
+        if (isMatchingLevel) return null;
+        isMatchingLevel = true;
+        try {
+            let original;
+            try {
+                original = await AudioEngine.loadOriginalAudio(Exporter.getOriginalMediaUrl());
+            } catch (err) {
+                throw new Error(`The original audio could not be loaded (${err.message}).`);
+            }
+
+            const gains = {};
+            const result = { matched: 0, separated: 0, skipped: 0, clamped: 0 };
+            for (const id of ids) {
+                const clip = Recorder.getClip(id);
+                if (!clip) continue;
+                const pieces = _heardPieces(id);
+                const vocal = await _originalVocalLoudness(original, pieces);
+                const heard = (await _measureClip(pieces, original.sampleRate)).integrated;
+                if (!isFinite(vocal.lufs) || !isFinite(heard)) {
+                    result.skipped++;
+                    continue;
+                }
+                const track = Tracks.get(Tracks.resolveTrackId(clip.trackId));
+                const trackDb = track && track.volume > 0 ? 20 * Math.log10(track.volume) : 0;
+                const gain = AudioEngine.getClipGain(id) * Math.pow(10, (vocal.lufs - heard - trackDb) / 20);
+                if (gain > LEVEL_MATCH_MAX_GAIN) result.clamped++;
+                gains[id] = Math.min(gain, LEVEL_MATCH_MAX_GAIN);
+                result.matched++;
+                if (vocal.separated) result.separated++;
+            }
+
+            // Applied together once everything is measured, so the undo step is all or nothing
+            const changed = Object.keys(gains).map(Number).filter(id => Recorder.getClip(id));
+            if (changed.length) {
+                const before = _clipSnapshot(changed);
+                changed.forEach(id => {
+                    AudioEngine.setClipVolume(id, gains[id]);
+                    _persist(ClipStore.updateClip(id, { gain: gains[id] }));
+                });
+                _pushClipEdit('Match vocal level', before);
+            }
+            return result;
+        } finally {
+            isMatchingLevel = false;
+        }
+    }
+
+    function _levelMatchSummary(result) {
+        if (!result) return 'Already matching levels — try again in a moment.';
+        if (!result.matched) return 'Nothing to match: the recording or the original is silent there.';
+        const count = result.matched === 1 ? 'the recording' : `${result.matched} recordings`;
+        let message = `Set ${count} to the original vocal's level.`;
+        if (result.skipped) message += ` ${result.skipped} left as before (silent, or nothing sung there originally).`;
+        if (result.clamped) message += ` ${result.clamped} would need more than +12 dB, so stopped there.`;
+        if (result.separated < result.matched) {
+            const which = result.matched === 1 ? 'it' : 'they';
+            message += ` Without an instrumental to take out, the whole original was the reference, so ${which} may sit a little loud.`;
+        }
+        return message;
     }
 
+    // ══════════════════════════════════════════
+    // ── MICROPHONE SETTINGS ──
+    // ══════════════════════════════════════════
+
+    const btnMic = document.getElementById('btn-mic');
+    const micModal = document.getElementById('mic-modal');
+    const micDevice = document.getElementById('mic-device');
+    const micChannels = document.getElementById('mic-channels');
+    const micEcho = document.getElementById('mic-echo');
+    const micNoise = document.getElementById('mic-noise');
+    const micAgc = document.getElementById('mic-agc');
+    const micStatus = document.getElementById('mic-status');
+
+    btnMic.addEventListener('click', async () => {
+        if (isRecordingMode) return;
+        micStatus.textContent = '';
+        micModal.classList.remove('hidden');
+        // Device names are only listed once mic access has been granted
+        if (!Recorder.hasMic()) {
+            AudioEngine.resumeContext();
+            await Recorder.requestMic();
+        }
+        _renderMicSettings();
+    });
+
+    function _closeMicModal() {
+        micModal.classList.add('hidden');
+    }
+
+    document.getElementById('mic-close').addEventListener('click', _closeMicModal);
+    document.getElementById('mic-modal-backdrop').addEventListener('click', _closeMicModal);
+
+    async function _renderMicSettings() {
+        const settings = Recorder.getMicSettings();
+        let devices = [];
+        try {
+            devices = await Recorder.listInputDevices();
+        } catch (err) {
+            console.warn('Could not list input devices:', err);
+        }
+
+        micDevice.innerHTML = '';
+        micDevice.appendChild(new Option('System default', ''));
+        devices
+            .filter(d => d.deviceId && d.deviceId !== 'default')
+            .forEach(d => micDevice.appendChild(new Option(d.label, d.deviceId)));
+        if (settings.deviceId && !devices.some(d => d.deviceId === settings.deviceId)) {
+            micDevice.appendChild(new Option('Previously chosen microphone (not connected)', settings.deviceId));
+        }
+        micDevice.value = settings.deviceId || '';
+
+        micChannels.value = String(settings.channelCount);
+        micEcho.checked = settings.echoCancellation;
+        micNoise.checked = settings.noiseSuppression;
+        micAgc.checked = settings.autoGainControl;
+    }
+
+    async function _applyMicSettings(changes) {
+        if (isRecordingMode) return;
+        micStatus.textContent = 'Applying…';
+        const ok = await Recorder.setMicSettings(changes);
+        micStatus.textContent = ok ? '' : 'Could not open the microphone with these settings.';
+        _renderMicSettings();
+        if (!latencyModal.classList.contains('hidden')) _renderLatency();
+    }
+
+    micDevice.addEventListener('change', () => _applyMicSettings({ deviceId: micDevice.value || null }));
+    micChannels.addEventListener('change', () => _applyMicSettings({ channelCount: Number(micChannels.value) }));
+    micEcho.addEventListener('change', () => _applyMicSettings({ echoCancellation: micEcho.checked }));
+    micNoise.addEventListener('change', () => _applyMicSettings({ noiseSuppression: micNoise.checked }));
+    micAgc.addEventListener('change', () => _applyMicSettings({ autoGainControl: micAgc.checked }));
+
+    // Plugging or unplugging a device refreshes the list
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            if (!micModal.classList.contains('hidden')) _renderMicSettings();
+        });
+    }
+
+    // The chosen mic is missing when opening it, or was unplugged while in use
+    Recorder.setOnDeviceLost((deviceId, wasRecording) => {
+        if (wasRecording && isRecordingMode) _finishRecording();
+        const message = wasRecording
+            ? 'The microphone was disconnected. What was recorded up to that point has been kept.'
+            : Recorder.hasMic()
+                ? 'The chosen microphone is not connected, so the system default is being used.'
+                : 'The microphone was disconnected.';
+        if (!micModal.classList.contains('hidden')) {
+            micStatus.textContent = message;
+            _renderMicSettings();
+        } else {
+            alert(message);
+        }
+    });
+
+    // ══════════════════════════════════════════
+    // ── LATENCY CALIBRATION ──
+    // ══════════════════════════════════════════
+
+    const btnLatency = document.getElementById('btn-latency');
+    const latencyModal = document.getElementById('latency-modal');
+    const latencyValue = document.getElementById('latency-value');
+    const latencySource = document.getElementById('latency-source');
+    const latencyMeasure = document.getElementById('latency-measure');
+    const latencyReset = document.getElementById('latency-reset');
+    const latencyNudge = document.getElementById('latency-nudge');
+    const latencyNudgeValue = document.getElementById('latency-nudge-value');
+    const latencyStatus = document.getElementById('latency-status');
+
+    const ms = (seconds) => `${Math.round(seconds * 1000)} ms`;
+
+    btnLatency.addEventListener('click', async () => {
+        if (isRecordingMode) return;
+        latencyStatus.textContent = '';
+        latencyModal.classList.remove('hidden');
+        // The offset is stored per microphone, so we need to know which one is in use
+        if (!Recorder.getInputInfo().deviceId) await Recorder.requestMic();
+        _renderLatency();
+    });
+
+    function _closeLatencyModal() {
+        latencyModal.classList.add('hidden');
+    }
+
+    document.getElementById('latency-close').addEventListener('click', _closeLatencyModal);
+    document.getElementById('latency-modal-backdrop').addEventListener('click', _closeLatencyModal);
+
+    function _renderLatency() {
+        const { deviceId, latency } = Recorder.getInputInfo();
+        const offset = Latency.getOffset(deviceId, latency);
+        latencyValue.textContent = ms(offset.total);
+        latencySource.textContent = offset.measured !== null
+            ? `measured ${ms(offset.measured)}`
+            : `estimated from the browser (${ms(offset.estimated)})`;
+        latencyNudge.value = Math.round(offset.nudge * 1000);
+        latencyNudgeValue.textContent = ms(offset.nudge);
+        latencyReset.disabled = offset.measured === null;
+    }
+
+    latencyMeasure.addEventListener('click', async () => {
+        latencyMeasure.disabled = true;
+        latencyReset.disabled = true;
+        try {
+            const measured = await Latency.measure(Recorder.getInputInfo().deviceId, (text) => {
+                latencyStatus.textContent = text;
+            });
+            latencyStatus.textContent = `Measured ${ms(measured)}. New takes will be moved to match.`;
+        } catch (err) {
+            console.error('Latency measurement failed:', err);
+            latencyStatus.textContent = err.message;
+        }
+        latencyMeasure.disabled = false;
+        _renderLatency();
+    });
+
+    latencyReset.addEventListener('click', () => {
+        Latency.clearMeasurement(Recorder.getInputInfo().deviceId);
+        latencyStatus.textContent = '';
+        _renderLatency();
+    });
+
+    latencyNudge.addEventListener('input', () => {
+        Latency.setNudge(Recorder.getInputInfo().deviceId, Number(latencyNudge.value) / 1000);
+        _renderLatency();
+    });
+
+    // ══════════════════════════════════════════
+    // ── TAKE CLEAN-UP ──
+    // ══════════════════════════════════════════
+    // Silence trimming happens in Recorder as a take comes in (see setSilenceDetection above);
+    // noise clean-up is processing (see ClipProcessor), applied once the take is in.
+
+    const btnCleanup = document.getElementById('btn-cleanup');
+    const cleanupModal = document.getElementById('cleanup-modal');
+    const cleanupTrim = document.getElementById('cleanup-trim');
+    const cleanupSilence = document.getElementById('cleanup-silence');
+    const cleanupSilenceValue = document.getElementById('cleanup-silence-value');
+    const cleanupNoise = document.getElementById('cleanup-noise');
+    const cleanupGate = document.getElementById('cleanup-gate');
+    const cleanupGateValue = document.getElementById('cleanup-gate-value');
+    const cleanupReduction = document.getElementById('cleanup-reduction');
+    const cleanupReductionValue = document.getElementById('cleanup-reduction-value');
+    const cleanupRoomTone = document.getElementById('cleanup-room-tone');
+    const cleanupProfile = document.getElementById('cleanup-profile');
+    const cleanupPreview = document.getElementById('cleanup-preview');
+    const cleanupPreviewDesc = document.getElementById('cleanup-preview-desc');
+    const cleanupWave = document.getElementById('cleanup-wave');
+    const cleanupRemoved = document.getElementById('cleanup-removed');
+    const cleanupLead = document.getElementById('cleanup-lead');
+    const cleanupTrail = document.getElementById('cleanup-trail');
+    const cleanupActions = document.getElementById('cleanup-actions');
+    const cleanupPlayKept = document.getElementById('cleanup-play-kept');
+    const cleanupPlayRemoved = document.getElementById('cleanup-play-removed');
+    const cleanupStatus = document.getElementById('cleanup-status');
+
+    let cleanupPreviewData = null;   // { lead, trail, kept, removed } for the latest take
+    let cleanupPreviewTimer = null;
+    let cleanupPreviewToken = 0;     // bumped per preview, so a slow one can't overwrite a newer one
+    let cleanupSource = null;        // preview audio being played
+
+    /**
+     * Run the noise clean-up on a new take, as its own undoable step. Returns whether it started;
+     * the pitch curve is then worked out once the cleaned audio is in.
+     */
+    function _cleanUpTake(id) {
+        const settings = ClipProcessor.normalize({ key: null, noise: Cleanup.noiseSettings(Recorder.getInputInfo().deviceId) });
+        if (!ClipProcessor.isSupported() || !ClipProcessor.isActive(settings)) return false;
+
+        ClipProcessor.process(Recorder.getOriginalAudio(id).audioBuffer, settings)
+            .then(buffer => {
+                const clip = Recorder.getClip(id);
+                if (!clip || clip.processing) return;  // undone, deleted or processed by hand meanwhile
+                const before = _clipSnapshot([id]);
+                Recorder.applyProcessing(id, settings, buffer);
+                _pushClipEdit('Noise clean-up', before);
+                _afterClipProcessing(id);
+            })
+            .catch(err => {
+                console.error('Noise clean-up failed:', err);
+                const clip = Recorder.getClip(id);
+                if (clip) _analysePitch([clip]);
+            });
+        return true;
+    }
+
+    btnCleanup.addEventListener('click', async () => {
+        if (isRecordingMode) return;
+        cleanupStatus.textContent = '';
+        cleanupModal.classList.remove('hidden');
+        // Room tone is kept per microphone, so we need to know which one is in use
+        if (!Recorder.getInputInfo().deviceId) await Recorder.requestMic();
+        _renderCleanup();
+        _previewCleanup();
+    });
+
+    function _closeCleanupModal() {
+        cleanupModal.classList.add('hidden');
+        clearTimeout(cleanupPreviewTimer);
+        cleanupPreviewToken++;
+        _stopCleanupAudition();
+    }
+
+    document.getElementById('cleanup-close').addEventListener('click', _closeCleanupModal);
+    document.getElementById('cleanup-modal-backdrop').addEventListener('click', _closeCleanupModal);
+
+    function _renderCleanup() {
+        const settings = Cleanup.getSettings();
+        cleanupTrim.checked = settings.trimSilence;
+        cleanupSilence.value = settings.silenceThreshold;
+        cleanupSilence.disabled = !settings.trimSilence;
+        cleanupNoise.value = settings.noise;
+        cleanupGate.value = settings.gateThreshold;
+        cleanupGate.disabled = settings.noise !== 'gate';
+        cleanupReduction.value = Math.round(settings.reduction * 100);
+        cleanupReduction.disabled = settings.noise !== 'reduce';
+        _renderCleanupValues();
+
+        const profile = Cleanup.getProfile(Recorder.getInputInfo().deviceId);
+        cleanupProfile.textContent = profile
+            ? `Room tone for this microphone: ${Math.round(profile.floorDb)} dB.`
+            : 'No room tone captured for this microphone yet.';
+    }
+
+    function _renderCleanupValues() {
+        cleanupSilenceValue.textContent = `${cleanupSilence.value} dB`;
+        cleanupGateValue.textContent = `${cleanupGate.value} dB`;
+        cleanupReductionValue.textContent = `${cleanupReduction.value}%`;
+    }
+
+    function _changeCleanup(changes) {
+        Cleanup.setSettings(changes);
+        _renderCleanup();
+        clearTimeout(cleanupPreviewTimer);
+        cleanupPreviewTimer = setTimeout(_previewCleanup, CLEANUP_PREVIEW_DELAY_MS);
+    }
+
+    cleanupTrim.addEventListener('change', () => _changeCleanup({ trimSilence: cleanupTrim.checked }));
+    cleanupSilence.addEventListener('input', () => _changeCleanup({ silenceThreshold: Number(cleanupSilence.value) }));
+    cleanupNoise.addEventListener('change', () => _changeCleanup({ noise: cleanupNoise.value }));
+    cleanupGate.addEventListener('input', () => _changeCleanup({ gateThreshold: Number(cleanupGate.value) }));
+    cleanupReduction.addEventListener('input', () => _changeCleanup({ reduction: cleanupReduction.value / 100 }));
+
+    cleanupRoomTone.addEventListener('click', async () => {
+        cleanupRoomTone.disabled = true;
+        cleanupProfile.textContent = 'Listening to the room… keep quiet.';
+        let message = null;
+        try {
+            const profile = await Cleanup.captureRoomTone(Recorder.getInputInfo().deviceId);
+            if (!profile) message = 'Microphone access is needed to capture room tone.';
+        } catch (err) {
+            console.error('Room tone capture failed:', err);
+            message = `Could not capture room tone: ${err.message}`;
+        }
+        cleanupRoomTone.disabled = false;
+        _changeCleanup({});
+        if (message) cleanupProfile.textContent = message;
+    });
+
+    /**
+     * Show what the current settings would take out of the latest take: the original waveform,
+     * the trimmed silence shaded at either end and the noise removed drawn over it in red.
+     */
+    async function _previewCleanup() {
+        const token = ++cleanupPreviewToken;
+        _stopCleanupAudition();
+        const latest = Recorder.getAllClips().reduce((found, c) => (!found || c.id > found.id ? c : found), null);
+        cleanupPreview.classList.toggle('hidden', !latest);
+        cleanupActions.classList.toggle('hidden', !latest);
+        cleanupPreviewData = null;
+        if (!latest) {
+            cleanupPreviewDesc.textContent = 'Record a take to see what would be removed from it.';
+            cleanupStatus.textContent = '';
+            return;
+        }
+
+        const original = Recorder.getOriginalAudio(latest.id).audioBuffer;
+        const settings = Cleanup.getSettings();
+        const { lead, trail } = settings.trimSilence
+            ? Cleanup.findSilence(original, 0, original.duration)
+            : { lead: 0, trail: 0 };
+        cleanupPreviewDesc.textContent = `${latest.name}, as it was recorded.`;
+
+        let kept = original;
+        let removed = null;
+        const noise = Cleanup.noiseSettings(Recorder.getInputInfo().deviceId);
+        let message = settings.noise === 'reduce' && !noise ? 'Noise reduction needs a room tone first.' : '';
+        if (noise && ClipProcessor.isSupported()) {
+            cleanupStatus.textContent = 'Working out the preview…';
+            try {
+                kept = await ClipProcessor.process(original, { key: null, noise });
+                removed = _differenceBuffer(original, kept);
+            } catch (err) {
+                console.error('Clean-up preview failed:', err);
+                message = `Could not preview the noise clean-up: ${err.message}`;
+            }
+            if (token !== cleanupPreviewToken) return;
+        }
+        cleanupPreviewData = { lead, trail, kept, removed };
+
+        Waveform.draw(cleanupWave, original, { color: 'rgba(255, 255, 255, 0.35)' });
+        Waveform.draw(cleanupRemoved, removed, { color: 'rgba(255, 107, 107, 0.85)' });
+        cleanupLead.style.left = '0';
+        cleanupLead.style.width = `${lead / original.duration * 100}%`;
+        cleanupTrail.style.right = '0';
+        cleanupTrail.style.width = `${trail / original.duration * 100}%`;
+        cleanupPlayRemoved.disabled = !removed;
+
+        if (!message) {
+            const parts = [];
+            if (settings.trimSilence) parts.push(`Trims ${lead.toFixed(2)} s at the start and ${trail.toFixed(2)} s at the end.`);
+            if (removed) parts.push(`The noise taken out averages ${_levelDb(removed)} dB.`);
+            message = parts.length ? parts.join(' ') : 'Clean-up is off.';
+        }
+        cleanupStatus.textContent = message;
+    }
+
+    /**
+     * `a` minus `b`, sample by sample (same length and channels).
+     */
+    function _differenceBuffer(a, b) {
+        const out = AudioEngine.getAudioContext().createBuffer(a.numberOfChannels, a.length, a.sampleRate);
+        for (let ch = 0; ch < a.numberOfChannels; ch++) {
+            const x = a.getChannelData(ch);
+            const y = b.getChannelData(Math.min(ch, b.numberOfChannels - 1));
+            const d = out.getChannelData(ch);
+            for (let i = 0; i < d.length; i++) d[i] = x[i] - (y[i] || 0);
+        }
+        return out;
+    }
+
+    /**
+     * RMS level of a buffer in whole dB.
+     */
+    function _levelDb(buffer) {
+        let sum = 0;
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const data = buffer.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+        }
+        const rms = Math.sqrt(sum / (buffer.length * buffer.numberOfChannels));
+        return rms > 0 ? Math.round(20 * Math.log10(rms)) : -Infinity;
+    }
+
+    function _auditionCleanup(which) {
+        _stopCleanupAudition();
+        if (!cleanupPreviewData) return;
+        const { lead, trail, kept, removed } = cleanupPreviewData;
+        const buffer = which === 'removed' ? removed : kept;
+        if (!buffer) return;
+
+        AudioEngine.resumeContext();
+        const ctx = AudioEngine.getAudioContext();
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(ctx.destination);
+        if (which === 'removed') source.start();
+        else source.start(0, lead, Math.max(0, buffer.duration - lead - trail));
+        source.onended = () => {
+            if (cleanupSource === source) cleanupSource = null;
+        };
+        cleanupSource = source;
+    }
+
+    function _stopCleanupAudition() {
+        if (!cleanupSource) return;
+        try { cleanupSource.stop(); } catch (e) { /* already stopped */ }
+        cleanupSource = null;
+    }
+
+    cleanupPlayKept.addEventListener('click', () => _auditionCleanup('kept'));
+    cleanupPlayRemoved.addEventListener('click', () => _auditionCleanup('removed'));
+
     // ══════════════════════════════════════════
     // ── EXPORT (Phase 3) ──
     // ══════════════════════════════════════════
 
     let isExporting = false;
+    let exportStartedAt = 0;
+
+    // Real-time exports play the whole video; warn before anything longer than this
+    const LONG_EXPORT_SECONDS = 60;
 
     function _openExportModal() {
         exportModal.classList.remove('hidden');
         _setExportButtons(true);
         exportProgress.classList.add('hidden');
+        _updateExportEstimates();
+        _renderExportSettings();
+        _updateStorageInfo();
+        loudnessMix.textContent = 'Not measured';
+        loudnessStatus.textContent = '';
+    }
+
+    function _updateExportEstimates() {
+        const duration = VideoPlayer.getDuration();
+        dlMixedAudioEstimate.textContent = duration ? 'Renders in a few seconds' : '';
+        if (!duration) {
+            dlMixedVideoEstimate.textContent = '';
+        } else if (Exporter.supportsWebCodecs()) {
+            dlMixedVideoEstimate.textContent = 'Usually faster than real time';
+        } else {
+            // Encoded as it plays, so there's no finished mix to bring to a loudness target
+            const loudness = Exporter.getOptions().loudness ? ', loudness as mixed' : '';
+            dlMixedVideoEstimate.textContent = `Takes about ${formatTime(duration)} (plays in real time${loudness})`;
+        }
     }
 
     function _closeExportModal() {
@@ -293,39 +1978,184 @@
         exportModal.classList.add('hidden');
     }
 
+    // ── Format & quality options ──
+
+    try {
+        const savedOptions = JSON.parse(localStorage.getItem('thiptines_export_options') || 'null');
+        if (savedOptions) Exporter.setOptions(savedOptions);
+    } catch (e) { /* ignore malformed saved options */ }
+    // Opus chosen in a browser that can encode it, now opened in one that can't
+    if (Exporter.getOptions().audioFormat === 'opus' && !Exporter.supportsOpus()) {
+        Exporter.setOptions({ audioFormat: 'wav16' });
+    }
+
+    const LOUDNESS_USES = { '-14': 'streaming', '-16': 'podcasts', '-23': 'broadcast' };
+
+    function _renderExportSettings() {
+        const opts = Exporter.getOptions();
+        const duration = VideoPlayer.getDuration();
+        const videoEl = VideoPlayer.getElement();
+        const size = (bytes) => (duration ? ` · ~${formatBytes(bytes)}` : '');
+
+        _fillSelect(optAudioFormat, Object.keys(Exporter.AUDIO_FORMATS).map(key => ({
+            value: key,
+            label: Exporter.AUDIO_FORMATS[key].label
+                + (key === 'opus' && !Exporter.supportsOpus()
+                    ? ' (not supported here)'
+                    : size(Exporter.estimateAudioSize(key, opts.sampleRate, duration))),
+            disabled: key === 'opus' && !Exporter.supportsOpus(),
+        })), opts.audioFormat);
+        optOpusNote.classList.toggle('hidden', Exporter.supportsOpus());
+
+        const isOpus = opts.audioFormat === 'opus';
+        _fillSelect(optSampleRate, Exporter.SAMPLE_RATES.map(rate => ({
+            value: rate,
+            label: (rate ? `${(rate / 1000).toFixed(1)} kHz` : 'Same as source')
+                + (isOpus ? '' : size(Exporter.estimateAudioSize(opts.audioFormat, rate, duration))),
+        })), opts.sampleRate);
+        optSampleRate.disabled = isOpus; // Opus is always 48 kHz
+
+        const srcW = videoEl ? videoEl.videoWidth : 0;
+        const srcH = videoEl ? videoEl.videoHeight : 0;
+        _fillSelect(optVideoSize, Exporter.VIDEO_HEIGHTS.map(height => {
+            const dims = Exporter.getVideoSize(height, srcW, srcH);
+            return {
+                value: height,
+                label: `${height ? height + 'p' : 'Original'} (${dims.width}×${dims.height})`
+                    + size(Exporter.estimateVideoSize(dims, opts.videoQuality, duration)),
+            };
+        }), opts.videoHeight);
+
+        const currentDims = Exporter.getVideoSize(opts.videoHeight, srcW, srcH);
+        _fillSelect(optVideoQuality, Object.keys(Exporter.VIDEO_QUALITIES).map(key => ({
+            value: key,
+            label: Exporter.VIDEO_QUALITIES[key].label
+                + size(Exporter.estimateVideoSize(currentDims, key, duration)),
+        })), opts.videoQuality);
+
+        _fillSelect(optLoudness, Exporter.LOUDNESS_TARGETS.map(lufs => ({
+            value: lufs,
+            label: lufs ? `${lufs} LUFS${LOUDNESS_USES[lufs] ? ` (${LOUDNESS_USES[lufs]})` : ''}` : 'As mixed',
+        })), opts.loudness);
+    }
+
+    function _fillSelect(select, items, selected) {
+        select.innerHTML = '';
+        items.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.value;
+            option.textContent = item.label;
+            option.disabled = !!item.disabled;
+            option.selected = String(item.value) === String(selected);
+            select.appendChild(option);
+        });
+    }
+
+    function _onExportSettingChange() {
+        Exporter.setOptions({
+            audioFormat: optAudioFormat.value,
+            sampleRate: Number(optSampleRate.value),
+            videoHeight: Number(optVideoSize.value),
+            videoQuality: optVideoQuality.value,
+            loudness: Number(optLoudness.value),
+        });
+        localStorage.setItem('thiptines_export_options', JSON.stringify(Exporter.getOptions()));
+        _renderExportSettings();
+        _updateExportEstimates();
+    }
+
+    [optAudioFormat, optSampleRate, optVideoSize, optVideoQuality, optLoudness].forEach(select => {
+        select.addEventListener('change', _onExportSettingChange);
+    });
+
     btnDownload.addEventListener('click', _openExportModal);
     exportClose.addEventListener('click', _closeExportModal);
     exportBackdrop.addEventListener('click', _closeExportModal);
 
     function _setExportButtons(enabled) {
-        [dlOriginalVideo, dlRecordings].forEach(btn => {
+        [dlOriginalVideo, dlRecordings, dlMixedAudio, dlMixedVideo, dlInstrumentalMix, dlStems, dlProject, openProject].forEach(btn => {
             btn.disabled = !enabled;
             btn.style.opacity = enabled ? '1' : '0.4';
         });
+        loudnessMeasure.disabled = !enabled;
+        loudnessMatch.disabled = !enabled;
+        [optAudioFormat, optSampleRate, optVideoSize, optVideoQuality, optLoudness].forEach(select => {
+            select.disabled = !enabled || (select === optSampleRate && Exporter.getOptions().audioFormat === 'opus');
+        });
     }
 
     Exporter.setOnProgress((stage, pct) => {
         exportProgress.classList.remove('hidden');
         exportProgressFill.style.width = `${pct}%`;
-        exportProgressText.textContent = stage;
+        exportProgressText.textContent = stage + _remainingText(pct);
+        exportCancel.classList.toggle('hidden', !Exporter.isCancellable());
     });
 
+    function _remainingText(pct) {
+        if (!isExporting || pct <= 5 || pct >= 100) return '';
+        const elapsed = (performance.now() - exportStartedAt) / 1000;
+        const remaining = elapsed * (100 - pct) / pct;
+        return ` · about ${formatTime(Math.max(1, remaining))} left`;
+    }
+
     async function _runExport(exportFn) {
         if (isExporting) return;
         isExporting = true;
+        exportStartedAt = performance.now();
         _setExportButtons(false);
 
         try {
             await exportFn();
         } catch (err) {
-            console.error('Export failed:', err);
-            alert('Export failed: ' + err.message);
+            if (err.name === 'AbortError') {
+                exportProgressFill.style.width = '0%';
+                exportProgressText.textContent = 'Export cancelled';
+            } else {
+                console.error('Export failed:', err);
+                alert('Export failed: ' + err.message);
+            }
         }
 
         isExporting = false;
+        exportCancel.classList.add('hidden');
         _setExportButtons(true);
     }
 
+    /**
+     * Real-time exports replay the whole video through MediaRecorder.
+     * Confirm first when that will take a while.
+     */
+    function _runRealtimeExport(exportFn) {
+        if (isExporting) return;
+        const duration = VideoPlayer.getDuration();
+        if (duration > LONG_EXPORT_SECONDS) {
+            const ok = confirm(
+                `This export plays the whole video in real time and takes about ${formatTime(duration)}. ` +
+                'Keep this tab open and visible until it finishes — large videos can also use a lot of memory. Continue?'
+            );
+            if (!ok) return;
+        }
+
+        _stopPlaybackForExport();
+        _runExport(exportFn);
+    }
+
+    // Exports that replay the video drive it themselves — stop app playback first
+    function _stopPlaybackForExport() {
+        if (VideoPlayer.isPlaying()) {
+            VideoPlayer.pause();
+            _setPlayState(false);
+        }
+        AudioEngine.stopAllClips();
+    }
+
+    exportCancel.addEventListener('click', () => {
+        if (Exporter.cancel()) {
+            exportProgressText.textContent = 'Cancelling…';
+            exportCancel.classList.add('hidden');
+        }
+    });
+
     dlOriginalVideo.addEventListener('click', () => {
         // Direct download of the video file
         const a = document.createElement('a');
@@ -336,6 +2166,148 @@
         document.body.removeChild(a);
     });
     dlRecordings.addEventListener('click', () => _runExport(Exporter.downloadRecordedAudio));
+    dlInstrumentalMix.addEventListener('click', () => _runExport(Exporter.downloadInstrumentalMix));
+    dlMixedAudio.addEventListener('click', () => {
+        if (!Recorder.hasRecordings()) {
+            alert('No recordings to mix. Record something first!');
+            return;
+        }
+        // Rendered offline; may fall back to real-time capture if the file can't be decoded
+        _stopPlaybackForExport();
+        _runExport(Exporter.downloadMixedAudio);
+    });
+    dlStems.addEventListener('click', () => _runExport(Exporter.downloadStems));
+    dlMixedVideo.addEventListener('click', () => {
+        if (Exporter.supportsWebCodecs()) {
+            // Encoded offline; falls back to real-time capture if the source can't be decoded
+            _stopPlaybackForExport();
+            _runExport(Exporter.downloadMixedVideo);
+        } else {
+            _runRealtimeExport(Exporter.downloadMixedVideo);
+        }
+    });
+
+    // ── Loudness ──
+    // The mix is measured as the Mixed Audio export renders it, before any loudness target.
+
+    loudnessMeasure.addEventListener('click', () => _runLoudnessJob('Rendering the mix…', async () => {
+        let original = null;
+        try {
+            original = await AudioEngine.loadOriginalAudio(Exporter.getOriginalMediaUrl());
+        } catch (err) {
+            console.warn('Measuring without the original audio:', err);
+        }
+        const result = await Loudness.measure(await Exporter.renderMix(original, Recorder.getCompedClips()));
+        loudnessMix.textContent = Loudness.format(result);
+
+        const target = Exporter.getOptions().loudness;
+        if (!original) return 'Measured without the original audio, which could not be loaded.';
+        return target ? `Audio exports are brought to ${target} LUFS, peaking no higher than ${Loudness.CEILING} dBTP.` : '';
+    }));
+
+    loudnessMatch.addEventListener('click', () => {
+        if (!Recorder.hasRecordings()) {
+            alert('No recordings to match. Record something first!');
+            return;
+        }
+        _runLoudnessJob('Comparing the recordings with the original…', async () => {
+            // Only the takes that are heard; the others keep their volume
+            const ids = [...new Set(Recorder.getCompedClips().map(c => c.id))];
+            const summary = _levelMatchSummary(await _matchVocalLevel(ids));
+            loudnessMix.textContent = 'Not measured';
+            return summary;
+        });
+    });
+
+    /**
+     * Run a measurement from the export modal with the export buttons locked, reporting in the
+     * loudness status line (`job` resolves to the message to leave there).
+     */
+    async function _runLoudnessJob(message, job) {
+        if (isExporting) return;
+        isExporting = true;
+        _setExportButtons(false);
+        loudnessStatus.textContent = message;
+        try {
+            loudnessStatus.textContent = await job();
+        } catch (err) {
+            console.error('Loudness measurement failed:', err);
+            loudnessStatus.textContent = `Measurement failed: ${err.message}`;
+        } finally {
+            isExporting = false;
+            _setExportButtons(true);
+        }
+    }
+
+    // ── Project save / open ──
+
+    dlProject.addEventListener('click', () => {
+        if (!Recorder.hasRecordings()) {
+            alert('No recordings to save yet. Record something first!');
+            return;
+        }
+        const audioSource = audioSourceOriginal ? 'original'
+            : AudioEngine.hasInstrumentals() ? 'instrumental' : 'muted';
+        _runExport(async () => {
+            Project.save({ audioSource });
+        });
+    });
+
+    openProject.addEventListener('click', () => {
+        if (isExporting || isRecordingMode) return;
+        openProjectInput.value = '';
+        openProjectInput.click();
+    });
+
+    openProjectInput.addEventListener('change', async () => {
+        const file = openProjectInput.files[0];
+        if (!file) return;
+
+        // Let the saved session finish loading so it can't land on top of the project
+        await savedClipsRestored;
+
+        if (Recorder.hasRecordings() &&
+            !confirm('Opening a project replaces your current recordings. Continue?')) {
+            return;
+        }
+
+        let project;
+        try {
+            project = await Project.open(file, AudioEngine.getAudioContext());
+        } catch (err) {
+            console.error('Open project failed:', err);
+            alert('Could not open project: ' + err.message);
+            return;
+        }
+
+        if (project.videoSrc !== CONFIG.videoSrc &&
+            !confirm(`This project was recorded against a different video (${project.videoSrc}). Open it anyway?`)) {
+            return;
+        }
+
+        AudioEngine.stopAllClips();
+        Recorder.restoreClips(project.clips.map(p => p.clip));
+        project.clips.forEach(({ clip, gain }) => AudioEngine.setClipVolume(clip.id, gain));
+        Tracks.replaceAll(project.tracks, project.armedId);
+        EditHistory.clear();
+        AudioEngine.applyTrackMix();
+        _setAudioSource(project.audioSource === 'original');
+
+        _renderRecTimeline();
+        _updateRecTimelineVisibility();
+        _restartClipPlayback();
+        _analysePitch(Recorder.getAllClips());
+
+        // Replace the locally saved session with the opened project
+        if (ClipStore.isSupported()) {
+            _persist((async () => {
+                await ClipStore.clearAll();
+                for (const { clip, gain } of project.clips) {
+                    await ClipStore.saveClip(clip, gain);
+                }
+            })().finally(_updateStorageInfo));
+        }
+    });
 
     // ══════════════════════════════════════════
     // ── SECRET UNLOCK SYSTEM ──
@@ -365,6 +2337,7 @@
             btnToggleRec.classList.add('hidden');
             recPanel.classList.add('hidden');
         }
+        _updateRecTimelineVisibility();
     }
 
     btnToggleRec.addEventListener('click', () => {
@@ -376,6 +2349,7 @@
             recPanel.classList.add('hidden');
             btnToggleRec.classList.remove('active');
         }
+        _updateRecTimelineVisibility();
     });
 
     // Apply on load
@@ -433,4 +2407,11 @@
         return `${m}:${s.toString().padStart(2, '0')}`;
     }
 
+    function formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+
 })();
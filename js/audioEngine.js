@@ -1,7 +1,7 @@
 /**
  * Thiptine's Day — Audio Engine Module (Simplified)
- * Now only handles: Web Audio context, recording clip playback overlay, and export helpers.
- * Video provides all primary audio — this module just overlays recorded clips.
+ * Handles: Web Audio context, recording clip playback overlay, instrumental backing tracks, and export helpers.
+ * Video provides the original audio — this module overlays recorded clips and the instrumental bed.
  */
 
 const AudioEngine = (() => {
@@ -9,12 +9,38 @@ const AudioEngine = (() => {
     let masterGain = null;
     let activeClipSources = [];   // currently playing clip sources
     let clipGains = {};           // clipId → gain value (0-1)
+    let trackNodes = {};          // trackId → { input, fx, fxKey, gain, panner } feeding masterGain
+    let scheduler = null;         // look-ahead clip scheduler state (see startClipScheduler)
+
+    const LOOKAHEAD = 0.5;        // seconds of clip starts queued on the audio clock
+    const TICK_MS = 50;
+    const START_MARGIN = 0.02;    // never schedule closer to "now" than this
+    const JUMP_THRESHOLD = 0.25;  // video/audio disagreement treated as a seek or stall
+    const DRIFT_PRECISE = 0.008;  // allowed smoothed drift with per-frame video timing
+    const DRIFT_COARSE = 0.04;    // allowed smoothed drift when only currentTime is available
+    const DECLICK = 0.01;         // seconds — instrumentals ramp in and out over this when cut mid-way
+
+    // Instrumental backing track(s)
+    let instrumentalFade = null;      // 0 = original selected, 1 = instrumental selected
+    let instrumentalVolume = null;    // follows the player volume slider
+    let instrumentalTracks = [];      // Array of { url, startTime, duration, audioBuffer }
+    let activeInstrumentalSources = [];
+    let instrumentalActive = false;
+    const decodedInstrumentals = {};  // url → Promise<AudioBuffer>
+
+    let originalAudio = null;         // { url, promise } — decoded audio track of the video file
 
     function init() {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
         masterGain = audioContext.createGain();
         masterGain.gain.value = 0.8;
         masterGain.connect(audioContext.destination);
+
+        instrumentalVolume = audioContext.createGain();
+        instrumentalVolume.connect(audioContext.destination);
+        instrumentalFade = audioContext.createGain();
+        instrumentalFade.gain.value = 0;
+        instrumentalFade.connect(instrumentalVolume);
     }
 
     function getAudioContext() {
@@ -38,53 +64,214 @@ const AudioEngine = (() => {
             const clipEnd = clip.startTime + clip.duration;
             if (currentTime >= clip.startTime && currentTime < clipEnd) {
                 const offset = currentTime - clip.startTime;
-                _playClip(clip, offset);
+                _playClip(clip, audioContext.currentTime, offset);
             }
         });
     }
 
+    // ── Clip scheduler ──
+    // Video time is mapped onto the AudioContext clock through an anchor pair
+    // { videoTime, contextTime }. Clips and instrumental tracks starting within LOOKAHEAD are
+    // queued with source.start(when, offset); each tick re-measures the video against the anchor
+    // and re-anchors (rescheduling what's queued) when they drift apart.
+
     /**
-     * Start playing upcoming clips as video progresses.
-     * Returns a checker function to call on each frame.
+     * Keep `clips` and the instrumental tracks in sync with a playing video element until
+     * stopClipScheduler/stopAllClips. When already running for that element only the clips are
+     * swapped, so the instrumental carries on uninterrupted (e.g. after a clip edit).
      */
-    function createClipScheduler(clips) {
-        const started = new Set();
-
-        return function checkTime(currentTime) {
-            clips.forEach(clip => {
-                const clipEnd = clip.startTime + clip.duration;
-                if (currentTime >= clip.startTime && currentTime < clipEnd && !started.has(clip.id)) {
-                    started.add(clip.id);
-                    const offset = currentTime - clip.startTime;
-                    _playClip(clip, offset);
-                }
-            });
-        };
+    function startClipScheduler(clips, videoEl) {
+        if (scheduler && scheduler.videoEl === videoEl) {
+            scheduler.clips = clips;
+            _stopClipSources();
+            _tick();
+            return;
+        }
+        stopClipScheduler();
+        stopInstrumentals();
+        if (!audioContext) return;
+
+        scheduler = { clips, videoEl, anchor: null, drift: 0, lastFrame: null, frameHandle: null, timer: null };
+
+        // Per-frame presentation times give a far more precise video clock than currentTime
+        if (videoEl.requestVideoFrameCallback) {
+            const s = scheduler;
+            const onFrame = (now, metadata) => {
+                s.lastFrame = {
+                    mediaTime: metadata.mediaTime,
+                    displayTime: metadata.expectedDisplayTime,
+                    receivedAt: performance.now(),
+                };
+                s.frameHandle = videoEl.requestVideoFrameCallback(onFrame);
+            };
+            s.frameHandle = videoEl.requestVideoFrameCallback(onFrame);
+        }
+
+        scheduler.timer = setInterval(_tick, TICK_MS);
+        _tick();
     }
 
-    function _playClip(clip, offset = 0) {
-        if (!audioContext || !clip.audioBuffer) return;
+    function stopClipScheduler() {
+        if (!scheduler) return;
+        clearInterval(scheduler.timer);
+        if (scheduler.frameHandle !== null && scheduler.videoEl.cancelVideoFrameCallback) {
+            scheduler.videoEl.cancelVideoFrameCallback(scheduler.frameHandle);
+        }
+        scheduler = null;
+    }
 
-        const source = audioContext.createBufferSource();
-        source.buffer = clip.audioBuffer;
+    /**
+     * Where the video is on the audio clock: { videoTime, contextTime, precise }.
+     */
+    function _sampleVideoClock(s) {
+        const frame = s.lastFrame;
+        if (frame && performance.now() - frame.receivedAt < 250 && audioContext.getOutputTimestamp) {
+            const ts = audioContext.getOutputTimestamp();
+            if (ts.performanceTime) {
+                return {
+                    videoTime: frame.mediaTime,
+                    contextTime: ts.contextTime + (frame.displayTime - ts.performanceTime) / 1000,
+                    precise: true,
+                };
+            }
+        }
+        return { videoTime: s.videoEl.currentTime, contextTime: audioContext.currentTime, precise: false };
+    }
+
+    function _tick() {
+        const s = scheduler;
+        if (!s) return;
+        const video = s.videoEl;
+
+        if (video.ended) {
+            stopAllClips();
+            return;
+        }
+        // Paused, seeking or buffering — drop queued sources and re-anchor once the video moves again
+        if (video.paused || video.seeking || video.readyState < 3) {
+            _stopClipSources();
+            stopInstrumentals();
+            s.anchor = null;
+            return;
+        }
+        // Wait for the first frame to be shown, so nothing starts ahead of the picture
+        if (video.requestVideoFrameCallback && !s.lastFrame) return;
+
+        const rate = video.playbackRate || 1;
+        const sample = _sampleVideoClock(s);
+        if (!s.anchor) {
+            s.anchor = sample;
+            s.drift = 0;
+        } else {
+            const expected = s.anchor.videoTime + (sample.contextTime - s.anchor.contextTime) * rate;
+            const error = sample.videoTime - expected;
+            s.drift = s.drift * 0.8 + error * 0.2;   // smoothed — single frames jitter by a vsync
+            const tolerance = sample.precise ? DRIFT_PRECISE : DRIFT_COARSE;
+            if (Math.abs(error) > JUMP_THRESHOLD || Math.abs(s.drift) > tolerance) {
+                _stopClipSources();
+                stopInstrumentals();
+                s.anchor = sample;
+                s.drift = 0;
+            }
+        }
 
-        const gainNode = audioContext.createGain();
-        const vol = clipGains[clip.id] !== undefined ? clipGains[clip.id] : 0.8;
-        gainNode.gain.value = vol;
+        const { videoTime: v0, contextTime: c0 } = s.anchor;
+        const videoAt = (ctxTime) => v0 + (ctxTime - c0) * rate;
+        const contextAt = (videoTime) => c0 + (videoTime - v0) / rate;
 
-        source.connect(gainNode);
-        gainNode.connect(masterGain);
+        const earliest = audioContext.currentTime + START_MARGIN;
+        const horizon = videoAt(audioContext.currentTime + LOOKAHEAD);
 
-        source.start(0, offset);
-        activeClipSources.push({ source, gainNode, clipId: clip.id });
+        s.clips.forEach(clip => {
+            // Comped takes can play in several pieces, so pieces are told apart by object
+            if (!clip.audioBuffer || activeClipSources.some(a => a.clip === clip)) return;
+            const end = clip.startTime + clip.duration;
+            if (clip.startTime >= horizon) return;
+
+            const when = Math.max(contextAt(clip.startTime), earliest);
+            const from = Math.max(0, videoAt(when) - clip.startTime);
+            if (clip.startTime + from >= end) return;
+            _playClip(clip, when, from);
+        });
+
+        instrumentalTracks.forEach(track => {
+            if (activeInstrumentalSources.some(a => a.track === track)) return;
+            if (track.startTime >= horizon) return;
+
+            const when = Math.max(contextAt(track.startTime), earliest);
+            const from = Math.max(0, videoAt(when) - track.startTime);
+            if (from >= track.duration) return;
+            _playInstrumental(track, when, from);
+        });
+    }
+
+    function _playClip(clip, when, offset = 0) {
+        if (!audioContext || !clip.audioBuffer) return;
+
+        const { source, gainNode } = scheduleClip(
+            audioContext, clip, _getTrackInput(clip.trackId), when, offset
+        );
+        activeClipSources.push({ source, gainNode, clip, clipId: clip.id });
 
         source.onended = () => {
             activeClipSources = activeClipSources.filter(s => s.source !== source);
         };
     }
 
+    /**
+     * Schedule a clip's trimmed region, with its fades, in any audio context.
+     * Playback begins at context time `when`, `from` seconds into the trimmed clip.
+     * Chain: source → fade → clip gain → clip effects (if any) → destination. Returns { source, gainNode }.
+     */
+    function scheduleClip(ctx, clip, destination, when, from = 0) {
+        const duration = clip.duration;
+        const fadeIn = clip.fadeIn || 0;
+        const fadeOut = clip.fadeOut || 0;
+
+        const source = ctx.createBufferSource();
+        source.buffer = clip.audioBuffer;
+
+        // Fade envelope in clip time; t0 is the context time of the clip's first trimmed sample
+        const fade = ctx.createGain();
+        const t0 = when - from;
+        fade.gain.setValueAtTime(fadeIn > from ? from / fadeIn : 1, when);
+        if (fadeIn > from) fade.gain.linearRampToValueAtTime(1, t0 + fadeIn);
+        if (fadeOut > 0) {
+            const outStart = duration - fadeOut;
+            if (from < outStart) fade.gain.setValueAtTime(1, t0 + outStart);
+            else fade.gain.setValueAtTime((duration - from) / fadeOut, when);
+            fade.gain.linearRampToValueAtTime(0, t0 + duration);
+        }
+
+        const gainNode = ctx.createGain();
+        gainNode.gain.value = getClipGain(clip.id);
+
+        source.connect(fade);
+        fade.connect(gainNode);
+        if (clip.fx) {
+            const fx = Effects.build(ctx, clip.fx);
+            gainNode.connect(fx.input);
+            fx.output.connect(destination);
+        } else {
+            gainNode.connect(destination);
+        }
+
+        source.start(when, (clip.trimStart || 0) + from, duration - from);
+        return { source, gainNode };
+    }
+
+    /**
+     * Stop every playing or queued clip and instrumental, and the scheduler.
+     */
     function stopAllClips() {
+        stopClipScheduler();
+        _stopClipSources();
+        stopInstrumentals();
+    }
+
+    function _stopClipSources() {
         activeClipSources.forEach(({ source }) => {
+            source.onended = null;
             try { source.stop(); } catch (e) { /* already stopped */ }
         });
         activeClipSources = [];
@@ -92,16 +279,205 @@ const AudioEngine = (() => {
 
     function setClipVolume(clipId, vol) {
         clipGains[clipId] = vol;
-        const active = activeClipSources.find(s => s.clipId === clipId);
-        if (active) {
-            active.gainNode.gain.value = vol;
+        activeClipSources
+            .filter(s => s.clipId === clipId)
+            .forEach(s => { s.gainNode.gain.value = vol; });
+    }
+
+    // ── Track buses (effects / volume / pan / mute / solo) ──
+
+    function _getTrackInput(trackId) {
+        const id = Tracks.resolveTrackId(trackId);
+        if (!trackNodes[id]) {
+            const input = audioContext.createGain();
+            const gain = audioContext.createGain();
+            const panner = audioContext.createStereoPanner();
+            gain.connect(panner);
+            panner.connect(masterGain);
+            trackNodes[id] = { input, fx: null, fxKey: null, gain, panner };
+            _applyMix(id);
         }
+        return trackNodes[id].input;
+    }
+
+    /**
+     * Rebuild a track's effects chain when its settings have changed.
+     */
+    function _applyEffects(id) {
+        const nodes = trackNodes[id];
+        const track = Tracks.get(id);
+        const fx = track ? track.fx : null;
+        const key = JSON.stringify(fx || null);
+        if (nodes.fx && key === nodes.fxKey) return;
+
+        nodes.input.disconnect();
+        if (nodes.fx) nodes.fx.output.disconnect();
+        nodes.fx = Effects.build(audioContext, fx);
+        nodes.fxKey = key;
+        nodes.input.connect(nodes.fx.input);
+        nodes.fx.output.connect(nodes.gain);
+    }
+
+    function _applyMix(id) {
+        if (!Tracks.get(id)) return;
+        _applyEffects(id);
+        const { gain, pan } = Tracks.getMix(id);
+        trackNodes[id].gain.gain.setTargetAtTime(gain, audioContext.currentTime, 0.01);
+        trackNodes[id].panner.pan.setTargetAtTime(pan, audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Re-read every track's settings (call after any mute/solo/volume/pan or effects change).
+     */
+    function applyTrackMix() {
+        Object.keys(trackNodes).forEach(id => _applyMix(Number(id)));
     }
 
     function setMasterVolume(vol) {
         if (masterGain) masterGain.gain.value = vol;
     }
 
+    // ══════════════════════════════════════════
+    // Instrumental backing tracks
+    // ══════════════════════════════════════════
+
+    /**
+     * Fetch and decode instrumental files.
+     * `sources` is an array of { url, startTime, endTime } in video time (endTime may be Infinity).
+     */
+    async function loadInstrumentals(sources) {
+        stopInstrumentals();
+        const tracks = await Promise.all(sources.map(async (src) => {
+            try {
+                const audioBuffer = await _decodeInstrumental(src.url);
+                const end = Math.min(src.endTime, src.startTime + audioBuffer.duration);
+                return {
+                    url: src.url,
+                    startTime: src.startTime,
+                    duration: end - src.startTime,
+                    audioBuffer,
+                };
+            } catch (err) {
+                console.error(`Failed to load instrumental ${src.url}:`, err);
+                return null;
+            }
+        }));
+        instrumentalTracks = tracks.filter(t => t && t.duration > 0);
+        return instrumentalTracks.length;
+    }
+
+    function _decodeInstrumental(url) {
+        if (!decodedInstrumentals[url]) {
+            decodedInstrumentals[url] = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return res.arrayBuffer();
+                })
+                .then(ab => audioContext.decodeAudioData(ab));
+            decodedInstrumentals[url].catch(() => { delete decodedInstrumentals[url]; });
+        }
+        return decodedInstrumentals[url];
+    }
+
+    function hasInstrumentals() {
+        return instrumentalTracks.length > 0;
+    }
+
+    function hasInstrumentalAt(time) {
+        return instrumentalTracks.some(t => time >= t.startTime && time < t.startTime + t.duration);
+    }
+
+    function getInstrumentalTracks() {
+        return instrumentalTracks.slice();
+    }
+
+    /**
+     * Queue an instrumental track at context time `when`, `from` seconds in. The tracks always run
+     * alongside the video (scheduled with the clips); their level is controlled by setInstrumentalActive.
+     */
+    function _playInstrumental(track, when, from) {
+        const source = audioContext.createBufferSource();
+        source.buffer = track.audioBuffer;
+        const declick = audioContext.createGain();
+        if (from > 0) {
+            declick.gain.setValueAtTime(0, when);
+            declick.gain.linearRampToValueAtTime(1, when + DECLICK);
+        }
+        source.connect(declick);
+        declick.connect(instrumentalFade);
+        source.start(when, from, track.duration - from);
+        activeInstrumentalSources.push({ source, declick, track });
+
+        source.onended = () => {
+            activeInstrumentalSources = activeInstrumentalSources.filter(s => s.source !== source);
+        };
+    }
+
+    /**
+     * Stop the playing and queued instrumentals, ramped down rather than cut so it doesn't click.
+     */
+    function stopInstrumentals() {
+        if (!audioContext) return;
+        const now = audioContext.currentTime;
+        activeInstrumentalSources.forEach(({ source, declick }) => {
+            source.onended = null;
+            declick.gain.cancelScheduledValues(now);
+            declick.gain.setValueAtTime(declick.gain.value, now);
+            declick.gain.linearRampToValueAtTime(0, now + DECLICK);
+            try { source.stop(now + DECLICK); } catch (e) { /* already stopped */ }
+        });
+        activeInstrumentalSources = [];
+    }
+
+    /**
+     * Fade the instrumental in or out. Paired with VideoPlayer.fadeTo for a gapless cross-fade.
+     */
+    function setInstrumentalActive(active, fadeSeconds = 0.3) {
+        if (!instrumentalFade || active === instrumentalActive) return;
+        instrumentalActive = active;
+
+        const param = instrumentalFade.gain;
+        const now = audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(active ? 1 : 0, now + fadeSeconds);
+    }
+
+    function setInstrumentalVolume(vol) {
+        if (instrumentalVolume) instrumentalVolume.gain.value = vol;
+    }
+
+    // ══════════════════════════════════════════
+    // Original audio (decoded from the media file)
+    // ══════════════════════════════════════════
+
+    /**
+     * Fetch the video file and decode its audio track. The result is cached per URL.
+     * Rejects if the file can't be fetched (e.g. CORS) or the browser can't decode its container.
+     */
+    function loadOriginalAudio(url) {
+        if (!originalAudio || originalAudio.url !== url) {
+            const promise = fetch(url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return res.arrayBuffer();
+                })
+                .then(ab => audioContext.decodeAudioData(ab));
+            originalAudio = { url, promise };
+            promise.catch(() => {
+                if (originalAudio && originalAudio.promise === promise) originalAudio = null;
+            });
+        }
+        return originalAudio.promise;
+    }
+
+    /**
+     * Drop the cached original audio (it's decoded again when next needed).
+     */
+    function releaseOriginalAudio() {
+        originalAudio = null;
+    }
+
     // ── Export helpers ──
     function getClipGain(clipId) {
         return clipGains[clipId] !== undefined ? clipGains[clipId] : 0.8;
@@ -109,7 +485,10 @@ const AudioEngine = (() => {
 
     return {
         init, getAudioContext, resumeContext,
-        playClipsAtTime, createClipScheduler, stopAllClips,
-        setClipVolume, setMasterVolume, getClipGain,
+        playClipsAtTime, startClipScheduler, stopClipScheduler, stopAllClips,
+        scheduleClip, setClipVolume, setMasterVolume, getClipGain, applyTrackMix,
+        loadInstrumentals, hasInstrumentals, hasInstrumentalAt, getInstrumentalTracks,
+        stopInstrumentals, setInstrumentalActive, setInstrumentalVolume,
+        loadOriginalAudio, releaseOriginalAudio,
     };
 })();
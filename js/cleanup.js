@@ -0,0 +1,150 @@
+/**
+ * Thiptine's Day — Cleanup Module
+ * Tidying up new takes: finding the silence before the first note and after the last (so it
+ * can be trimmed off), and the noise clean-up applied to them — a noise gate, or spectral
+ * reduction using a room-tone profile captured per microphone. The audio work itself is done
+ * by ClipProcessor; this keeps the settings and profiles.
+ */
+
+const Cleanup = (() => {
+    const STORAGE_KEY = 'thiptines_cleanup';
+    const PROFILE_KEY = 'thiptines_room_tone';
+
+    const ROOM_TONE_SECONDS = 3;  // length of a room-tone capture
+    const BLOCK = 0.02;           // seconds per level measurement
+    const MIN_SOUND = 0.06;       // seconds above the threshold that count as sound (not a click)
+    const PAD_BEFORE = 0.15;      // seconds kept before the first sound (the breath in)
+    const PAD_AFTER = 0.3;        // seconds kept after the last (the note dying away)
+    const SILENCE_MARGIN = 10;    // dB over the room's floor the silence threshold is set to
+    const GATE_MARGIN = 6;        // dB over the room's floor the gate threshold is set to
+
+    // noise: 'off', 'gate' or 'reduce'; thresholds in dB; reduction 0-1
+    let settings = { trimSilence: false, silenceThreshold: -45, noise: 'off', gateThreshold: -50, reduction: 0.6 };
+    let profiles = {};            // deviceId → { sampleRate, floorDb, spectrum }
+
+    function init() {
+        try {
+            settings = { ...settings, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+            profiles = JSON.parse(localStorage.getItem(PROFILE_KEY) || '{}') || {};
+        } catch (e) { /* ignore malformed saved settings */ }
+    }
+
+    /**
+     * { trimSilence, silenceThreshold, noise, gateThreshold, reduction }.
+     */
+    function getSettings() {
+        return { ...settings };
+    }
+
+    function setSettings(changes) {
+        if (changes.trimSilence !== undefined) settings.trimSilence = !!changes.trimSilence;
+        if (isFinite(changes.silenceThreshold)) settings.silenceThreshold = _clamp(Number(changes.silenceThreshold), -80, -10);
+        if (['off', 'gate', 'reduce'].includes(changes.noise)) settings.noise = changes.noise;
+        if (isFinite(changes.gateThreshold)) settings.gateThreshold = _clamp(Number(changes.gateThreshold), -80, -10);
+        if (isFinite(changes.reduction)) settings.reduction = _clamp(Number(changes.reduction), 0, 1);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    function _clamp(value, min, max) {
+        return Math.max(min, Math.min(value, max));
+    }
+
+    // ══════════════════════════════════════════
+    // Room tone
+    // ══════════════════════════════════════════
+
+    function getProfile(deviceId) {
+        return profiles[deviceId || 'default'] || null;
+    }
+
+    /**
+     * Record a few seconds of the room (the singer keeping quiet) through the microphone and learn
+     * its noise. The thresholds are moved to sit just above the room's level.
+     * Resolves to the profile, or null without microphone access.
+     */
+    async function captureRoomTone(deviceId) {
+        const audioBuffer = await Recorder.captureInput(ROOM_TONE_SECONDS);
+        if (!audioBuffer) return null;
+        const profile = await ClipProcessor.learnNoise(audioBuffer);
+
+        profiles[deviceId || 'default'] = profile;
+        localStorage.setItem(PROFILE_KEY, JSON.stringify(profiles));
+        setSettings({
+            silenceThreshold: Math.round(profile.floorDb + SILENCE_MARGIN),
+            gateThreshold: Math.round(profile.floorDb + GATE_MARGIN),
+        });
+        return profile;
+    }
+
+    function clearProfile(deviceId) {
+        delete profiles[deviceId || 'default'];
+        localStorage.setItem(PROFILE_KEY, JSON.stringify(profiles));
+    }
+
+    // ══════════════════════════════════════════
+    // Analysis
+    // ══════════════════════════════════════════
+
+    /**
+     * Silence at the ends of the stretch `from`–`to` (seconds) of a buffer: { lead, trail } in
+     * seconds, with a little kept either side of the sound. Both 0 when nothing rises above the threshold.
+     */
+    function findSilence(audioBuffer, from, to, threshold = settings.silenceThreshold) {
+        const rate = audioBuffer.sampleRate;
+        const size = Math.max(1, Math.round(BLOCK * rate));
+        const first = Math.max(0, Math.floor(from * rate));
+        const count = Math.floor((Math.min(audioBuffer.length, Math.floor(to * rate)) - first) / size);
+        const limit = Math.pow(10, threshold / 20);
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) channels.push(audioBuffer.getChannelData(ch));
+
+        // First and last block of a run of sound at least MIN_SOUND long
+        const run = Math.ceil(MIN_SOUND / BLOCK);
+        let start = -1;
+        let end = -1;
+        let streak = 0;
+        for (let b = 0; b < count; b++) {
+            let level = 0;
+            channels.forEach(data => {
+                let sum = 0;
+                for (let i = first + b * size; i < first + (b + 1) * size; i++) sum += data[i] * data[i];
+                level = Math.max(level, Math.sqrt(sum / size));
+            });
+            if (level < limit) {
+                streak = 0;
+                continue;
+            }
+            if (++streak < run) continue;
+            if (start < 0) start = b - run + 1;
+            end = b;
+        }
+        if (start < 0) return { lead: 0, trail: 0 };
+
+        const blockLength = size / rate;
+        return {
+            lead: Math.max(0, start * blockLength - PAD_BEFORE),
+            trail: Math.max(0, (to - from) - ((end + 1) * blockLength + PAD_AFTER)),
+        };
+    }
+
+    /**
+     * The noise clean-up for takes from this device, as ClipProcessor's `noise` setting (null when
+     * off, or when reduction has no room tone to work from). `mode` defaults to the one for new takes.
+     */
+    function noiseSettings(deviceId, mode = settings.noise) {
+        if (mode === 'gate') {
+            return { mode: 'gate', threshold: settings.gateThreshold, amount: 1, profile: null };
+        }
+        const profile = getProfile(deviceId);
+        if (mode === 'reduce' && profile) {
+            return { mode: 'reduce', threshold: settings.gateThreshold, amount: settings.reduction, profile };
+        }
+        return null;
+    }
+
+    return {
+        init, getSettings, setSettings,
+        getProfile, captureRoomTone, clearProfile,
+        findSilence, noiseSettings,
+    };
+})();
@@ -0,0 +1,176 @@
+/**
+ * Thiptine's Day — Clip Processor Module
+ * Gentle pitch correction (toward a key, the nearest note or the reference melody) and
+ * time-stretch without pitch change, rendered into a new buffer by a worker so the page
+ * stays responsive. Recorder keeps the original alongside, so processing can be switched off.
+ * Noise clean-up (gate or room-tone reduction, see Cleanup) is rendered in the same pass.
+ */
+
+const ClipProcessor = (() => {
+    const WORKER_URL = 'js/clipProcessorWorker.js';
+    const SPEED_MIN = 0.8;
+    const SPEED_MAX = 1.25;
+    const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+    // key: null (no correction), 'melody', 'chromatic' or '<tonic 0-11>:<major|minor>'
+    // strength: 0-1 of the way to the target note; speed: tempo factor (1.05 = 5% faster)
+    // noise: null or { mode: 'gate' | 'reduce', threshold: dB, amount: 0-1, profile }
+    const DEFAULTS = { key: null, strength: 0.5, speed: 1, noise: null };
+
+    let audioContext = null;
+    let worker = null;
+    let nextRequestId = 1;
+    const pending = {};           // request id → { resolve, reject, onProgress, sampleRate }
+
+    function init(ctx) {
+        audioContext = ctx;
+    }
+
+    function isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Keys to correct toward, as [{ id, name }].
+     */
+    function getKeys() {
+        const keys = [];
+        ['major', 'minor'].forEach(mode => {
+            NOTE_NAMES.forEach((name, tonic) => keys.push({ id: `${tonic}:${mode}`, name: `${name} ${mode}` }));
+        });
+        return keys;
+    }
+
+    function normalize(settings) {
+        const s = { ...DEFAULTS, ...(settings || {}) };
+        const validKey = s.key === 'melody' || s.key === 'chromatic' || /^([0-9]|1[01]):(major|minor)$/.test(s.key);
+        return {
+            key: validKey ? s.key : null,
+            strength: Math.max(0, Math.min(Number(s.strength) || 0, 1)),
+            speed: Math.max(SPEED_MIN, Math.min(Number(s.speed) || 1, SPEED_MAX)),
+            noise: _normalizeNoise(s.noise),
+        };
+    }
+
+    /**
+     * Noise settings, or null when they wouldn't do anything (reduction needs a profile).
+     */
+    function _normalizeNoise(noise) {
+        if (!noise || (noise.mode !== 'gate' && noise.mode !== 'reduce')) return null;
+        const profile = noise.profile;
+        const validProfile = !!(profile && profile.sampleRate > 0 && Array.isArray(profile.spectrum) && profile.spectrum.length);
+        if (noise.mode === 'reduce' && !validProfile) return null;
+        return {
+            mode: noise.mode,
+            threshold: Math.max(-90, Math.min(Number(noise.threshold) || -50, 0)),
+            amount: Math.max(0, Math.min(Number(noise.amount) || 0, 1)),
+            profile: validProfile
+                ? { sampleRate: profile.sampleRate, floorDb: Number(profile.floorDb) || -120, spectrum: profile.spectrum.slice() }
+                : null,
+        };
+    }
+
+    /**
+     * Whether settings would change the audio at all.
+     */
+    function isActive(settings) {
+        const s = normalize(settings);
+        return (s.key !== null && s.strength > 0) || s.speed !== 1
+            || (s.noise !== null && (s.noise.mode === 'gate' || s.noise.amount > 0));
+    }
+
+    // ══════════════════════════════════════════
+    // Processing
+    // ══════════════════════════════════════════
+
+    /**
+     * Render `audioBuffer` with `settings` in the worker. `melody` lists target notes as
+     * { midi, start, end } in seconds of this buffer (used with key 'melody').
+     * Resolves to a new AudioBuffer; `onProgress` receives 0-1.
+     */
+    function process(audioBuffer, settings, melody = [], onProgress = null) {
+        if (!isSupported()) return Promise.reject(new Error('This browser cannot run background workers.'));
+        const id = nextRequestId++;
+
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch).slice());
+        }
+
+        return new Promise((resolve, reject) => {
+            pending[id] = { resolve, reject, onProgress, sampleRate: audioBuffer.sampleRate };
+            _getWorker().postMessage({
+                id,
+                channels,
+                sampleRate: audioBuffer.sampleRate,
+                settings: normalize(settings),
+                melody,
+            }, channels.map(c => c.buffer));
+        });
+    }
+
+    /**
+     * Learn a noise profile from a room-tone recording (see Cleanup).
+     * Resolves to { sampleRate, floorDb, spectrum }.
+     */
+    function learnNoise(audioBuffer) {
+        if (!isSupported()) return Promise.reject(new Error('This browser cannot run background workers.'));
+        const id = nextRequestId++;
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch).slice());
+        }
+
+        return new Promise((resolve, reject) => {
+            pending[id] = { resolve, reject, onProgress: null, sampleRate: audioBuffer.sampleRate };
+            _getWorker().postMessage({
+                id,
+                task: 'profile',
+                channels,
+                sampleRate: audioBuffer.sampleRate,
+            }, channels.map(c => c.buffer));
+        });
+    }
+
+    function _getWorker() {
+        if (worker) return worker;
+        worker = new Worker(WORKER_URL);
+
+        worker.onmessage = (e) => {
+            const { id, progress, channels, profile, error } = e.data;
+            const request = pending[id];
+            if (!request) return;
+
+            if (progress !== undefined) {
+                if (request.onProgress) request.onProgress(progress);
+                return;
+            }
+            delete pending[id];
+            if (error) {
+                request.reject(new Error(error));
+                return;
+            }
+            if (profile) {
+                request.resolve(profile);
+                return;
+            }
+            const buffer = audioContext.createBuffer(channels.length, channels[0].length, request.sampleRate);
+            channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+            request.resolve(buffer);
+        };
+
+        // A crashed worker fails everything waiting on it; the next request starts a fresh one
+        worker.onerror = (e) => {
+            e.preventDefault();
+            Object.keys(pending).forEach(id => {
+                pending[id].reject(new Error(e.message || 'Processing failed.'));
+                delete pending[id];
+            });
+            worker.terminate();
+            worker = null;
+        };
+        return worker;
+    }
+
+    return { init, isSupported, getKeys, normalize, isActive, process, learnNoise };
+})();
@@ -0,0 +1,424 @@
+/**
+ * Thiptine's Day — Clip Processor Worker
+ * Pitch correction and time-stretch of a recording, off the main thread (see ClipProcessor).
+ * Uses TD-PSOLA: the voice is cut into two-period grains at pitch marks, and the grains are
+ * laid out again closer together or further apart (pitch) along a stretched time line (tempo).
+ * Unpitched stretches (breaths, consonants, silence) are kept at their own pitch.
+ * Noise clean-up (a gate, or spectral subtraction of a room-tone profile) runs first.
+ */
+
+importScripts('pitchDetector.js');
+
+const SMOOTHING = 0.08;           // seconds — corrections glide over about this long
+const MAX_SHIFT = 3;              // semitones — the most a note is moved
+const UNVOICED_PERIOD = 0.01;     // seconds — grain spacing where no pitch was found
+const PROGRESS_MARKS = 2000;      // grains between progress reports
+
+const FFT_SIZE = 1024;            // samples per spectral frame (noise reduction)
+const FFT_HOP = 256;              // samples between frames (75% overlap)
+const OVER_SUBTRACT = 2;          // noise profile is scaled up by this before subtracting
+const MAX_REDUCTION = 24;         // dB — the most noise reduction takes off a bin at full amount
+const GAIN_RELEASE = 0.6;         // per frame — how slowly reduced bins close again (less warble)
+const GATE_BLOCK = 0.005;         // seconds per gate level measurement
+const GATE_HOLD = 0.08;           // seconds the gate stays open after the level drops
+const GATE_LOOKAHEAD = 0.01;      // seconds the gate opens ahead of a note
+const GATE_FLOOR = -30;           // dB — how far a closed gate turns the signal down
+const GATE_ATTACK = 0.002;        // seconds to open
+const GATE_RELEASE = 0.08;        // seconds to close
+const PROFILE_SKIP = 0.2;         // seconds ignored at the start of a room-tone capture
+
+const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+};
+
+/**
+ * Request: { id, channels, sampleRate, settings: { key, strength, speed, noise }, melody }.
+ * Replies { id, progress } while working, then { id, channels } or { id, error }.
+ * With task 'profile' the channels are room tone, and the reply is { id, profile }.
+ */
+self.onmessage = (e) => {
+    const { id, task, channels, sampleRate, settings, melody } = e.data;
+    try {
+        if (task === 'profile') {
+            self.postMessage({ id, profile: learnNoise(channels, sampleRate) });
+            return;
+        }
+        const out = processAudio(channels, sampleRate, settings, melody || [],
+            progress => self.postMessage({ id, progress }));
+        self.postMessage({ id, channels: out }, out.map(c => c.buffer));
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+};
+
+function processAudio(input, rate, settings, melody, onProgress) {
+    const speed = settings.speed || 1;
+    const retune = settings.key !== null && settings.strength > 0;
+
+    // Noise first, so pitch tracking isn't thrown by it
+    let channels = input;
+    const noise = settings.noise;
+    const share = retune || speed !== 1 ? 0.3 : 1;   // of the progress bar
+    if (noise && noise.mode === 'gate') {
+        channels = _gate(input, rate, noise.threshold);
+        onProgress(share);
+    } else if (noise && noise.mode === 'reduce') {
+        channels = _reduceNoise(input, rate, noise, p => onProgress(p * share));
+    }
+    if (share === 1) return channels;
+
+    const length = channels[0].length;
+    const report = p => onProgress(share + (1 - share) * p);
+
+    // Pitch track and the correction (in semitones) for each frame
+    const track = _trackPitch(channels, rate);
+    report(0.3);
+    const shifts = _smooth(track.notes.map((midi, i) => _shiftFor(midi, track.time(i), settings, melody)),
+        Math.max(1, Math.round(SMOOTHING / PitchDetector.HOP)));
+
+    // Analysis marks, one period apart
+    const marks = [];
+    const frameAt = (pos) => Math.max(0, Math.min(track.notes.length - 1,
+        Math.round((pos / rate - track.start) / track.step)));
+    for (let pos = 0; pos < length;) {
+        const i = frameAt(pos);
+        const midi = track.notes[i];
+        const period = midi !== null
+            ? Math.max(2, Math.round(rate / PitchDetector.toFrequency(midi)))
+            : Math.round(UNVOICED_PERIOD * rate);
+        marks.push({ pos, period, ratio: midi !== null ? Math.pow(2, shifts[i] / 12) : 1 });
+        pos += period;
+    }
+
+    // Synthesis: walk the output, taking the grain at the analysis mark nearest the matching input time
+    const outLength = Math.max(1, Math.round(length / speed));
+    const out = channels.map(() => new Float32Array(outLength));
+    const weight = new Float32Array(outLength);
+    let k = 0;
+    let count = 0;
+    for (let ts = 0; ts < outLength;) {
+        const ta = ts * speed;
+        while (k + 1 < marks.length && Math.abs(marks[k + 1].pos - ta) <= Math.abs(marks[k].pos - ta)) k++;
+        const mark = marks[k];
+        const at = Math.round(ts);
+        const p = mark.period;
+
+        for (let j = -p + 1; j < p; j++) {
+            const src = mark.pos + j;
+            const dst = at + j;
+            if (src < 0 || src >= length || dst < 0 || dst >= outLength) continue;
+            const w = 0.5 * (1 + Math.cos(Math.PI * j / p));
+            weight[dst] += w;
+            for (let ch = 0; ch < channels.length; ch++) out[ch][dst] += channels[ch][src] * w;
+        }
+
+        ts += p / mark.ratio;
+        if (++count % PROGRESS_MARKS === 0) report(0.3 + 0.7 * Math.min(1, ts / outLength));
+    }
+
+    // Even out the overlap, so denser grains (raised pitch) don't come out louder
+    for (let i = 0; i < outLength; i++) {
+        if (weight[i] <= 1e-6) continue;
+        for (let ch = 0; ch < out.length; ch++) out[ch][i] /= weight[i];
+    }
+    return out;
+}
+
+/**
+ * Pitch per analysis frame as MIDI notes (null = unpitched), the same way Pitch.analyse() does it.
+ */
+function _trackPitch(channels, sampleRate) {
+    const factor = PitchDetector.decimation(sampleRate);
+    const rate = sampleRate / factor;
+    const samples = new Float32Array(Math.floor(channels[0].length / factor));
+    const scale = 1 / (factor * channels.length);
+    for (let i = 0; i < samples.length; i++) {
+        let sum = 0;
+        for (let ch = 0; ch < channels.length; ch++) {
+            for (let j = 0; j < factor; j++) sum += channels[ch][i * factor + j];
+        }
+        samples[i] = sum * scale;
+    }
+
+    const size = PitchDetector.windowSize(rate);
+    const hop = Math.round(PitchDetector.HOP * rate);
+    const notes = [];
+    for (let from = 0; from + size <= samples.length; from += hop) {
+        const result = PitchDetector.detect(samples.subarray(from, from + size), rate);
+        notes.push(result ? PitchDetector.toMidi(result.freq) : null);
+    }
+    if (notes.length === 0) notes.push(null);
+
+    const start = size / rate / 2;
+    const step = hop / rate;
+    return { notes, start, step, time: (i) => start + i * step };
+}
+
+/**
+ * How far to move a sung note (semitones), before smoothing.
+ */
+function _shiftFor(midi, time, settings, melody) {
+    if (midi === null || !settings.key) return 0;
+    const target = _target(midi, time, settings.key, melody);
+    if (target === null) return 0;
+    const shift = (target - midi) * settings.strength;
+    return Math.max(-MAX_SHIFT, Math.min(shift, MAX_SHIFT));
+}
+
+/**
+ * The note `midi` should be: the melody note (in whichever octave is sung), the nearest
+ * semitone, or the nearest note of a key like 'A:minor'. Null to leave it alone.
+ */
+function _target(midi, time, key, melody) {
+    if (key === 'melody') {
+        const note = melody.find(n => time >= n.start && time < n.end);
+        if (!note) return null;
+        return note.midi + 12 * Math.round((midi - note.midi) / 12);
+    }
+    if (key === 'chromatic') return Math.round(midi);
+
+    const [tonic, mode] = key.split(':');
+    const scale = SCALES[mode];
+    if (!scale) return null;
+    const root = Number(tonic);
+    let best = null;
+    for (let n = Math.floor(midi) - 2; n <= Math.ceil(midi) + 2; n++) {
+        if (!scale.includes((((n - root) % 12) + 12) % 12)) continue;
+        if (best === null || Math.abs(n - midi) < Math.abs(best - midi)) best = n;
+    }
+    return best;
+}
+
+/**
+ * Moving average over `radius` frames each side; unpitched frames (0) pull the edges of a
+ * note in gently rather than cutting the correction off.
+ */
+function _smooth(values, radius) {
+    const out = new Array(values.length);
+    let sum = 0;
+    let count = 0;
+    for (let i = -radius; i < values.length + radius; i++) {
+        const add = i + radius;
+        if (add < values.length) {
+            sum += values[add];
+            count++;
+        }
+        const drop = i - radius - 1;
+        if (drop >= 0) {
+            sum -= values[drop];
+            count--;
+        }
+        if (i >= 0 && i < values.length) out[i] = count ? sum / count : 0;
+    }
+    return out;
+}
+
+// ══════════════════════════════════════════
+// Noise clean-up
+// ══════════════════════════════════════════
+
+/**
+ * Room tone → { sampleRate, floorDb, spectrum }: its overall level and its average magnitude
+ * in each of the FFT_SIZE / 2 + 1 frequency bins.
+ */
+function learnNoise(channels, rate) {
+    const skip = Math.round(PROFILE_SKIP * rate);
+    const length = channels[0].length - skip;
+    if (length < FFT_SIZE) throw new Error('The room-tone recording is too short.');
+
+    let sum = 0;
+    channels.forEach(data => {
+        for (let i = skip; i < data.length; i++) sum += data[i] * data[i];
+    });
+    const rms = Math.sqrt(sum / (length * channels.length));
+
+    const bins = FFT_SIZE / 2 + 1;
+    const spectrum = new Float64Array(bins);
+    const window = _hann(FFT_SIZE);
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    let frames = 0;
+    channels.forEach(data => {
+        for (let from = skip; from + FFT_SIZE <= data.length; from += FFT_HOP) {
+            for (let i = 0; i < FFT_SIZE; i++) {
+                re[i] = data[from + i] * window[i];
+                im[i] = 0;
+            }
+            _fft(re, im, false);
+            for (let k = 0; k < bins; k++) spectrum[k] += Math.hypot(re[k], im[k]);
+            frames++;
+        }
+    });
+
+    return {
+        sampleRate: rate,
+        floorDb: rms > 0 ? Math.round(20 * Math.log10(rms) * 10) / 10 : -120,
+        spectrum: Array.from(spectrum, v => v / frames),
+    };
+}
+
+/**
+ * Noise gate: turn the signal down by GATE_FLOOR wherever the level (loudest channel) stays
+ * under `threshold` dB, opening a little early and holding open through short gaps.
+ */
+function _gate(channels, rate, threshold) {
+    const length = channels[0].length;
+    const block = Math.max(1, Math.round(GATE_BLOCK * rate));
+    const count = Math.ceil(length / block);
+    const limit = Math.pow(10, threshold / 20);
+
+    const open = new Uint8Array(count);
+    const hold = Math.round(GATE_HOLD / GATE_BLOCK);
+    const lookahead = Math.round(GATE_LOOKAHEAD / GATE_BLOCK);
+    let lastLoud = -Infinity;
+    for (let b = 0; b < count; b++) {
+        let peak = 0;
+        channels.forEach(data => {
+            let sum = 0;
+            const end = Math.min(length, (b + 1) * block);
+            for (let i = b * block; i < end; i++) sum += data[i] * data[i];
+            peak = Math.max(peak, Math.sqrt(sum / (end - b * block)));
+        });
+        if (peak >= limit) {
+            lastLoud = b;
+            for (let j = Math.max(0, b - lookahead); j <= b; j++) open[j] = 1;
+        } else if (b - lastLoud <= hold) {
+            open[b] = 1;
+        }
+    }
+
+    // Smooth the gain per sample, quick to open and slower to close
+    const floor = Math.pow(10, GATE_FLOOR / 20);
+    const attack = 1 - Math.exp(-1 / (GATE_ATTACK * rate));
+    const release = 1 - Math.exp(-1 / (GATE_RELEASE * rate));
+    const out = channels.map(() => new Float32Array(length));
+    let gain = open[0] ? 1 : floor;
+    for (let i = 0; i < length; i++) {
+        const target = open[Math.floor(i / block)] ? 1 : floor;
+        gain += (target - gain) * (target > gain ? attack : release);
+        for (let ch = 0; ch < channels.length; ch++) out[ch][i] = channels[ch][i] * gain;
+    }
+    return out;
+}
+
+/**
+ * Spectral subtraction: each bin is turned down by how much of it the room-tone profile
+ * accounts for, by up to MAX_REDUCTION dB × `amount`.
+ */
+function _reduceNoise(channels, rate, { amount, profile }, onProgress) {
+    const length = channels[0].length;
+    const bins = FFT_SIZE / 2 + 1;
+    const noise = _profileAt(profile, rate, bins);
+    const floor = Math.pow(10, -MAX_REDUCTION * amount / 20);
+    const window = _hann(FFT_SIZE);
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    const gains = new Float64Array(bins);
+
+    // Hann in and out at 75% overlap sums to 1.5
+    const scale = 1 / 1.5;
+    const frames = Math.ceil((length + FFT_SIZE) / FFT_HOP);
+    const total = frames * channels.length;
+    let done = 0;
+
+    return channels.map(data => {
+        const out = new Float32Array(length);
+        gains.fill(1);
+        for (let from = -FFT_SIZE; from < length; from += FFT_HOP) {
+            for (let i = 0; i < FFT_SIZE; i++) {
+                const at = from + i;
+                re[i] = at >= 0 && at < length ? data[at] * window[i] : 0;
+                im[i] = 0;
+            }
+            _fft(re, im, false);
+
+            for (let k = 0; k < bins; k++) {
+                const magnitude = Math.hypot(re[k], im[k]);
+                const wanted = magnitude > 0 ? Math.max(floor, 1 - OVER_SUBTRACT * noise[k] / magnitude) : floor;
+                gains[k] = Math.max(wanted, gains[k] * GAIN_RELEASE);
+                re[k] *= gains[k];
+                im[k] *= gains[k];
+                if (k > 0 && k < FFT_SIZE / 2) {
+                    re[FFT_SIZE - k] *= gains[k];
+                    im[FFT_SIZE - k] *= gains[k];
+                }
+            }
+            _fft(re, im, true);
+
+            for (let i = 0; i < FFT_SIZE; i++) {
+                const at = from + i;
+                if (at >= 0 && at < length) out[at] += re[i] * window[i] * scale;
+            }
+            if (++done % PROGRESS_MARKS === 0) onProgress(done / total);
+        }
+        return out;
+    });
+}
+
+/**
+ * A noise profile's spectrum for this sample rate (bins are read off by frequency).
+ */
+function _profileAt(profile, rate, bins) {
+    const out = new Float64Array(bins);
+    const source = profile.spectrum;
+    const ratio = rate / profile.sampleRate;
+    for (let k = 0; k < bins; k++) {
+        const at = Math.min(k * ratio, source.length - 1);
+        const i = Math.floor(at);
+        const frac = at - i;
+        out[k] = source[i] * (1 - frac) + (source[Math.min(i + 1, source.length - 1)] || 0) * frac;
+    }
+    return out;
+}
+
+function _hann(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / size));
+    return window;
+}
+
+/**
+ * In-place radix-2 FFT (`inverse` also divides by the size).
+ */
+function _fft(re, im, inverse) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let j = 0; j < half; j++) {
+                const a = start + j;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const next = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = next;
+            }
+        }
+    }
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n;
+            im[i] /= n;
+        }
+    }
+}
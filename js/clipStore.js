@@ -0,0 +1,195 @@
+/**
+ * Thiptine's Day — Clip Store Module
+ * Persists recorded clips in IndexedDB so takes survive reloads.
+ * Audio is stored as raw PCM (one Float32Array per channel) next to the clip metadata.
+ * The original audio's waveform peaks are kept too, so it needn't be decoded on every load.
+ */
+
+const ClipStore = (() => {
+    const DB_NAME = 'thiptines-day';
+    const DB_VERSION = 2;
+    const CLIP_STORE = 'clips';
+    const PEAKS_STORE = 'peaks';
+
+    let dbPromise = null;
+
+    function isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    function _open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(CLIP_STORE)) {
+                    db.createObjectStore(CLIP_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PEAKS_STORE)) {
+                    db.createObjectStore(PEAKS_STORE, { keyPath: 'url' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+
+        // Allow a later retry if opening failed (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    function _request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function _store(mode, name = CLIP_STORE) {
+        const db = await _open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    /**
+     * Convert a clip into a structured-cloneable record.
+     * Every plain field on the clip is kept so new clip properties persist automatically.
+     * A processed clip stores the original recording and the processed audio; which one plays
+     * follows from its processing settings.
+     */
+    function _toRecord(clip, gain) {
+        const { audioBuffer, originalBuffer, processedBuffer, ...meta } = clip;
+        const original = originalBuffer || audioBuffer;
+        return {
+            ...meta,
+            gain,
+            sampleRate: original.sampleRate,
+            channels: _channels(original),
+            processedChannels: processedBuffer ? _channels(processedBuffer) : null,
+        };
+    }
+
+    function _fromRecord(record, ctx) {
+        const { gain, sampleRate, channels, processedChannels, ...meta } = record;
+        const original = _buffer(ctx, channels, sampleRate);
+        const processed = processedChannels ? _buffer(ctx, processedChannels, sampleRate) : null;
+        const playProcessed = !!(processed && meta.processing && meta.processing.enabled);
+        return {
+            clip: {
+                ...meta,
+                audioBuffer: playProcessed ? processed : original,
+                originalBuffer: processed ? original : null,
+                processedBuffer: processed,
+            },
+            gain,
+        };
+    }
+
+    function _channels(audioBuffer) {
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch).slice());
+        }
+        return channels;
+    }
+
+    function _buffer(ctx, channels, sampleRate) {
+        const audioBuffer = ctx.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((data, ch) => audioBuffer.copyToChannel(data, ch));
+        return audioBuffer;
+    }
+
+    /**
+     * Save (or overwrite) a clip together with its gain.
+     */
+    async function saveClip(clip, gain) {
+        if (!clip || !clip.audioBuffer) return;
+        const store = await _store('readwrite');
+        await _request(store.put(_toRecord(clip, gain)));
+    }
+
+    /**
+     * Update metadata fields (e.g. startTime, gain) of a stored clip without touching its audio.
+     */
+    async function updateClip(id, fields) {
+        const store = await _store('readwrite');
+        const record = await _request(store.get(id));
+        if (!record) return;
+        await _request(store.put({ ...record, ...fields }));
+    }
+
+    async function deleteClip(id) {
+        const store = await _store('readwrite');
+        await _request(store.delete(id));
+    }
+
+    /**
+     * Load every stored clip, decoded into AudioBuffers for the given context.
+     * Returns an array of { clip, gain } sorted by clip id.
+     */
+    async function loadClips(ctx) {
+        const store = await _store('readonly');
+        const records = await _request(store.getAll());
+        return records
+            .filter(r => r.channels && r.channels.length > 0)
+            .map(r => _fromRecord(r, ctx))
+            .sort((a, b) => a.clip.id - b.clip.id);
+    }
+
+    async function clearAll() {
+        const store = await _store('readwrite');
+        await _request(store.clear());
+    }
+
+    /**
+     * Storage usage summary: clip count and bytes of stored audio,
+     * plus the origin-wide usage/quota estimate when the browser provides one.
+     */
+    async function getUsage() {
+        const store = await _store('readonly');
+        const records = await _request(store.getAll());
+        const bytes = records.reduce((sum, r) => {
+            return sum + (r.channels || []).reduce((s, data) => s + data.byteLength, 0);
+        }, 0);
+
+        let usage = null;
+        let quota = null;
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                usage = estimate.usage;
+                quota = estimate.quota;
+            } catch (e) { /* estimate unavailable */ }
+        }
+
+        return { clipCount: records.length, bytes, usage, quota };
+    }
+
+    // ── Waveform peaks of the original audio ──
+
+    /**
+     * Keep the peaks (from Waveform.getPeaks) of the media file at `url`.
+     */
+    async function savePeaks(url, peaks) {
+        const store = await _store('readwrite', PEAKS_STORE);
+        await _request(store.put({ url, ...peaks }));
+    }
+
+    /**
+     * The stored peaks for `url`, or null.
+     */
+    async function loadPeaks(url) {
+        const store = await _store('readonly', PEAKS_STORE);
+        const record = await _request(store.get(url));
+        if (!record) return null;
+        const { url: _url, ...peaks } = record;
+        return peaks;
+    }
+
+    return {
+        isSupported, saveClip, updateClip, deleteClip,
+        loadClips, clearAll, getUsage,
+        savePeaks, loadPeaks,
+    };
+})();
@@ -0,0 +1,207 @@
+/**
+ * Thiptine's Day — Comping Module
+ * Groups overlapping clips on a track into slots of takes and works out which take is heard when.
+ * A clip's `compRanges` lists the parts of its audio buffer selected for the comp, in buffer
+ * seconds so they follow the clip when it's moved or trimmed; null means the whole clip.
+ * Where selections overlap, the newest take wins, so a fresh take is heard over older ones.
+ */
+
+const Comping = (() => {
+    const COMP_FADE = 0.01;   // seconds — crossfade where the comp switches between takes
+    const MIN_SPAN = 0.001;   // seconds — shorter audible pieces are dropped
+
+    const _end = (clip) => clip.startTime + clip.duration;
+
+    /**
+     * Group clips into slots of overlapping takes, per track and ordered by time.
+     * Returns [{ trackId, start, end, clips }] with each slot's clips oldest first.
+     */
+    function getSlots(clips) {
+        const byTrack = {};
+        clips.forEach(clip => {
+            const trackId = Tracks.resolveTrackId(clip.trackId);
+            (byTrack[trackId] = byTrack[trackId] || []).push(clip);
+        });
+
+        const slots = [];
+        Object.keys(byTrack).forEach(key => {
+            const sorted = byTrack[key].slice().sort((a, b) => a.startTime - b.startTime || a.id - b.id);
+            let slot = null;
+            sorted.forEach(clip => {
+                // Clips that only touch end to end are separate slots
+                if (slot && clip.startTime < slot.end - MIN_SPAN) {
+                    slot.clips.push(clip);
+                    slot.end = Math.max(slot.end, _end(clip));
+                } else {
+                    slot = { trackId: Number(key), start: clip.startTime, end: _end(clip), clips: [clip] };
+                    slots.push(slot);
+                }
+            });
+        });
+
+        slots.forEach(s => s.clips.sort((a, b) => a.id - b.id));
+        return slots;
+    }
+
+    /**
+     * The slot a clip belongs to, or null.
+     */
+    function getSlotOf(clips, id) {
+        return getSlots(clips).find(s => s.clips.some(c => c.id === id)) || null;
+    }
+
+    /**
+     * A clip's selected ranges in video time, limited to its trimmed region.
+     */
+    function _selection(clip) {
+        const from = clip.trimStart || 0;
+        const to = from + clip.duration;
+        const ranges = Array.isArray(clip.compRanges) ? clip.compRanges : [[from, to]];
+        return ranges
+            .map(([a, b]) => [Math.max(a, from), Math.min(b, to)])
+            .filter(([a, b]) => b - a >= MIN_SPAN)
+            .map(([a, b]) => [clip.startTime + a - from, clip.startTime + b - from]);
+    }
+
+    /**
+     * Where each clip is heard, as { clipId: [[start, end], ...] } in video time.
+     * A take alone in its slot is always heard in full.
+     */
+    function getAudibleSpans(clips) {
+        const spans = {};
+        getSlots(clips).forEach(slot => {
+            if (slot.clips.length === 1) {
+                const clip = slot.clips[0];
+                spans[clip.id] = [[clip.startTime, _end(clip)]];
+                return;
+            }
+
+            const selections = slot.clips.map(clip => ({ clip, ranges: _selection(clip) }));
+            const edges = new Set();
+            selections.forEach(({ clip, ranges }) => {
+                spans[clip.id] = [];
+                edges.add(clip.startTime);
+                edges.add(_end(clip));
+                ranges.forEach(([a, b]) => { edges.add(a); edges.add(b); });
+            });
+
+            // Between consecutive edges one take (the newest selected) is heard throughout
+            const times = Array.from(edges).sort((a, b) => a - b);
+            for (let i = 0; i < times.length - 1; i++) {
+                const a = times[i];
+                const b = times[i + 1];
+                const mid = (a + b) / 2;
+                let winner = null;
+                selections.forEach(({ clip, ranges }) => {
+                    if (ranges.some(([f, t]) => mid >= f && mid < t)) winner = clip;
+                });
+                if (!winner) continue;
+
+                const list = spans[winner.id];
+                const last = list[list.length - 1];
+                if (last && last[1] === a) last[1] = b;
+                else list.push([a, b]);
+            }
+        });
+
+        Object.keys(spans).forEach(id => {
+            spans[id] = spans[id].filter(([a, b]) => b - a >= MIN_SPAN);
+        });
+        return spans;
+    }
+
+    /**
+     * The clips to play for the comp: takes cut down to where they're heard. Untouched clips are
+     * returned as they are; pieces are copies that keep the clip's id (and so its gain).
+     */
+    function resolve(clips) {
+        const spans = getAudibleSpans(clips);
+        const result = [];
+        clips.forEach(clip => {
+            (spans[clip.id] || []).forEach(([from, to]) => result.push(_piece(clip, from, to)));
+        });
+        return result;
+    }
+
+    /**
+     * `clip` limited to [from, to] of video time. Edges made by the comp reach a little into
+     * the neighbouring take and crossfade with it; the clip's own edges keep its fades.
+     */
+    function _piece(clip, from, to) {
+        const ownStart = from - clip.startTime < MIN_SPAN;
+        const ownEnd = _end(clip) - to < MIN_SPAN;
+        if (ownStart && ownEnd) return clip;
+
+        const half = COMP_FADE / 2;
+        const start = ownStart ? clip.startTime : Math.max(clip.startTime, from - half);
+        const end = ownEnd ? _end(clip) : Math.min(_end(clip), to + half);
+        const duration = end - start;
+        const trimStart = (clip.trimStart || 0) + (start - clip.startTime);
+        const fadeIn = ownStart ? Math.min(clip.fadeIn || 0, duration) : Math.min(COMP_FADE, duration / 2);
+        const fadeOut = ownEnd ? Math.min(clip.fadeOut || 0, duration - fadeIn) : Math.min(COMP_FADE, duration / 2);
+
+        return {
+            ...clip,
+            startTime: start,
+            duration,
+            trimStart,
+            trimEnd: Math.max(0, clip.audioBuffer.duration - trimStart - duration),
+            fadeIn,
+            fadeOut,
+        };
+    }
+
+    /**
+     * Make take `id` the one heard between video times `from` and `to` (its whole length when
+     * they're omitted), taking that stretch away from the other takes in its slot.
+     * Returns { clipId: compRanges } for every take in the slot.
+     */
+    function select(clips, id, from, to) {
+        const slot = getSlotOf(clips, id);
+        if (!slot) return {};
+        const target = slot.clips.find(c => c.id === id);
+        const a = Math.max(target.startTime, typeof from === 'number' ? from : target.startTime);
+        const b = Math.min(_end(target), typeof to === 'number' ? to : _end(target));
+        if (b - a < MIN_SPAN) return {};
+
+        const changes = {};
+        slot.clips.forEach(clip => {
+            const ranges = clip === target ? _union(_selection(clip), [a, b]) : _subtract(_selection(clip), [a, b]);
+            changes[clip.id] = _toCompRanges(clip, ranges);
+        });
+        return changes;
+    }
+
+    function _union(ranges, [a, b]) {
+        const merged = [];
+        ranges.concat([[a, b]]).sort((x, y) => x[0] - y[0]).forEach(([f, t]) => {
+            const last = merged[merged.length - 1];
+            if (last && f <= last[1] + MIN_SPAN) last[1] = Math.max(last[1], t);
+            else merged.push([f, t]);
+        });
+        return merged;
+    }
+
+    function _subtract(ranges, [a, b]) {
+        const result = [];
+        ranges.forEach(([f, t]) => {
+            if (f < a) result.push([f, Math.min(t, a)]);
+            if (t > b) result.push([Math.max(f, b), t]);
+        });
+        return result.filter(([f, t]) => t - f >= MIN_SPAN);
+    }
+
+    /**
+     * Video-time ranges back to buffer seconds; a selection of the whole clip is stored as null.
+     */
+    function _toCompRanges(clip, ranges) {
+        const whole = ranges.length === 1
+            && ranges[0][0] - clip.startTime < MIN_SPAN
+            && _end(clip) - ranges[0][1] < MIN_SPAN;
+        if (whole) return null;
+        const offset = (clip.trimStart || 0) - clip.startTime;
+        return ranges.map(([f, t]) => [f + offset, t + offset]);
+    }
+
+    return { getSlots, getSlotOf, getAudibleSpans, resolve, select };
+})();
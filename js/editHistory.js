@@ -0,0 +1,76 @@
+/**
+ * Thiptine's Day — Edit History Module
+ * Bounded undo/redo stack of commands ({ label, undo, redo }).
+ * Commands hold whatever they need to revert (including deleted clips' audio),
+ * so that memory is released once a command drops off the end of the history.
+ */
+
+const EditHistory = (() => {
+    const MAX_DEPTH = 50;
+
+    let undoStack = [];
+    let redoStack = [];
+    let onChange = null;
+
+    /**
+     * Record a command that has already been applied. Clears the redo stack.
+     */
+    function push(command) {
+        undoStack.push(command);
+        if (undoStack.length > MAX_DEPTH) undoStack.shift();
+        redoStack = [];
+        _changed();
+    }
+
+    /**
+     * Revert the latest command. Returns its label, or null if there was nothing to undo.
+     */
+    function undo() {
+        const command = undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        redoStack.push(command);
+        _changed();
+        return command.label;
+    }
+
+    function redo() {
+        const command = redoStack.pop();
+        if (!command) return null;
+        command.redo();
+        undoStack.push(command);
+        _changed();
+        return command.label;
+    }
+
+    function canUndo() { return undoStack.length > 0; }
+    function canRedo() { return redoStack.length > 0; }
+
+    function getUndoLabel() {
+        return undoStack.length ? undoStack[undoStack.length - 1].label : null;
+    }
+
+    function getRedoLabel() {
+        return redoStack.length ? redoStack[redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Forget everything (e.g. when a project replaces the session).
+     */
+    function clear() {
+        undoStack = [];
+        redoStack = [];
+        _changed();
+    }
+
+    function _changed() {
+        if (onChange) onChange();
+    }
+
+    function setOnChange(cb) { onChange = cb; }
+
+    return {
+        push, undo, redo, canUndo, canRedo,
+        getUndoLabel, getRedoLabel, clear, setOnChange,
+    };
+})();
@@ -0,0 +1,296 @@
+/**
+ * Thiptine's Day — Effects Module
+ * Builds a vocal effects chain in any audio context (live or offline), so exports sound exactly
+ * like playback: low cut → 3-band EQ → de-esser → compressor → delay and reverb sends.
+ * Settings are plain objects stored on tracks and clips; null means dry.
+ * Reverb impulse responses ship with the code: they're generated from a fixed seed, so every
+ * context (at any sample rate) gets the same room.
+ */
+
+const Effects = (() => {
+    const DEESS_FREQ = 5500;      // Hz — crossover above which sibilance is compressed
+
+    /**
+     * Adjustable parameters, in the order the settings panel shows them.
+     */
+    const PARAMS = [
+        { key: 'lowCut', label: 'Low cut', min: 20, max: 400, step: 5, unit: 'Hz' },
+        { key: 'low', label: 'Low (200 Hz)', min: -12, max: 12, step: 0.5, unit: 'dB' },
+        { key: 'mid', label: 'Presence (2.5 kHz)', min: -12, max: 12, step: 0.5, unit: 'dB' },
+        { key: 'high', label: 'Air (10 kHz)', min: -12, max: 12, step: 0.5, unit: 'dB' },
+        { key: 'deess', label: 'De-esser', min: 0, max: 1, step: 0.05, unit: '' },
+        { key: 'compThreshold', label: 'Compressor threshold', min: -50, max: 0, step: 1, unit: 'dB' },
+        { key: 'compRatio', label: 'Compressor ratio', min: 1, max: 20, step: 0.5, unit: ':1' },
+        { key: 'compMakeup', label: 'Make-up gain', min: 0, max: 18, step: 0.5, unit: 'dB' },
+        { key: 'delayTime', label: 'Delay time', min: 0.05, max: 1, step: 0.01, unit: 's' },
+        { key: 'delayFeedback', label: 'Delay feedback', min: 0, max: 0.9, step: 0.05, unit: '' },
+        { key: 'delayMix', label: 'Delay level', min: 0, max: 1, step: 0.05, unit: '' },
+        { key: 'reverbMix', label: 'Reverb level', min: 0, max: 1, step: 0.05, unit: '' },
+    ];
+
+    const REVERBS = {
+        room: { name: 'Room', seconds: 0.7, predelay: 0.005, decay: 4, damping: 0.3 },
+        plate: { name: 'Plate', seconds: 1.8, predelay: 0, decay: 3, damping: 0.05 },
+        hall: { name: 'Hall', seconds: 3, predelay: 0.025, decay: 2.5, damping: 0.5 },
+    };
+
+    const DEFAULTS = {
+        lowCut: 20, low: 0, mid: 0, high: 0,
+        deess: 0,
+        compThreshold: 0, compRatio: 1, compMakeup: 0,
+        delayTime: 0.25, delayFeedback: 0.2, delayMix: 0,
+        reverb: 'room', reverbMix: 0,
+    };
+
+    const PRESETS = {
+        warm: {
+            name: 'Warm vocal',
+            lowCut: 90, low: 2, mid: -1.5, high: 1, deess: 0.4,
+            compThreshold: -20, compRatio: 3, compMakeup: 4,
+            reverb: 'room', reverbMix: 0.15,
+        },
+        bright: {
+            name: 'Bright pop',
+            lowCut: 120, low: -1, mid: 2, high: 4, deess: 0.6,
+            compThreshold: -24, compRatio: 4, compMakeup: 6,
+            delayTime: 0.18, delayFeedback: 0.2, delayMix: 0.1,
+            reverb: 'plate', reverbMix: 0.2,
+        },
+        ballad: {
+            name: 'Ballad hall',
+            lowCut: 100, low: 1, high: 2, deess: 0.4,
+            compThreshold: -18, compRatio: 2.5, compMakeup: 3,
+            delayTime: 0.35, delayFeedback: 0.3, delayMix: 0.1,
+            reverb: 'hall', reverbMix: 0.35,
+        },
+        slapback: {
+            name: 'Slapback',
+            lowCut: 100, mid: 1, deess: 0.3,
+            compThreshold: -16, compRatio: 3, compMakeup: 3,
+            delayTime: 0.11, delayFeedback: 0.1, delayMix: 0.25,
+            reverb: 'room', reverbMix: 0.08,
+        },
+        radio: {
+            name: 'Old radio',
+            lowCut: 350, low: -6, mid: 6, high: -12,
+            compThreshold: -30, compRatio: 8, compMakeup: 10,
+        },
+    };
+
+    const irCache = {};           // `${reverb}@${sampleRate}` → AudioBuffer
+
+    // ══════════════════════════════════════════
+    // Settings
+    // ══════════════════════════════════════════
+
+    function getParams() {
+        return PARAMS.map(p => ({ ...p }));
+    }
+
+    function getReverbs() {
+        return Object.keys(REVERBS).map(id => ({ id, name: REVERBS[id].name }));
+    }
+
+    function getPresets() {
+        return Object.keys(PRESETS).map(id => ({ id, name: PRESETS[id].name }));
+    }
+
+    /**
+     * Settings for a preset (tagged with its id), or null for an unknown one.
+     */
+    function fromPreset(id) {
+        const preset = PRESETS[id];
+        if (!preset) return null;
+        const { name, ...values } = preset;
+        return { ...DEFAULTS, ...values, preset: id };
+    }
+
+    /**
+     * Fill in missing values and clamp the rest; null stays null (dry).
+     */
+    function normalize(fx) {
+        if (!fx || typeof fx !== 'object') return null;
+        const result = { ...DEFAULTS, preset: typeof fx.preset === 'string' ? fx.preset : null };
+        PARAMS.forEach(({ key, min, max }) => {
+            const v = fx[key];
+            if (typeof v === 'number' && !isNaN(v)) result[key] = Math.max(min, Math.min(v, max));
+        });
+        if (REVERBS[fx.reverb]) result.reverb = fx.reverb;
+        return result;
+    }
+
+    // ══════════════════════════════════════════
+    // Chain
+    // ══════════════════════════════════════════
+
+    /**
+     * Build the chain for `fx` in `ctx`. Returns { input, output }; with null settings the two
+     * are the same pass-through node.
+     */
+    function build(ctx, fx) {
+        const input = ctx.createGain();
+        const settings = normalize(fx);
+        if (!settings) return { input, output: input };
+
+        const output = ctx.createGain();
+        let node = input;
+        const chain = (next) => {
+            node.connect(next);
+            node = next;
+        };
+
+        const lowCut = ctx.createBiquadFilter();
+        lowCut.type = 'highpass';
+        lowCut.frequency.value = settings.lowCut;
+        chain(lowCut);
+
+        chain(_filter(ctx, 'lowshelf', 200, settings.low));
+        chain(_filter(ctx, 'peaking', 2500, settings.mid, 0.9));
+        chain(_filter(ctx, 'highshelf', 10000, settings.high));
+
+        if (settings.deess > 0) {
+            const deesser = _deesser(ctx, settings.deess);
+            node.connect(deesser.input);
+            node = deesser.output;
+        }
+
+        if (settings.compRatio > 1) {
+            const comp = ctx.createDynamicsCompressor();
+            comp.threshold.value = settings.compThreshold;
+            comp.ratio.value = settings.compRatio;
+            comp.knee.value = 6;
+            comp.attack.value = 0.005;
+            comp.release.value = 0.15;
+            chain(comp);
+        }
+        const makeup = ctx.createGain();
+        makeup.gain.value = Math.pow(10, settings.compMakeup / 20);
+        chain(makeup);
+
+        // Dry signal plus delay and reverb sends
+        node.connect(output);
+
+        if (settings.delayMix > 0) {
+            const delay = ctx.createDelay(1);
+            delay.delayTime.value = settings.delayTime;
+            const feedback = ctx.createGain();
+            feedback.gain.value = settings.delayFeedback;
+            const tone = ctx.createBiquadFilter();   // each repeat a little darker
+            tone.type = 'lowpass';
+            tone.frequency.value = 5000;
+            const send = ctx.createGain();
+            send.gain.value = settings.delayMix;
+
+            node.connect(delay);
+            delay.connect(tone);
+            tone.connect(feedback);
+            feedback.connect(delay);
+            tone.connect(send);
+            send.connect(output);
+        }
+
+        if (settings.reverbMix > 0) {
+            const convolver = ctx.createConvolver();
+            convolver.buffer = _impulseResponse(ctx, settings.reverb);
+            const send = ctx.createGain();
+            send.gain.value = settings.reverbMix;
+            node.connect(convolver);
+            convolver.connect(send);
+            send.connect(output);
+        }
+
+        return { input, output };
+    }
+
+    function _filter(ctx, type, frequency, gainDb, q) {
+        const filter = ctx.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.gain.value = gainDb;
+        if (q) filter.Q.value = q;
+        return filter;
+    }
+
+    /**
+     * Split-band de-esser: a Linkwitz-Riley crossover (so the bands sum flat) with a fast,
+     * hard compressor on the top band only.
+     */
+    function _deesser(ctx, amount) {
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+
+        const lows = _cascade(ctx, 'lowpass', DEESS_FREQ);
+        const highs = _cascade(ctx, 'highpass', DEESS_FREQ);
+        input.connect(lows.input);
+        input.connect(highs.input);
+        lows.output.connect(output);
+
+        const comp = ctx.createDynamicsCompressor();
+        comp.threshold.value = -20 - amount * 25;
+        comp.ratio.value = 4 + amount * 16;
+        comp.knee.value = 3;
+        comp.attack.value = 0.001;
+        comp.release.value = 0.05;
+        highs.output.connect(comp);
+        comp.connect(output);
+
+        return { input, output };
+    }
+
+    function _cascade(ctx, type, frequency) {
+        const a = ctx.createBiquadFilter();
+        const b = ctx.createBiquadFilter();
+        [a, b].forEach(f => {
+            f.type = type;
+            f.frequency.value = frequency;
+            f.Q.value = Math.SQRT1_2;
+        });
+        a.connect(b);
+        return { input: a, output: b };
+    }
+
+    /**
+     * Decaying stereo noise shaped per reverb type, from a fixed seed (cached per sample rate).
+     */
+    function _impulseResponse(ctx, type) {
+        const rate = ctx.sampleRate;
+        const key = `${type}@${rate}`;
+        if (irCache[key]) return irCache[key];
+
+        const { seconds, predelay, decay, damping } = REVERBS[type] || REVERBS.room;
+        const length = Math.floor(seconds * rate);
+        const start = Math.floor(predelay * rate);
+        const ir = ctx.createBuffer(2, length, rate);
+        const random = _seededRandom(Array.from(type).reduce((h, c) => h * 31 + c.charCodeAt(0), 7));
+
+        for (let ch = 0; ch < 2; ch++) {
+            const data = ir.getChannelData(ch);
+            let smoothed = 0;
+            for (let i = start; i < length; i++) {
+                const t = (i - start) / (length - start);
+                // One-pole lowpass that closes over time: the tail gets darker as it decays
+                const white = random() * 2 - 1;
+                const coeff = damping * t;
+                smoothed = smoothed * coeff + white * (1 - coeff);
+                data[i] = smoothed * Math.exp(-decay * t * 2);
+            }
+        }
+
+        irCache[key] = ir;
+        return ir;
+    }
+
+    function _seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            // mulberry32
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    return { getParams, getReverbs, getPresets, fromPreset, normalize, build };
+})();
@@ -1,11 +1,82 @@
 /**
  * Thiptine's Day — Exporter Module
  * Renders clip-based recorded audio and mixed video+audio for download.
+ * Every path uses the comped clips (Recorder.getCompedClips), never the unused takes.
  * Uses OfflineAudioContext for audio rendering and MediaRecorder + Canvas for video.
+ * Mixes can be brought to a loudness target on the way out (see Loudness).
  */
 
 const Exporter = (() => {
     let onProgress = null;
+    let currentJob = null;  // { recorder, cancelled, onCancel } for the running real-time export
+
+    // ── Format & quality options ──
+
+    const AUDIO_FORMATS = {
+        wav16: { label: 'WAV 16-bit', bytesPerSample: 2 },
+        wav24: { label: 'WAV 24-bit', bytesPerSample: 3 },
+        wav32f: { label: 'WAV 32-bit float', bytesPerSample: 4 },
+        opus: { label: 'Opus (WebM)', bitrate: 128000 },
+    };
+    const SAMPLE_RATES = [0, 44100, 48000];       // 0 = keep the source rate
+    const VIDEO_HEIGHTS = [0, 1080, 720, 480];    // 0 = keep the source size
+    const VIDEO_QUALITIES = {                     // bits per pixel per frame
+        high: { label: 'High', bpp: 0.1 },
+        standard: { label: 'Standard', bpp: 0.06 },
+        small: { label: 'Small file', bpp: 0.03 },
+    };
+    const ESTIMATE_FPS = 30;
+    const LOUDNESS_TARGETS = [0, ...Loudness.getTargets()];   // LUFS, 0 = leave the mix as it is
+
+    let options = {
+        audioFormat: 'wav16',
+        sampleRate: 0,
+        videoHeight: 0,
+        videoQuality: 'standard',
+        loudness: 0,
+    };
+
+    function setOptions(partial) {
+        options = { ...options, ...partial };
+    }
+
+    function getOptions() {
+        return { ...options };
+    }
+
+    function supportsOpus() {
+        return typeof AudioEncoder !== 'undefined' && typeof AudioData !== 'undefined';
+    }
+
+    /**
+     * Estimated size in bytes of an audio export of the given length.
+     */
+    function estimateAudioSize(format, sampleRate, duration, channels = 2) {
+        const spec = AUDIO_FORMATS[format];
+        if (!spec) return 0;
+        if (spec.bitrate) return Math.round(duration * spec.bitrate / 8);
+        const rate = sampleRate || AudioEngine.getAudioContext().sampleRate;
+        return 44 + Math.round(duration * rate) * channels * spec.bytesPerSample;
+    }
+
+    /**
+     * Output frame size for a resolution preset, scaled from the source and never upscaled.
+     */
+    function getVideoSize(height, sourceWidth, sourceHeight) {
+        const srcW = sourceWidth || 1280;
+        const srcH = sourceHeight || 720;
+        if (!height || height >= srcH) return { width: srcW & ~1, height: srcH & ~1 };
+        return { width: Math.round(srcW * height / srcH) & ~1, height: height & ~1 };
+    }
+
+    function getVideoBitrate(size, quality, frameRate = ESTIMATE_FPS) {
+        const bpp = (VIDEO_QUALITIES[quality] || VIDEO_QUALITIES.standard).bpp;
+        return Math.round(size.width * size.height * frameRate * bpp);
+    }
+
+    function estimateVideoSize(size, quality, duration) {
+        return Math.round(duration * (getVideoBitrate(size, quality) + AUDIO_FORMATS.opus.bitrate) / 8);
+    }
 
     function setOnProgress(cb) { onProgress = cb; }
 
@@ -13,6 +84,42 @@ const Exporter = (() => {
         if (onProgress) onProgress(stage, Math.round(pct));
     }
 
+    // ── Cancellation (real-time MediaRecorder exports) ──
+
+    function _beginJob(recorder, onCancel) {
+        currentJob = { recorder, cancelled: false, onCancel };
+        return currentJob;
+    }
+
+    function _endJob(job) {
+        if (currentJob === job) currentJob = null;
+    }
+
+    /**
+     * Cancel the running real-time export. Its promise rejects with an AbortError.
+     */
+    function cancel() {
+        if (!currentJob || currentJob.cancelled) return false;
+        currentJob.cancelled = true;
+        if (currentJob.onCancel) currentJob.onCancel();
+        if (currentJob.recorder && currentJob.recorder.state !== 'inactive') currentJob.recorder.stop();
+        return true;
+    }
+
+    function isCancellable() {
+        return currentJob !== null && !currentJob.cancelled;
+    }
+
+    function _cancelledError() {
+        const err = new Error('Export cancelled');
+        err.name = 'AbortError';
+        return err;
+    }
+
+    function _throwIfCancelled(job) {
+        if (job && job.cancelled) throw _cancelledError();
+    }
+
     // ══════════════════════════════════════════
     // 1. Original Audio (from video)
     // ══════════════════════════════════════════
@@ -54,45 +161,62 @@ const Exporter = (() => {
         };
 
         return new Promise((resolve, reject) => {
+            // Play video from start to capture audio
+            const prevTime = videoEl.currentTime;
+            const prevMuted = videoEl.muted;
+            const prevPaused = videoEl.paused;
+            let progressInterval = null;
+
+            function restoreVideo() {
+                clearInterval(progressInterval);
+                videoEl.onended = null;
+                videoEl.currentTime = prevTime;
+                videoEl.muted = prevMuted;
+                if (prevPaused) videoEl.pause();
+            }
+
+            const job = _beginJob(recorder, () => {
+                videoEl.pause();
+                restoreVideo();
+            });
+
             recorder.onstop = async () => {
-                _emit('Encoding WAV…', 80);
+                _endJob(job);
+                if (job.cancelled) {
+                    ctx.close();
+                    reject(_cancelledError());
+                    return;
+                }
+
+                _emit('Encoding audio…', 80);
                 const blob = new Blob(chunks, { type: recorder.mimeType });
                 try {
                     const arrayBuffer = await blob.arrayBuffer();
                     const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-                    const wav = audioBufferToWav(audioBuffer);
-                    _downloadBlob(new Blob([wav], { type: 'audio/wav' }), 'thiptines-day-original.wav');
+                    await _saveAudio(audioBuffer, 'thiptines-day-original');
                     _emit('Done!', 100);
                 } catch (err) {
                     // Fallback: just download the webm
-                    _downloadBlob(blob, 'thiptines-day-original.webm');
+                    downloadBlob(blob, 'thiptines-day-original.webm');
                     _emit('Done!', 100);
                 }
                 ctx.close();
                 resolve();
             };
 
-            // Play video from start to capture audio
-            const prevTime = videoEl.currentTime;
-            const prevMuted = videoEl.muted;
-            const prevPaused = videoEl.paused;
             videoEl.muted = false;
             videoEl.currentTime = 0;
 
             recorder.start(100);
 
-            let progressInterval = setInterval(() => {
+            progressInterval = setInterval(() => {
                 const pct = (videoEl.currentTime / duration) * 70;
                 _emit('Recording audio…', pct);
             }, 500);
 
             videoEl.onended = () => {
-                clearInterval(progressInterval);
                 recorder.stop();
-                // Restore state
-                videoEl.currentTime = prevTime;
-                videoEl.muted = prevMuted;
-                if (prevPaused) videoEl.pause();
+                restoreVideo();
             };
 
             videoEl.play();
@@ -107,7 +231,7 @@ const Exporter = (() => {
      * Render all recorded clips at their time positions into one WAV.
      */
     async function downloadRecordedAudio() {
-        const clips = Recorder.getAllClips();
+        const clips = Recorder.getCompedClips();
         if (clips.length === 0) {
             alert('No recordings to export.');
             return;
@@ -119,24 +243,15 @@ const Exporter = (() => {
         const sampleRate = clips[0].audioBuffer.sampleRate;
         const totalSamples = Math.ceil(duration * sampleRate);
 
-        const offline = new OfflineAudioContext(1, totalSamples, sampleRate);
+        const offline = new OfflineAudioContext(2, totalSamples, sampleRate);
 
-        clips.forEach((clip, i) => {
-            const source = offline.createBufferSource();
-            source.buffer = clip.audioBuffer;
-            const gain = offline.createGain();
-            gain.gain.value = AudioEngine.getClipGain(clip.id);
-            source.connect(gain);
-            gain.connect(offline.destination);
-            source.start(clip.startTime);
-            _emit('Mixing clips…', (i / clips.length) * 60);
-        });
+        _emit('Mixing clips…', 30);
+        _scheduleClips(offline, clips, offline.destination);
 
         _emit('Rendering…', 60);
-        const rendered = await offline.startRendering();
-        _emit('Encoding WAV…', 85);
-        const wav = audioBufferToWav(rendered);
-        _downloadBlob(new Blob([wav], { type: 'audio/wav' }), 'thiptines-day-recordings.wav');
+        const rendered = await _applyLoudness(await offline.startRendering(), 75);
+        _emit('Encoding audio…', 85);
+        await _saveAudio(rendered, 'thiptines-day-recordings');
         _emit('Done!', 100);
     }
 
@@ -144,13 +259,96 @@ const Exporter = (() => {
     // 3. Mixed Audio (Video audio + Recordings)
     // ══════════════════════════════════════════
 
+    /**
+     * Decode the original track from the media file and mix it with the clips
+     * in an OfflineAudioContext — faster than real time and sample-accurate.
+     * Falls back to the real-time MediaRecorder capture if the file can't be decoded.
+     */
     async function downloadMixedAudio() {
-        const clips = Recorder.getAllClips();
+        const clips = Recorder.getCompedClips();
         if (clips.length === 0) {
             alert('No recordings to mix. Record something first!');
             return;
         }
 
+        _emit('Decoding original audio…', 0);
+
+        let original;
+        try {
+            original = await AudioEngine.loadOriginalAudio(getOriginalMediaUrl());
+        } catch (err) {
+            console.warn('Offline decode of the original audio failed, using real-time capture:', err);
+            return _downloadMixedAudioRealtime(clips);
+        }
+
+        const mix = await renderMix(original, clips, (pct) => _emit('Rendering mix…', 20 + pct * 0.6));
+        const rendered = await _applyLoudness(mix, 80);
+        _emit('Encoding audio…', 85);
+        await _saveAudio(rendered, 'thiptines-day-mixed');
+        _emit('Done!', 100);
+    }
+
+    /**
+     * Mix the original track and the clips offline. `original` may be null (clips only).
+     * Clips start exactly at their startTime, at the original track's sample rate
+     * unless `options.sampleRate` asks for another one.
+     */
+    async function renderMix(original, clips, onRenderProgress, options = {}) {
+        const duration = original ? original.duration : VideoPlayer.getDuration();
+        const sampleRate = options.sampleRate
+            || (original ? original.sampleRate : AudioEngine.getAudioContext().sampleRate);
+        const offline = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        if (original) {
+            const source = offline.createBufferSource();
+            source.buffer = original;
+            source.connect(offline.destination);
+            source.start(0);
+        }
+
+        _scheduleClips(offline, clips, offline.destination);
+
+        if (onRenderProgress) onRenderProgress(0);
+        const rendered = await offline.startRendering();
+        if (onRenderProgress) onRenderProgress(100);
+        return rendered;
+    }
+
+    /**
+     * Schedule clips into any audio context, each through its track's effects and volume/pan bus
+     * (mute and solo applied), built the same way as for playback.
+     * `startAt` is the context time that maps to video time 0.
+     */
+    function _scheduleClips(ctx, clips, destination, startAt = 0) {
+        const buses = {};
+        clips.forEach(clip => {
+            const trackId = Tracks.resolveTrackId(clip.trackId);
+            if (!buses[trackId]) {
+                const mix = Tracks.getMix(trackId);
+                const fx = Effects.build(ctx, Tracks.get(trackId).fx);
+                const trackGain = ctx.createGain();
+                trackGain.gain.value = mix.gain;
+                const panner = ctx.createStereoPanner();
+                panner.pan.value = mix.pan;
+                fx.output.connect(trackGain);
+                trackGain.connect(panner);
+                panner.connect(destination);
+                buses[trackId] = fx.input;
+            }
+
+            AudioEngine.scheduleClip(ctx, clip, buses[trackId], startAt + clip.startTime);
+        });
+    }
+
+    /**
+     * URL of the media file actually loaded by the video element.
+     */
+    function getOriginalMediaUrl() {
+        const videoEl = VideoPlayer.getElement();
+        return (videoEl && videoEl.currentSrc) || CONFIG.videoSrc;
+    }
+
+    async function _downloadMixedAudioRealtime(clips) {
         _emit('This may take a while…', 0);
 
         // We need to capture video audio + overlay clips
@@ -170,15 +368,7 @@ const Exporter = (() => {
         }
 
         // Recording clips — schedule them
-        clips.forEach(clip => {
-            const source = ctx.createBufferSource();
-            source.buffer = clip.audioBuffer;
-            const gain = ctx.createGain();
-            gain.gain.value = AudioEngine.getClipGain(clip.id);
-            source.connect(gain);
-            gain.connect(dest);
-            source.start(ctx.currentTime + clip.startTime);
-        });
+        _scheduleClips(ctx, clips, dest, ctx.currentTime);
 
         const recorder = new MediaRecorder(dest.stream, {
             mimeType: _getAudioMimeType(),
@@ -190,39 +380,57 @@ const Exporter = (() => {
         };
 
         return new Promise((resolve, reject) => {
+            const prevTime = videoEl.currentTime;
+            const prevPaused = videoEl.paused;
+            let progressInterval = null;
+
+            function restoreVideo() {
+                clearInterval(progressInterval);
+                videoEl.onended = null;
+                videoEl.currentTime = prevTime;
+                if (prevPaused) videoEl.pause();
+            }
+
+            const job = _beginJob(recorder, () => {
+                videoEl.pause();
+                restoreVideo();
+            });
+
             recorder.onstop = async () => {
-                _emit('Encoding WAV…', 85);
+                _endJob(job);
+                if (job.cancelled) {
+                    ctx.close();
+                    reject(_cancelledError());
+                    return;
+                }
+
+                _emit('Encoding audio…', 85);
                 const blob = new Blob(chunks, { type: recorder.mimeType });
                 try {
                     const ab = await blob.arrayBuffer();
                     const audioBuffer = await ctx.decodeAudioData(ab);
-                    const wav = audioBufferToWav(audioBuffer);
-                    _downloadBlob(new Blob([wav], { type: 'audio/wav' }), 'thiptines-day-mixed.wav');
+                    await _saveAudio(await _applyLoudness(audioBuffer, 85), 'thiptines-day-mixed');
                 } catch {
-                    _downloadBlob(blob, 'thiptines-day-mixed.webm');
+                    downloadBlob(blob, 'thiptines-day-mixed.webm');
                 }
                 _emit('Done!', 100);
                 ctx.close();
                 resolve();
             };
 
-            const prevTime = videoEl.currentTime;
-            const prevPaused = videoEl.paused;
             videoEl.currentTime = 0;
             videoEl.muted = false;
 
             recorder.start(100);
 
-            let progressInterval = setInterval(() => {
+            progressInterval = setInterval(() => {
                 const pct = (videoEl.currentTime / duration) * 80;
                 _emit('Mixing audio…', pct);
             }, 500);
 
             videoEl.onended = () => {
-                clearInterval(progressInterval);
                 recorder.stop();
-                videoEl.currentTime = prevTime;
-                if (prevPaused) videoEl.pause();
+                restoreVideo();
             };
 
             videoEl.play();
@@ -233,8 +441,296 @@ const Exporter = (() => {
     // 4. Final Mixed Video + Audio (WebM)
     // ══════════════════════════════════════════
 
+    /**
+     * Export the video with the mixed audio. Uses WebCodecs (decode → re-encode → mux)
+     * when the browser and source file allow it, otherwise records the canvas in real time.
+     */
     async function downloadMixedVideo() {
-        const clips = Recorder.getAllClips();
+        if (supportsWebCodecs()) {
+            let source = null;
+            try {
+                source = await _prepareWebCodecsSource();
+            } catch (err) {
+                console.warn('WebCodecs export unavailable, using real-time capture:', err);
+            }
+            if (source) return _downloadMixedVideoWebCodecs(source);
+        }
+        return _downloadMixedVideoRealtime();
+    }
+
+    function supportsWebCodecs() {
+        return typeof VideoDecoder !== 'undefined'
+            && typeof VideoEncoder !== 'undefined'
+            && typeof AudioEncoder !== 'undefined'
+            && typeof AudioData !== 'undefined';
+    }
+
+    /**
+     * Fetch and demux the source file and make sure every codec involved is supported.
+     * Throws when any part of the WebCodecs path can't be used.
+     */
+    async function _prepareWebCodecsSource() {
+        _emit('Reading video file…', 0);
+        const res = await fetch(getOriginalMediaUrl());
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const fileBuffer = await res.arrayBuffer();
+        const demuxed = Mp4Demuxer.parse(fileBuffer);
+
+        const decoderConfig = {
+            codec: demuxed.codec,
+            description: demuxed.description,
+            codedWidth: demuxed.codedWidth,
+            codedHeight: demuxed.codedHeight,
+        };
+        const decoderSupport = await VideoDecoder.isConfigSupported(decoderConfig);
+        if (!decoderSupport.supported) throw new Error(`Decoding ${demuxed.codec} is not supported`);
+
+        const source = _outputSize(demuxed);
+        const { width, height } = getVideoSize(options.videoHeight, source.width, source.height);
+        const bitrate = getVideoBitrate({ width, height }, options.videoQuality, demuxed.frameRate);
+        const encoder = await _pickVideoEncoderConfig(width, height, demuxed.frameRate, bitrate);
+        if (!encoder) throw new Error('No supported VP9/VP8 encoder');
+
+        const audioConfig = { codec: 'opus', sampleRate: 48000, numberOfChannels: 2, bitrate: 128000 };
+        const audioSupport = await AudioEncoder.isConfigSupported(audioConfig);
+        if (!audioSupport.supported) throw new Error('Opus encoding is not supported');
+
+        // The mix needs the original audio decoded; real-time capture plays it from the video instead
+        let original;
+        try {
+            original = await AudioEngine.loadOriginalAudio(getOriginalMediaUrl());
+        } catch (err) {
+            throw new Error(`The original audio could not be decoded (${err.message})`);
+        }
+
+        return { fileBuffer, demuxed, decoderConfig, encoder, audioConfig, original, width, height };
+    }
+
+    function _outputSize(demuxed) {
+        const sideways = demuxed.rotation === 90 || demuxed.rotation === 270;
+        const width = sideways ? demuxed.codedHeight : demuxed.codedWidth;
+        const height = sideways ? demuxed.codedWidth : demuxed.codedHeight;
+        return { width: width & ~1, height: height & ~1 };
+    }
+
+    async function _pickVideoEncoderConfig(width, height, frameRate, bitrate) {
+        const candidates = [
+            { codec: 'vp09.00.10.08', muxCodec: 'V_VP9' },
+            { codec: 'vp8', muxCodec: 'V_VP8' },
+        ];
+        for (const candidate of candidates) {
+            const config = {
+                codec: candidate.codec,
+                width,
+                height,
+                bitrate,
+                framerate: frameRate,
+            };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) return { config, muxCodec: candidate.muxCodec };
+        }
+        return null;
+    }
+
+    async function _downloadMixedVideoWebCodecs(source) {
+        const { fileBuffer, demuxed, decoderConfig, encoder, audioConfig, original, width, height } = source;
+        const job = _beginJob(null, null);
+
+        try {
+            // Audio: offline mix, encoded to Opus
+            _emit('Mixing audio…', 5);
+            const mix = await _applyLoudness(await renderMix(original, Recorder.getCompedClips(), null, {
+                sampleRate: audioConfig.sampleRate,
+            }), 10);
+            _throwIfCancelled(job);
+
+            _emit('Encoding audio…', 15);
+            const { chunks: audioChunks, codecPrivate } = await _encodeAudio(mix, audioConfig, job);
+
+            const muxer = WebmMuxer.create({
+                video: { codec: encoder.muxCodec, width, height },
+                audio: {
+                    codec: 'A_OPUS',
+                    sampleRate: audioConfig.sampleRate,
+                    channels: audioConfig.numberOfChannels,
+                    codecPrivate: codecPrivate || _opusHead(audioConfig),
+                },
+            });
+            audioChunks.forEach(chunk => muxer.addAudioChunk(chunk));
+
+            // Video: decode every source sample and re-encode it frame by frame
+            await _transcodeVideo(fileBuffer, demuxed, decoderConfig, encoder.config, muxer, job);
+
+            _emit('Writing file…', 97);
+            downloadBlob(muxer.finalize(), 'thiptines-day-final.webm');
+            _emit('Done!', 100);
+        } finally {
+            _endJob(job);
+        }
+    }
+
+    async function _encodeAudio(buffer, config, job) {
+        const chunks = [];
+        let codecPrivate = null;
+        let failure = null;
+
+        const audioEncoder = new AudioEncoder({
+            output: (chunk, meta) => {
+                chunks.push(chunk);
+                if (meta && meta.decoderConfig && meta.decoderConfig.description) {
+                    codecPrivate = new Uint8Array(meta.decoderConfig.description);
+                }
+            },
+            error: (err) => { failure = err; },
+        });
+        audioEncoder.configure(config);
+
+        const channels = config.numberOfChannels;
+        const FRAMES = 4800; // 100 ms at 48 kHz
+        try {
+            for (let start = 0; start < buffer.length; start += FRAMES) {
+                if (failure) throw failure;
+                _throwIfCancelled(job);
+
+                const n = Math.min(FRAMES, buffer.length - start);
+                const data = new Float32Array(n * channels);
+                for (let ch = 0; ch < channels; ch++) {
+                    const src = buffer.getChannelData(Math.min(ch, buffer.numberOfChannels - 1));
+                    data.set(src.subarray(start, start + n), ch * n);
+                }
+                const audioData = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate: config.sampleRate,
+                    numberOfFrames: n,
+                    numberOfChannels: channels,
+                    timestamp: Math.round(start * 1e6 / config.sampleRate),
+                    data,
+                });
+                audioEncoder.encode(audioData);
+                audioData.close();
+
+                while (audioEncoder.encodeQueueSize > 20) await _yield();
+            }
+            await audioEncoder.flush();
+        } finally {
+            if (audioEncoder.state !== 'closed') audioEncoder.close();
+        }
+        if (failure) throw failure;
+        return { chunks, codecPrivate };
+    }
+
+    async function _transcodeVideo(fileBuffer, demuxed, decoderConfig, encoderConfig, muxer, job) {
+        const { width, height } = encoderConfig;
+        const samples = demuxed.samples;
+        const firstKey = samples.findIndex(s => s.isKey);
+        if (firstKey < 0) throw new Error('Video has no keyframes');
+
+        // An edit list has already made the timestamps presentation times; otherwise the earliest frame is time 0
+        const baseTimestamp = demuxed.edited ? 0 : samples.reduce((min, s) => Math.min(min, s.timestamp), Infinity);
+        const keyInterval = Math.max(1, Math.round(demuxed.frameRate * 2));
+        const canvas = new OffscreenCanvas(width, height);
+        const canvasCtx = canvas.getContext('2d');
+        let frameIndex = 0;
+        let failure = null;
+
+        const videoEncoder = new VideoEncoder({
+            output: (chunk) => muxer.addVideoChunk(chunk),
+            error: (err) => { failure = err; },
+        });
+        videoEncoder.configure(encoderConfig);
+
+        const decoder = new VideoDecoder({
+            output: (frame) => {
+                const timestamp = frame.timestamp - baseTimestamp;
+                // Frames outside the edit are only decoded for the ones that depend on them
+                if (demuxed.edited && (timestamp < 0 || timestamp >= demuxed.duration)) {
+                    frame.close();
+                    return;
+                }
+                const out = _orientFrame(frame, demuxed.rotation, canvas, canvasCtx, timestamp);
+                frame.close();
+                try {
+                    videoEncoder.encode(out, { keyFrame: frameIndex % keyInterval === 0 });
+                    frameIndex++;
+                } catch (err) {
+                    failure = err;
+                }
+                out.close();
+            },
+            error: (err) => { failure = err; },
+        });
+        decoder.configure(decoderConfig);
+
+        const bytes = new Uint8Array(fileBuffer);
+        try {
+            for (let i = firstKey; i < samples.length; i++) {
+                if (failure) throw failure;
+                _throwIfCancelled(job);
+
+                const sample = samples[i];
+                decoder.decode(new EncodedVideoChunk({
+                    type: sample.isKey ? 'key' : 'delta',
+                    timestamp: sample.timestamp,
+                    duration: sample.duration,
+                    data: bytes.subarray(sample.offset, sample.offset + sample.size),
+                }));
+
+                while (decoder.decodeQueueSize > 8 || videoEncoder.encodeQueueSize > 8) await _yield();
+                if (i % 15 === 0) _emit('Encoding video…', 20 + (i / samples.length) * 75);
+            }
+            await decoder.flush();
+            await videoEncoder.flush();
+        } finally {
+            if (decoder.state !== 'closed') decoder.close();
+            if (videoEncoder.state !== 'closed') videoEncoder.close();
+        }
+        if (failure) throw failure;
+    }
+
+    /**
+     * Return a frame at the encoder size with the track rotation applied.
+     */
+    function _orientFrame(frame, rotation, canvas, canvasCtx, timestamp) {
+        const { width, height } = canvas;
+        if (!rotation && frame.displayWidth === width && frame.displayHeight === height) {
+            return new VideoFrame(frame, { timestamp });
+        }
+
+        const sideways = rotation === 90 || rotation === 270;
+        const drawW = sideways ? height : width;
+        const drawH = sideways ? width : height;
+        canvasCtx.save();
+        canvasCtx.translate(width / 2, height / 2);
+        canvasCtx.rotate(rotation * Math.PI / 180);
+        canvasCtx.drawImage(frame, -drawW / 2, -drawH / 2, drawW, drawH);
+        canvasCtx.restore();
+        return new VideoFrame(canvas, { timestamp, duration: frame.duration || undefined });
+    }
+
+    /**
+     * Fallback OpusHead for the WebM CodecPrivate when the encoder doesn't provide one.
+     */
+    function _opusHead(config) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'), 0);
+        head[8] = 1;                                   // version
+        head[9] = config.numberOfChannels;
+        view.setUint16(10, 312, true);                 // pre-skip (6.5 ms at 48 kHz)
+        view.setUint32(12, config.sampleRate, true);
+        view.setInt16(16, 0, true);                    // output gain
+        head[18] = 0;                                  // channel mapping family
+        return head;
+    }
+
+    function _yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // Real-time fallback: paint the playing video to a canvas and record it.
+    // The audio is encoded as it plays, so the loudness target can't be applied here.
+    async function _downloadMixedVideoRealtime() {
+        const clips = Recorder.getCompedClips();
         _emit('Preparing video export…', 0);
 
         const videoEl = VideoPlayer.getElement();
@@ -242,8 +738,9 @@ const Exporter = (() => {
 
         // Canvas for video frames
         const canvas = document.createElement('canvas');
-        canvas.width = videoEl.videoWidth || 1280;
-        canvas.height = videoEl.videoHeight || 720;
+        const size = getVideoSize(options.videoHeight, videoEl.videoWidth, videoEl.videoHeight);
+        canvas.width = size.width;
+        canvas.height = size.height;
         const canvasCtx = canvas.getContext('2d');
 
         // Audio context for mixing
@@ -259,15 +756,7 @@ const Exporter = (() => {
         }
 
         // Schedule recorded clips
-        clips.forEach(clip => {
-            const src = audioCtx.createBufferSource();
-            src.buffer = clip.audioBuffer;
-            const gain = audioCtx.createGain();
-            gain.gain.value = AudioEngine.getClipGain(clip.id);
-            src.connect(gain);
-            gain.connect(audioDest);
-            src.start(audioCtx.currentTime + clip.startTime);
-        });
+        _scheduleClips(audioCtx, clips, audioDest, audioCtx.currentTime);
 
         // Combine canvas video + mixed audio
         const canvasStream = canvas.captureStream(30);
@@ -276,7 +765,7 @@ const Exporter = (() => {
         const mimeType = _getVideoMimeType();
         const recorder = new MediaRecorder(canvasStream, {
             mimeType: mimeType,
-            videoBitsPerSecond: 5000000,
+            videoBitsPerSecond: getVideoBitrate(size, options.videoQuality),
         });
 
         const chunks = [];
@@ -284,25 +773,45 @@ const Exporter = (() => {
             if (e.data.size > 0) chunks.push(e.data);
         };
 
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
+            const prevTime = videoEl.currentTime;
+            const prevPaused = videoEl.paused;
+            let frameId;
+
+            function restoreVideo() {
+                cancelAnimationFrame(frameId);
+                videoEl.onended = null;
+                videoEl.currentTime = prevTime;
+                if (prevPaused) videoEl.pause();
+            }
+
+            const job = _beginJob(recorder, () => {
+                videoEl.pause();
+                restoreVideo();
+            });
+
             recorder.onstop = () => {
+                _endJob(job);
+                if (job.cancelled) {
+                    audioCtx.close();
+                    reject(_cancelledError());
+                    return;
+                }
+
                 const ext = mimeType.includes('mp4') ? 'mp4' : 'webm';
                 const blob = new Blob(chunks, { type: mimeType });
-                _downloadBlob(blob, `thiptines-day-final.${ext}`);
+                downloadBlob(blob, `thiptines-day-final.${ext}`);
                 _emit('Done!', 100);
                 audioCtx.close();
                 resolve();
             };
 
             // Start recording
-            const prevTime = videoEl.currentTime;
-            const prevPaused = videoEl.paused;
             videoEl.currentTime = 0;
             videoEl.muted = false;
 
             recorder.start(100);
 
-            let frameId;
             function drawFrame() {
                 if (videoEl.ended || videoEl.paused) return;
                 canvasCtx.drawImage(videoEl, 0, 0, canvas.width, canvas.height);
@@ -312,25 +821,233 @@ const Exporter = (() => {
             }
 
             videoEl.onended = () => {
-                cancelAnimationFrame(frameId);
                 recorder.stop();
-                videoEl.currentTime = prevTime;
-                if (prevPaused) videoEl.pause();
+                restoreVideo();
             };
 
             videoEl.play().then(drawFrame);
         });
     }
 
+    // ══════════════════════════════════════════
+    // 5. Instrumental Bed + Recordings
+    // ══════════════════════════════════════════
+
+    /**
+     * Render the instrumental backing track(s) with all recorded clips on top into one WAV.
+     */
+    async function downloadInstrumentalMix() {
+        const tracks = AudioEngine.getInstrumentalTracks();
+        if (tracks.length === 0) {
+            alert('No instrumental track is configured.');
+            return;
+        }
+
+        _emit('Preparing instrumental mix…', 0);
+
+        const clips = Recorder.getCompedClips();
+        const duration = VideoPlayer.getDuration();
+        const sampleRate = AudioEngine.getAudioContext().sampleRate;
+        const offline = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        tracks.forEach(track => {
+            const source = offline.createBufferSource();
+            source.buffer = track.audioBuffer;
+            source.connect(offline.destination);
+            source.start(track.startTime, 0, track.duration);
+        });
+        _emit('Mixing clips…', 20);
+
+        _scheduleClips(offline, clips, offline.destination);
+
+        _emit('Rendering…', 60);
+        const rendered = await _applyLoudness(await offline.startRendering(), 75);
+        _emit('Encoding audio…', 85);
+        await _saveAudio(rendered, 'thiptines-day-instrumental-mix');
+        _emit('Done!', 100);
+    }
+
+    // ══════════════════════════════════════════
+    // 6. Stems (one WAV per clip + original, zipped)
+    // ══════════════════════════════════════════
+
+    /**
+     * Write every comped clip (or piece of a take) as its own WAV, padded with leading silence
+     * so it lines up at its startTime, plus the original audio track and a manifest, all in one zip.
+     * Stems are dry and at unity gain; clip gains and effects settings are listed in the manifest.
+     * Pitch correction and time-stretch are part of a clip's audio, so they're in its stem.
+     */
+    async function downloadStems() {
+        const clips = Recorder.getCompedClips();
+        if (clips.length === 0) {
+            alert('No recordings to export.');
+            return;
+        }
+
+        // Stems are always WAV (for importing into a DAW), so Opus falls back to 16-bit
+        const wavFormat = options.audioFormat === 'opus' ? 'wav16' : options.audioFormat;
+        const zip = ZipWriter.create();
+        const manifest = {
+            format: 'thiptines-day-stems',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            videoSrc: CONFIG.videoSrc,
+            wavFormat,
+            original: null,
+            tracks: Tracks.getAll(),
+            clips: [],
+        };
+
+        _emit('Decoding original audio…', 0);
+        try {
+            const original = await AudioEngine.loadOriginalAudio(getOriginalMediaUrl());
+            const rate = options.sampleRate || original.sampleRate;
+            const out = rate !== original.sampleRate ? await _resample(original, rate) : original;
+            zip.addFile('00-original.wav', audioBufferToWav(out, wavFormat));
+            manifest.original = { file: '00-original.wav', offset: 0, duration: original.duration };
+        } catch (err) {
+            console.warn('Stems exported without the original track:', err);
+        }
+
+        const usedNames = new Set();
+        for (let i = 0; i < clips.length; i++) {
+            const clip = clips[i];
+            _emit(`Writing stem ${i + 1} of ${clips.length}…`, 10 + (i / clips.length) * 80);
+
+            const file = _stemFileName(clip, i + 1, usedNames);
+            const padded = await _renderStem(clip, options.sampleRate);
+            zip.addFile(file, audioBufferToWav(padded, wavFormat));
+            manifest.clips.push({
+                file,
+                id: clip.id,
+                name: clip.name || `Take ${clip.id}`,
+                track: (Tracks.get(Tracks.resolveTrackId(clip.trackId)) || {}).name,
+                offset: clip.startTime,
+                duration: clip.duration,
+                trimStart: clip.trimStart || 0,
+                trimEnd: clip.trimEnd || 0,
+                fadeIn: clip.fadeIn || 0,
+                fadeOut: clip.fadeOut || 0,
+                gain: AudioEngine.getClipGain(clip.id),
+                fx: clip.fx || null,
+                processing: clip.processedBuffer && clip.audioBuffer === clip.processedBuffer ? clip.processing : null,
+            });
+        }
+
+        zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+        _emit('Zipping…', 95);
+        downloadBlob(zip.finalize(), 'thiptines-day-stems.zip');
+        _emit('Done!', 100);
+    }
+
+    /**
+     * Render a clip's trimmed, faded region after `startTime` seconds of silence (sample-accurate).
+     * Clip gain and effects are left out — they are listed in the manifest instead.
+     */
+    function _renderStem(clip, sampleRate) {
+        const buffer = clip.audioBuffer;
+        const rate = sampleRate || buffer.sampleRate;
+        const offline = new OfflineAudioContext(
+            buffer.numberOfChannels, Math.ceil((clip.startTime + clip.duration) * rate), rate
+        );
+        const { gainNode } = AudioEngine.scheduleClip(offline, { ...clip, fx: null }, offline.destination, clip.startTime);
+        gainNode.gain.value = 1;
+        return offline.startRendering();
+    }
+
+    function _stemFileName(clip, index, usedNames) {
+        const base = (clip.name || `take-${clip.id}`)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || `clip-${clip.id}`;
+        let name = `${String(index).padStart(2, '0')}-${base}.wav`;
+        if (usedNames.has(name)) name = `${String(index).padStart(2, '0')}-${base}-${clip.id}.wav`;
+        usedNames.add(name);
+        return name;
+    }
+
+    // ══════════════════════════════════════════
+    // Audio file output (format & sample rate options)
+    // ══════════════════════════════════════════
+
+    /**
+     * Bring a rendered mix to the loudness target in the options, behind a true-peak limiter.
+     * Returned as it is when no target is set.
+     */
+    async function _applyLoudness(buffer, pct) {
+        if (!options.loudness) return buffer;
+        _emit('Normalizing loudness…', pct);
+        const { buffer: normalized } = await Loudness.normalize(buffer, options.loudness);
+        return normalized;
+    }
+
+    /**
+     * Encode a rendered buffer in the selected export format and download it.
+     */
+    async function _saveAudio(buffer, baseName) {
+        if (options.audioFormat === 'opus') {
+            if (!supportsOpus()) {
+                throw new Error('Opus export needs WebCodecs audio encoding, which this browser doesn\'t have. Choose a WAV format instead.');
+            }
+            const blob = await _encodeOpusFile(buffer);
+            downloadBlob(blob, `${baseName}.webm`);
+            return;
+        }
+
+        const rate = options.sampleRate || buffer.sampleRate;
+        const out = rate !== buffer.sampleRate ? await _resample(buffer, rate) : buffer;
+        const format = AUDIO_FORMATS[options.audioFormat] ? options.audioFormat : 'wav16';
+        const wav = audioBufferToWav(out, format);
+        downloadBlob(new Blob([wav], { type: 'audio/wav' }), `${baseName}.wav`);
+    }
+
+    function _resample(buffer, sampleRate) {
+        const offline = new OfflineAudioContext(
+            buffer.numberOfChannels, Math.ceil(buffer.duration * sampleRate), sampleRate
+        );
+        const source = offline.createBufferSource();
+        source.buffer = buffer;
+        source.connect(offline.destination);
+        source.start(0);
+        return offline.startRendering();
+    }
+
+    async function _encodeOpusFile(buffer) {
+        const config = {
+            codec: 'opus',
+            sampleRate: 48000,
+            numberOfChannels: Math.min(2, buffer.numberOfChannels),
+            bitrate: AUDIO_FORMATS.opus.bitrate,
+        };
+        const input = buffer.sampleRate === config.sampleRate ? buffer : await _resample(buffer, config.sampleRate);
+        const { chunks, codecPrivate } = await _encodeAudio(input, config, currentJob);
+
+        const muxer = WebmMuxer.create({
+            video: null,
+            audio: {
+                codec: 'A_OPUS',
+                sampleRate: config.sampleRate,
+                channels: config.numberOfChannels,
+                codecPrivate: codecPrivate || _opusHead(config),
+            },
+        });
+        chunks.forEach(chunk => muxer.addAudioChunk(chunk));
+        return muxer.finalize('audio/webm');
+    }
+
     // ══════════════════════════════════════════
     // WAV encoder
     // ══════════════════════════════════════════
 
-    function audioBufferToWav(buffer) {
+    /**
+     * Encode an AudioBuffer as WAV. `format` is 'wav16' (default), 'wav24' or 'wav32f'.
+     */
+    function audioBufferToWav(buffer, format = 'wav16') {
         const numChannels = buffer.numberOfChannels;
         const sampleRate = buffer.sampleRate;
-        const format = 1; // PCM
-        const bitsPerSample = 16;
+        const isFloat = format === 'wav32f';
+        const formatTag = isFloat ? 3 : 1; // IEEE float : PCM
+        const bitsPerSample = format === 'wav24' ? 24 : isFloat ? 32 : 16;
 
         let interleaved;
         if (numChannels === 1) {
@@ -360,7 +1077,7 @@ const Exporter = (() => {
         // fmt chunk
         _writeString(view, 12, 'fmt ');
         view.setUint32(16, 16, true); // chunk size
-        view.setUint16(20, format, true);
+        view.setUint16(20, formatTag, true);
         view.setUint16(22, numChannels, true);
         view.setUint32(24, sampleRate, true);
         view.setUint32(28, sampleRate * numChannels * (bitsPerSample / 8), true);
@@ -374,9 +1091,22 @@ const Exporter = (() => {
         // Write samples
         let offset = 44;
         for (let i = 0; i < interleaved.length; i++) {
+            if (isFloat) {
+                view.setFloat32(offset, interleaved[i], true);
+                offset += 4;
+                continue;
+            }
             const s = Math.max(-1, Math.min(1, interleaved[i]));
-            view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-            offset += 2;
+            if (bitsPerSample === 24) {
+                const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+                view.setUint8(offset, v & 0xff);
+                view.setUint8(offset + 1, (v >> 8) & 0xff);
+                view.setUint8(offset + 2, (v >> 16) & 0xff);
+                offset += 3;
+            } else {
+                view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+                offset += 2;
+            }
         }
 
         return arrayBuffer;
@@ -392,7 +1122,7 @@ const Exporter = (() => {
     // Helpers
     // ══════════════════════════════════════════
 
-    function _downloadBlob(blob, filename) {
+    function downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -432,6 +1162,26 @@ const Exporter = (() => {
         downloadRecordedAudio,
         downloadMixedAudio,
         downloadMixedVideo,
+        downloadInstrumentalMix,
+        downloadStems,
         setOnProgress,
+        renderMix,
+        getOriginalMediaUrl,
+        supportsWebCodecs,
+        supportsOpus,
+        setOptions,
+        getOptions,
+        estimateAudioSize,
+        estimateVideoSize,
+        getVideoSize,
+        AUDIO_FORMATS,
+        SAMPLE_RATES,
+        LOUDNESS_TARGETS,
+        VIDEO_HEIGHTS,
+        VIDEO_QUALITIES,
+        cancel,
+        isCancellable,
+        audioBufferToWav,
+        downloadBlob,
     };
 })();
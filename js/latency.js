@@ -0,0 +1,189 @@
+/**
+ * Thiptine's Day — Latency Module
+ * Works out how late recorded takes land against the music and remembers it per microphone.
+ * The offset is either measured (clicks played through the speakers and recorded back
+ * through the mic, the same path a singer's voice takes) or estimated from the
+ * AudioContext's reported latencies, plus a manual nudge.
+ */
+
+const Latency = (() => {
+    const STORAGE_KEY = 'thiptines_latency';
+
+    const CLICK_COUNT = 6;
+    const CLICK_INTERVAL = 0.7;   // seconds between clicks
+    const LEAD_IN = 0.6;          // silence before the first click (used as the noise floor)
+    const SEARCH_BEFORE = 0.15;   // the recorder may start late, so a click can appear early
+    const SEARCH_AFTER = 0.5;     // longest round trip we look for
+    const MAX_SPREAD = 0.015;     // measurements further than this from the median are discarded
+
+    let audioContext = null;
+    let devices = {};             // deviceId → { measured: seconds | null, nudge: seconds }
+
+    function init(ctx) {
+        audioContext = ctx;
+        try {
+            devices = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+        } catch (e) {
+            devices = {};
+        }
+    }
+
+    function _save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(devices));
+    }
+
+    function _entry(deviceId) {
+        return devices[deviceId || 'default'] || { measured: null, nudge: 0 };
+    }
+
+    /**
+     * Latency the browser reports: output (context + hardware) plus the mic's input latency.
+     */
+    function estimate(inputLatency = 0) {
+        if (!audioContext) return 0;
+        return (audioContext.baseLatency || 0) + (audioContext.outputLatency || 0) + (inputLatency || 0);
+    }
+
+    /**
+     * Offset for a device: { total, measured, nudge, estimated } in seconds.
+     * `total` is how much earlier new takes are placed.
+     */
+    function getOffset(deviceId, inputLatency = 0) {
+        const entry = _entry(deviceId);
+        const estimated = estimate(inputLatency);
+        const base = entry.measured !== null ? entry.measured : estimated;
+        return { total: base + entry.nudge, measured: entry.measured, nudge: entry.nudge, estimated };
+    }
+
+    function setNudge(deviceId, seconds) {
+        devices[deviceId || 'default'] = { ..._entry(deviceId), nudge: seconds };
+        _save();
+    }
+
+    /**
+     * Forget the measurement for a device (falls back to the estimate).
+     */
+    function clearMeasurement(deviceId) {
+        devices[deviceId || 'default'] = { ..._entry(deviceId), measured: null };
+        _save();
+    }
+
+    /**
+     * Play clicks and record them back through the microphone. Resolves to the measured
+     * round trip in seconds (also stored for the device). Throws an Error with a
+     * user-facing message if the clicks can't be heard reliably.
+     */
+    async function measure(deviceId, onStatus) {
+        // Echo cancellation would remove the very clicks we're listening for
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+            },
+        });
+
+        try {
+            if (audioContext.state === 'suspended') await audioContext.resume();
+            if (onStatus) onStatus('Listening… keep quiet for a few seconds');
+
+            // Mirror Recorder: the start time is taken just before the MediaRecorder starts
+            const chunks = [];
+            const recorder = new MediaRecorder(stream);
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+            const startedAt = audioContext.currentTime;
+            recorder.start(100);
+
+            const clickTimes = [];
+            for (let i = 0; i < CLICK_COUNT; i++) {
+                const at = LEAD_IN + i * CLICK_INTERVAL;
+                _click(startedAt + at);
+                clickTimes.push(at);
+            }
+
+            const total = LEAD_IN + CLICK_COUNT * CLICK_INTERVAL + SEARCH_AFTER;
+            await new Promise(resolve => setTimeout(resolve, total * 1000));
+            recorder.stop();
+            await stopped;
+
+            if (onStatus) onStatus('Analysing…');
+            const blob = new Blob(chunks, { type: recorder.mimeType });
+            const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+            const measured = _analyse(buffer, clickTimes);
+
+            const settings = stream.getAudioTracks()[0].getSettings();
+            const key = deviceId || settings.deviceId || 'default';
+            devices[key] = { ..._entry(key), measured };
+            _save();
+            return measured;
+        } finally {
+            stream.getTracks().forEach(t => t.stop());
+        }
+    }
+
+    /**
+     * A short, bright click that's easy to find in the recording.
+     */
+    function _click(when) {
+        const osc = audioContext.createOscillator();
+        osc.frequency.value = 2000;
+        const gain = audioContext.createGain();
+        gain.gain.setValueAtTime(1, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + 0.02);
+        osc.connect(gain);
+        gain.connect(audioContext.destination);
+        osc.start(when);
+        osc.stop(when + 0.03);
+    }
+
+    /**
+     * Find each click's onset in the recording and return the typical delay.
+     */
+    function _analyse(buffer, clickTimes) {
+        const data = buffer.getChannelData(0);
+        const rate = buffer.sampleRate;
+
+        // Noise floor from the lead-in (skipping the very start, where some devices pop)
+        let floor = 0;
+        const floorFrom = Math.floor(0.1 * rate);
+        const floorTo = Math.min(data.length, Math.floor((LEAD_IN - SEARCH_BEFORE) * rate));
+        for (let i = floorFrom; i < floorTo; i++) floor = Math.max(floor, Math.abs(data[i]));
+
+        const lags = [];
+        clickTimes.forEach(t => {
+            const from = Math.max(0, Math.floor((t - SEARCH_BEFORE) * rate));
+            const to = Math.min(data.length, Math.floor((t + SEARCH_AFTER) * rate));
+            let peak = 0;
+            for (let i = from; i < to; i++) peak = Math.max(peak, Math.abs(data[i]));
+            if (peak < Math.max(floor * 4, 0.01)) return;
+
+            const threshold = Math.max(peak * 0.5, floor * 2);
+            for (let i = from; i < to; i++) {
+                if (Math.abs(data[i]) >= threshold) {
+                    lags.push(i / rate - t);
+                    break;
+                }
+            }
+        });
+
+        const needed = Math.ceil(CLICK_COUNT / 2);
+        if (lags.length < needed) {
+            throw new Error('Couldn\'t hear the clicks. Turn the speakers up (not headphones) and try again somewhere quiet.');
+        }
+
+        const sorted = lags.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const consistent = lags.filter(l => Math.abs(l - median) <= MAX_SPREAD);
+        if (consistent.length < needed) {
+            throw new Error('The measurements didn\'t agree with each other. Try again somewhere quieter.');
+        }
+        return consistent.reduce((sum, l) => sum + l, 0) / consistent.length;
+    }
+
+    return { init, estimate, getOffset, setNudge, clearMeasurement, measure };
+})();
@@ -0,0 +1,331 @@
+/**
+ * Thiptine's Day — Loudness Module
+ * Loudness measurement as in ITU-R BS.1770: integrated loudness (LUFS, K-weighted and gated)
+ * and true peak (dBTP, found at 4× the sample rate), plus normalising a rendered mix to a
+ * loudness target behind a true-peak limiter. Long buffers are worked through in batches
+ * so the page stays responsive.
+ */
+
+const Loudness = (() => {
+    const BLOCK_STEPS = 4;            // gating blocks are 400 ms: four 100 ms steps
+    const STEP = 0.1;                 // seconds between blocks (75% overlap)
+    const ABSOLUTE_GATE = -70;        // LUFS — quieter blocks are ignored
+    const RELATIVE_GATE = -10;        // LU under the level of the blocks that pass the absolute gate
+    const OVERSAMPLE = 4;             // true peak is looked for at this multiple of the sample rate
+    const TAPS = 12;                  // interpolation filter taps per phase
+    const DELAY = Math.floor((OVERSAMPLE * TAPS - 1) / 2 / OVERSAMPLE);   // samples the filter lags by
+    const HEADROOM = 2;               // how far over its neighbouring samples a peak between them can get
+    const CEILING = -1;               // dBTP — normalised exports are limited to this
+    const CEILING_MARGIN = 0.1;       // dB — the limiter aims this far under the ceiling
+    const LOOKAHEAD = 0.005;          // seconds the limiter starts turning down ahead of a peak
+    const RELEASE = 0.1;              // seconds for the limiter to recover
+    const BATCH = 65536;              // samples between yields to the page
+    const TARGETS = [-14, -16, -23];  // LUFS: streaming, podcasts, broadcast
+
+    let taps = null;                  // interpolation filter, TAPS per phase, phase after phase
+
+    // ══════════════════════════════════════════
+    // Measurement
+    // ══════════════════════════════════════════
+
+    /**
+     * Measure the stretch `from`–`to` (seconds) of a buffer.
+     * Resolves to { integrated, truePeak } in LUFS and dBTP (-Infinity for silence).
+     */
+    async function measure(audioBuffer, from = 0, to = audioBuffer.duration) {
+        const rate = audioBuffer.sampleRate;
+        const first = Math.max(0, Math.floor(from * rate));
+        const last = Math.min(audioBuffer.length, Math.ceil(to * rate));
+        const step = Math.max(1, Math.round(STEP * rate));
+        const steps = Math.floor((last - first) / step);
+
+        // Mean square of the K-weighted signal per 100 ms step, summed over the channels
+        const power = new Float64Array(steps);
+        let peak = 0;
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            const data = audioBuffer.getChannelData(ch);
+            const [shelf, highpass] = _kWeighting(rate);
+            let sum = 0;
+            let count = 0;
+            let s = 0;
+            for (let i = first; i < last; i++) {
+                const y = highpass(shelf(data[i]));
+                sum += y * y;
+                if (++count === step) {
+                    if (s < steps) power[s] += sum / step;
+                    s++;
+                    sum = 0;
+                    count = 0;
+                }
+                if ((i - first) % BATCH === BATCH - 1) await _yield();
+            }
+            peak = Math.max(peak, await _truePeak(data, first, last));
+        }
+
+        return { integrated: _gatedLoudness(power), truePeak: _toDb(peak) };
+    }
+
+    /**
+     * Integrated loudness from per-step powers: 400 ms blocks, absolute then relative gate.
+     */
+    function _gatedLoudness(power) {
+        const blocks = [];
+        if (power.length > 0 && power.length < BLOCK_STEPS) {
+            // Shorter than one block: measure what there is
+            blocks.push(power.reduce((a, b) => a + b, 0) / power.length);
+        }
+        for (let i = 0; i + BLOCK_STEPS <= power.length; i++) {
+            let sum = 0;
+            for (let j = i; j < i + BLOCK_STEPS; j++) sum += power[j];
+            blocks.push(sum / BLOCK_STEPS);
+        }
+
+        const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+        const loud = blocks.filter(z => _toLufs(z) > ABSOLUTE_GATE);
+        if (loud.length === 0) return -Infinity;
+        const relative = _toLufs(mean(loud)) + RELATIVE_GATE;
+        const gated = loud.filter(z => _toLufs(z) > relative);
+        return _toLufs(mean(gated));
+    }
+
+    /**
+     * The K-weighting filter for a sample rate: a high shelf for the head's effect, then a
+     * high-pass. Returns the two stages as functions of one sample, each keeping its own state.
+     */
+    function _kWeighting(rate) {
+        // Coefficients as in libebur128, which fit the standard's 48 kHz filter at any rate
+        let k = Math.tan(Math.PI * 1681.974450955533 / rate);
+        let q = 0.7071752369554196;
+        const vh = Math.pow(10, 3.999843853973347 / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        const shelf = _biquad(
+            vh + vb * k / q + k * k, 2 * (k * k - vh), vh - vb * k / q + k * k,
+            1 + k / q + k * k, 2 * (k * k - 1), 1 - k / q + k * k
+        );
+
+        k = Math.tan(Math.PI * 38.13547087613982 / rate);
+        q = 0.5003270373253953;
+        const a0 = 1 + k / q + k * k;
+        const highpass = _biquad(a0, -2 * a0, a0, a0, 2 * (k * k - 1), 1 - k / q + k * k);
+        return [shelf, highpass];
+    }
+
+    function _biquad(b0, b1, b2, a0, a1, a2) {
+        const nb0 = b0 / a0;
+        const nb1 = b1 / a0;
+        const nb2 = b2 / a0;
+        const na1 = a1 / a0;
+        const na2 = a2 / a0;
+        let z1 = 0;
+        let z2 = 0;
+        return (x) => {
+            const y = nb0 * x + z1;
+            z1 = nb1 * x - na1 * y + z2;
+            z2 = nb2 * x - na2 * y;
+            return y;
+        };
+    }
+
+    /**
+     * Largest absolute value of a channel between samples `first` and `last`, including the
+     * peaks between samples that a reconstructed (oversampled) signal reaches.
+     */
+    async function _truePeak(data, first, last) {
+        let peak = 0;
+        for (let i = first; i < last; i++) {
+            peak = Math.max(peak, _peakAt(data, i, first, peak));
+            if ((i - first) % BATCH === BATCH - 1) await _yield();
+        }
+        return peak;
+    }
+
+    /**
+     * Largest of the sample at `i` and the OVERSAMPLE interpolated points the filter puts out with it
+     * (which lie DELAY samples back). Interpolation is skipped where the samples around those points
+     * are too quiet for them to reach `floor`.
+     */
+    function _peakAt(data, i, first, floor) {
+        let peak = Math.abs(data[i]);
+        const near = Math.max(
+            i - DELAY >= first ? Math.abs(data[i - DELAY]) : 0,
+            i - DELAY - 1 >= first ? Math.abs(data[i - DELAY - 1]) : 0
+        );
+        if (near * HEADROOM <= floor) return peak;
+
+        if (!taps) taps = _buildTaps();
+        const reach = Math.min(TAPS, i - first + 1);
+        for (let p = 0; p < OVERSAMPLE; p++) {
+            const base = p * TAPS;
+            let sum = 0;
+            for (let k = 0; k < reach; k++) sum += data[i - k] * taps[base + k];
+            const value = sum < 0 ? -sum : sum;
+            if (value > peak) peak = value;
+        }
+        return peak;
+    }
+
+    /**
+     * Windowed-sinc interpolation filter split into its OVERSAMPLE phases, each scaled to unity gain.
+     */
+    function _buildTaps() {
+        const length = OVERSAMPLE * TAPS;
+        const centre = (length - 1) / 2;
+        const built = new Float64Array(length);
+        for (let p = 0; p < OVERSAMPLE; p++) {
+            let sum = 0;
+            for (let k = 0; k < TAPS; k++) {
+                const n = p + OVERSAMPLE * k;
+                const x = (n - centre) / OVERSAMPLE;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const window = 0.5 * (1 - Math.cos(2 * Math.PI * (n + 0.5) / length));
+                built[p * TAPS + k] = sinc * window;
+                sum += sinc * window;
+            }
+            for (let k = 0; k < TAPS; k++) built[p * TAPS + k] /= sum;
+        }
+        return built;
+    }
+
+    // ══════════════════════════════════════════
+    // Normalisation
+    // ══════════════════════════════════════════
+
+    /**
+     * A copy of `audioBuffer` brought to `target` LUFS, with peaks over `ceiling` dBTP limited.
+     * Resolves to { buffer, gain (dB applied before limiting), before, after } — the last two
+     * being measurements. Silence comes back unchanged.
+     */
+    async function normalize(audioBuffer, target, ceiling = CEILING) {
+        const before = await measure(audioBuffer);
+        if (!isFinite(before.integrated)) return { buffer: audioBuffer, gain: 0, before, after: before };
+
+        const gain = target - before.integrated;
+        const scale = Math.pow(10, gain / 20);
+        const buffer = new AudioBuffer({
+            numberOfChannels: audioBuffer.numberOfChannels,
+            length: audioBuffer.length,
+            sampleRate: audioBuffer.sampleRate,
+        });
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            const data = audioBuffer.getChannelData(ch).slice();
+            for (let i = 0; i < data.length; i++) data[i] *= scale;
+            channels.push(data);
+        }
+
+        if (before.truePeak + gain > ceiling) await _limit(channels, audioBuffer.sampleRate, ceiling);
+        channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+        return { buffer, gain, before, after: await measure(buffer) };
+    }
+
+    /**
+     * Lookahead true-peak limiter, the same gain on every channel. The gain needed at each sample
+     * is held over the lookahead either side, smoothed so it ramps down ahead of the peak, and
+     * eased back up over RELEASE.
+     */
+    async function _limit(channels, rate, ceiling) {
+        const length = channels[0].length;
+        const limit = Math.pow(10, (ceiling - CEILING_MARGIN) / 20);
+
+        const needed = new Float32Array(length).fill(1);
+        for (const data of channels) {
+            for (let i = 0; i < length; i++) {
+                const peak = _peakAt(data, i, 0, limit);
+                if (peak > limit) needed[i] = Math.min(needed[i], limit / peak);
+                if (i % BATCH === BATCH - 1) await _yield();
+            }
+        }
+
+        const lookahead = Math.max(1, Math.round(LOOKAHEAD * rate));
+        const held = _slidingMin(needed, lookahead);
+        const half = Math.floor(lookahead / 2);
+        const release = 1 - Math.exp(-1 / (RELEASE * rate));
+
+        // Moving average of the held gain, then a slower way back up
+        let sum = 0;
+        for (let i = 0; i <= Math.min(half, length - 1); i++) sum += held[i];
+        let count = Math.min(half, length - 1) + 1;
+        let gain = 1;
+        for (let i = 0; i < length; i++) {
+            const average = sum / count;
+            gain = Math.min(average, gain + (1 - gain) * release);
+            channels.forEach(data => { data[i] *= gain; });
+
+            const add = i + half + 1;
+            if (add < length) {
+                sum += held[add];
+                count++;
+            }
+            const drop = i - half;
+            if (drop >= 0) {
+                sum -= held[drop];
+                count--;
+            }
+        }
+    }
+
+    /**
+     * Minimum of `values` within `radius` samples either side of each sample.
+     */
+    function _slidingMin(values, radius) {
+        const length = values.length;
+        const out = new Float32Array(length);
+        const queue = new Int32Array(length);   // indices with rising values
+        let head = 0;
+        let tail = 0;
+        let next = 0;
+        for (let i = 0; i < length; i++) {
+            for (; next < length && next <= i + radius; next++) {
+                while (tail > head && values[queue[tail - 1]] >= values[next]) tail--;
+                queue[tail++] = next;
+            }
+            while (queue[head] < i - radius) head++;
+            out[i] = values[queue[head]];
+        }
+        return out;
+    }
+
+    // ══════════════════════════════════════════
+    // Helpers
+    // ══════════════════════════════════════════
+
+    /**
+     * The loudness left when `part` is taken out of `total` (both LUFS), treating them as
+     * unrelated sounds whose powers add. -Infinity when `part` is as loud or louder.
+     */
+    function without(total, part) {
+        if (!isFinite(part)) return total;
+        const rest = _fromLufs(total) - _fromLufs(part);
+        return rest > 0 ? _toLufs(rest) : -Infinity;
+    }
+
+    /**
+     * A measurement as text, e.g. '-14.2 LUFS · -1.0 dBTP'.
+     */
+    function format(result) {
+        const value = (v) => (isFinite(v) ? v.toFixed(1) : '-∞');
+        return `${value(result.integrated)} LUFS · ${value(result.truePeak)} dBTP`;
+    }
+
+    function getTargets() {
+        return TARGETS.slice();
+    }
+
+    function _toLufs(power) {
+        return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+    }
+
+    function _fromLufs(lufs) {
+        return Math.pow(10, (lufs + 0.691) / 10);
+    }
+
+    function _toDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    }
+
+    function _yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return { CEILING, measure, normalize, without, format, getTargets };
+})();
@@ -0,0 +1,214 @@
+/**
+ * Thiptine's Day — Monitor Module
+ * Input level meter (peak and RMS, with a clip indicator that stays lit until reset) and an
+ * optional monitoring path that sends the mic back to the headphones with its own gain and reverb.
+ * The meter reads Recorder's analyser; the monitor path hangs off Recorder's input node.
+ */
+
+const Monitor = (() => {
+    const STORAGE_KEY = 'thiptines_monitor';
+
+    const FLOOR_DB = -60;         // bottom of the meter scale
+    const CLIP_LEVEL = 0.99;      // linear sample level counted as clipping
+    const PEAK_HOLD_MS = 1000;    // peak marker holds before falling
+    const PEAK_FALL_DB = 20;      // dB per second the peak marker falls after the hold
+    const REVERB_SECONDS = 2;     // length of the generated impulse response
+
+    let audioContext = null;
+    let settings = { enabled: false, gain: 0.8, reverb: 0.2 };
+
+    // Monitor path: input → monitorGain → destination, plus monitorGain → reverbSend → convolver → destination
+    let inputNode = null;
+    let monitorGain = null;
+    let reverbSend = null;
+    let convolver = null;
+
+    // Meter elements and state
+    let meterEl = null;
+    let rmsEl = null;
+    let peakEl = null;
+    let clipEl = null;
+    let meterRAF = null;
+    let heldPeakDb = FLOOR_DB;
+    let heldAt = 0;
+    let lastFrame = 0;
+    let clipped = false;
+
+    function init(ctx) {
+        audioContext = ctx;
+        try {
+            settings = { ...settings, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (e) { /* ignore malformed saved settings */ }
+
+        meterEl = document.getElementById('input-meter');
+        rmsEl = document.getElementById('input-meter-rms');
+        peakEl = document.getElementById('input-meter-peak');
+        clipEl = document.getElementById('input-meter-clip');
+        if (clipEl) clipEl.addEventListener('click', resetClip);
+        _showIdle(true);
+    }
+
+    function _save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    // ══════════════════════════════════════════
+    // Input node (set whenever the Recorder opens or releases the mic)
+    // ══════════════════════════════════════════
+
+    function setInput(node) {
+        inputNode = node;
+        _route();
+
+        if (inputNode) _startMeter();
+        else _stopMeter();
+    }
+
+    function _route() {
+        if (!inputNode || !audioContext) return;
+        if (!monitorGain) _buildMonitorPath();
+        try { inputNode.disconnect(monitorGain); } catch (e) { /* wasn't connected */ }
+        if (settings.enabled) inputNode.connect(monitorGain);
+        _applySettings();
+    }
+
+    function _buildMonitorPath() {
+        monitorGain = audioContext.createGain();
+        monitorGain.connect(audioContext.destination);
+
+        reverbSend = audioContext.createGain();
+        convolver = audioContext.createConvolver();
+        convolver.buffer = _impulseResponse();
+        monitorGain.connect(reverbSend);
+        reverbSend.connect(convolver);
+        convolver.connect(audioContext.destination);
+    }
+
+    /**
+     * A small room: decaying stereo noise, generated so no file has to be loaded.
+     */
+    function _impulseResponse() {
+        const rate = audioContext.sampleRate;
+        const length = Math.floor(REVERB_SECONDS * rate);
+        const ir = audioContext.createBuffer(2, length, rate);
+        for (let ch = 0; ch < 2; ch++) {
+            const data = ir.getChannelData(ch);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+        return ir;
+    }
+
+    function _applySettings() {
+        if (!monitorGain) return;
+        const now = audioContext.currentTime;
+        monitorGain.gain.setTargetAtTime(settings.enabled ? settings.gain : 0, now, 0.01);
+        reverbSend.gain.setTargetAtTime(settings.reverb, now, 0.01);
+    }
+
+    // ══════════════════════════════════════════
+    // Monitoring settings
+    // ══════════════════════════════════════════
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    /**
+     * Turn monitoring on or off. Use headphones — through speakers the mic hears itself.
+     */
+    function setEnabled(enabled) {
+        settings.enabled = !!enabled;
+        _save();
+        _route();
+    }
+
+    function setGain(gain) {
+        settings.gain = Math.max(0, Math.min(gain, 1.5));
+        _save();
+        _applySettings();
+    }
+
+    function setReverb(amount) {
+        settings.reverb = Math.max(0, Math.min(amount, 1));
+        _save();
+        _applySettings();
+    }
+
+    // ══════════════════════════════════════════
+    // Level meter
+    // ══════════════════════════════════════════
+
+    function _startMeter() {
+        if (meterRAF || !meterEl) return;
+        _showIdle(false);
+        lastFrame = performance.now();
+        meterRAF = requestAnimationFrame(_drawMeter);
+    }
+
+    function _stopMeter() {
+        if (meterRAF) cancelAnimationFrame(meterRAF);
+        meterRAF = null;
+        heldPeakDb = FLOOR_DB;
+        _showIdle(true);
+    }
+
+    function _drawMeter(now) {
+        meterRAF = requestAnimationFrame(_drawMeter);
+        const level = Recorder.getInputLevel();
+        if (!level) return;
+
+        const peakDb = _toDb(level.peak);
+        const rmsDb = _toDb(level.rms);
+        const elapsed = (now - lastFrame) / 1000;
+        lastFrame = now;
+
+        // Peak marker: jump up, hold, then fall
+        if (peakDb >= heldPeakDb) {
+            heldPeakDb = peakDb;
+            heldAt = now;
+        } else if (now - heldAt > PEAK_HOLD_MS) {
+            heldPeakDb = Math.max(peakDb, heldPeakDb - PEAK_FALL_DB * elapsed);
+        }
+
+        rmsEl.style.width = `${_toPct(rmsDb)}%`;
+        peakEl.style.left = `${_toPct(heldPeakDb)}%`;
+        meterEl.classList.toggle('hot', peakDb > -6);
+
+        if (level.peak >= CLIP_LEVEL && !clipped) {
+            clipped = true;
+            clipEl.classList.add('active');
+            clipEl.title = 'The input clipped — lower the mic gain or move back a little. Click to reset.';
+        }
+    }
+
+    function _showIdle(idle) {
+        if (!meterEl) return;
+        meterEl.classList.toggle('idle', idle);
+        if (idle) {
+            rmsEl.style.width = '0%';
+            peakEl.style.left = '0%';
+        }
+    }
+
+    /**
+     * Turn the clip indicator off again.
+     */
+    function resetClip() {
+        clipped = false;
+        if (!clipEl) return;
+        clipEl.classList.remove('active');
+        clipEl.title = 'Lights up if the input clips';
+    }
+
+    function _toDb(linear) {
+        return linear > 0 ? Math.max(FLOOR_DB, 20 * Math.log10(linear)) : FLOOR_DB;
+    }
+
+    function _toPct(db) {
+        return ((db - FLOOR_DB) / -FLOOR_DB) * 100;
+    }
+
+    return { init, setInput, getSettings, setEnabled, setGain, setReverb, resetClip };
+})();
@@ -0,0 +1,351 @@
+/**
+ * Thiptine's Day — MP4 Demuxer Module
+ * Minimal ISO BMFF / QuickTime parser: finds the first video track and lists its
+ * encoded samples so they can be fed to a WebCodecs VideoDecoder.
+ * Only handles non-fragmented files (a single moov with a full sample table).
+ * A simple edit list (an optional start delay, then one stretch of the media) is applied to
+ * the sample times; anything more elaborate is rejected.
+ */
+
+const Mp4Demuxer = (() => {
+
+    // Boxes whose payload is just more boxes
+    const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+
+    /**
+     * Parse a whole file. Returns:
+     * { codec, description, codedWidth, codedHeight, rotation, timescale, duration, frameRate,
+     *   edited, samples: [{ offset, size, timestamp, duration, isKey }] } — times in microseconds.
+     * With `edited`, timestamps are presentation times from the edit list: samples it cuts from
+     * the start have negative timestamps, and `duration` is where it ends.
+     * Throws if the file has no video track this parser understands.
+     */
+    function parse(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const moov = _findBox(view, 0, view.byteLength, 'moov');
+        if (!moov) throw new Error('No moov box found (fragmented or not an MP4/MOV file)');
+
+        const mvhd = _children(view, moov).find(b => b.type === 'mvhd');
+        const movieTimescale = mvhd ? _readTimescale(view, mvhd) : 0;
+        const traks = _children(view, moov).filter(b => b.type === 'trak');
+        for (const trak of traks) {
+            const track = _parseTrack(view, trak, movieTimescale);
+            if (track) return track;
+        }
+        throw new Error('No supported video track found');
+    }
+
+    // ── Box walking ──
+
+    function _readBox(view, offset, end) {
+        if (offset + 8 > end) return null;
+        let size = view.getUint32(offset);
+        const type = _fourCC(view, offset + 4);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) return null;
+        return { type, start: offset, end: offset + size, dataStart: offset + header };
+    }
+
+    function _children(view, box, from = box.dataStart) {
+        const boxes = [];
+        let offset = from;
+        while (offset < box.end) {
+            const child = _readBox(view, offset, box.end);
+            if (!child) break;
+            boxes.push(child);
+            offset = child.end;
+        }
+        return boxes;
+    }
+
+    function _findBox(view, start, end, type) {
+        let offset = start;
+        while (offset < end) {
+            const box = _readBox(view, offset, end);
+            if (!box) return null;
+            if (box.type === type) return box;
+            offset = box.end;
+        }
+        return null;
+    }
+
+    /**
+     * Find a descendant by path, e.g. ['mdia', 'minf', 'stbl'].
+     */
+    function _path(view, box, types) {
+        let current = box;
+        for (const type of types) {
+            current = _children(view, current).find(b => b.type === type);
+            if (!current) return null;
+        }
+        return current;
+    }
+
+    function _fourCC(view, offset) {
+        return String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+    }
+
+    // ── Track parsing ──
+
+    function _parseTrack(view, trak, movieTimescale) {
+        const hdlr = _path(view, trak, ['mdia', 'hdlr']);
+        if (!hdlr || _fourCC(view, hdlr.dataStart + 8) !== 'vide') return null;
+
+        const stbl = _path(view, trak, ['mdia', 'minf', 'stbl']);
+        const mdhd = _path(view, trak, ['mdia', 'mdhd']);
+        if (!stbl || !mdhd) return null;
+
+        const entry = _parseSampleEntry(view, stbl);
+        if (!entry) return null;
+
+        const timescale = _readTimescale(view, mdhd);
+        const samples = _buildSamples(view, stbl, timescale);
+        if (samples.length === 0) return null;
+
+        const last = samples.reduce((a, b) => (a.timestamp > b.timestamp ? a : b));
+        let duration = last.timestamp + last.duration;
+
+        const edit = _readEdit(view, trak, movieTimescale, timescale);
+        if (edit) {
+            const shift = edit.delay - edit.mediaTime;
+            samples.forEach(s => { s.timestamp += shift; });
+            if (edit.duration) duration = Math.min(duration + shift, edit.delay + edit.duration);
+            else duration += shift;
+        }
+        const shown = edit ? samples.filter(s => s.timestamp >= 0 && s.timestamp < duration).length : samples.length;
+        const span = duration - (edit ? edit.delay : 0);
+
+        return {
+            ...entry,
+            rotation: _readRotation(view, trak),
+            timescale,
+            duration,
+            frameRate: span > 0 ? shown / (span / 1e6) : 30,
+            edited: !!edit,
+            samples,
+        };
+    }
+
+    /**
+     * Works for mvhd and mdhd, which share the layout up to the timescale.
+     */
+    function _readTimescale(view, mdhd) {
+        const version = view.getUint8(mdhd.dataStart);
+        return view.getUint32(mdhd.dataStart + (version === 1 ? 20 : 12));
+    }
+
+    /**
+     * The track's edit list as { delay, mediaTime, duration } in microseconds: an empty stretch
+     * before the media starts, where in the media it starts, and how long it plays (0 = to the end).
+     * Null when there is none. Throws for lists this parser can't follow (several stretches of
+     * media, or a playback rate other than 1).
+     */
+    function _readEdit(view, trak, movieTimescale, mediaTimescale) {
+        const elst = _path(view, trak, ['edts', 'elst']);
+        if (!elst || !movieTimescale) return null;
+
+        const version = view.getUint8(elst.dataStart);
+        const count = view.getUint32(elst.dataStart + 4);
+        const entrySize = version === 1 ? 20 : 12;
+        let delay = 0;
+        let media = null;
+        for (let i = 0; i < count; i++) {
+            const p = elst.dataStart + 8 + i * entrySize;
+            const segmentDuration = version === 1 ? Number(view.getBigUint64(p)) : view.getUint32(p);
+            const mediaTime = version === 1 ? Number(view.getBigInt64(p + 8)) : view.getInt32(p + 4);
+            const rate = view.getInt16(p + (version === 1 ? 16 : 8));
+
+            if (mediaTime === -1) {
+                if (media) throw new Error('Edit lists with gaps between stretches are not supported');
+                delay += segmentDuration;
+                continue;
+            }
+            if (media) throw new Error('Edit lists with several stretches are not supported');
+            if (rate !== 1) throw new Error('Edit lists that change the playback rate are not supported');
+            media = { mediaTime, segmentDuration };
+        }
+        if (!media) return null;
+
+        return {
+            delay: Math.round(delay * 1e6 / movieTimescale),
+            mediaTime: Math.round(media.mediaTime * 1e6 / mediaTimescale),
+            duration: Math.round(media.segmentDuration * 1e6 / movieTimescale),
+        };
+    }
+
+    /**
+     * Rotation in degrees from the tkhd transformation matrix (phones store portrait video this way).
+     */
+    function _readRotation(view, trak) {
+        const tkhd = _children(view, trak).find(b => b.type === 'tkhd');
+        if (!tkhd) return 0;
+        const version = view.getUint8(tkhd.dataStart);
+        const matrixOffset = tkhd.dataStart + (version === 1 ? 52 : 40);
+        const a = view.getInt32(matrixOffset) / 65536;
+        const b = view.getInt32(matrixOffset + 4) / 65536;
+        const deg = Math.round(Math.atan2(b, a) * 180 / Math.PI);
+        return (deg + 360) % 360;
+    }
+
+    function _parseSampleEntry(view, stbl) {
+        const stsd = _children(view, stbl).find(b => b.type === 'stsd');
+        if (!stsd) return null;
+
+        // Full box header (4) + entry count (4), then the first sample entry
+        const sampleEntry = _readBox(view, stsd.dataStart + 8, stsd.end);
+        if (!sampleEntry) return null;
+
+        const codedWidth = view.getUint16(sampleEntry.dataStart + 24);
+        const codedHeight = view.getUint16(sampleEntry.dataStart + 26);
+
+        // VisualSampleEntry fields take 78 bytes before the child boxes
+        const boxes = _children(view, sampleEntry, sampleEntry.dataStart + 78);
+        const config = boxes.find(b => b.type === 'avcC' || b.type === 'hvcC');
+        if (!config) return null;
+
+        const description = new Uint8Array(view.buffer.slice(config.dataStart, config.end));
+        const codec = config.type === 'avcC'
+            ? _avcCodecString(sampleEntry.type, description)
+            : _hevcCodecString(sampleEntry.type, description);
+
+        return { codec, description, codedWidth, codedHeight };
+    }
+
+    function _avcCodecString(type, avcC) {
+        const hex = (n) => n.toString(16).padStart(2, '0');
+        return `${type}.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`;
+    }
+
+    function _hevcCodecString(type, hvcC) {
+        const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+        const tier = (hvcC[1] & 0x20) ? 'H' : 'L';
+        const profile = hvcC[1] & 0x1f;
+
+        // Compatibility flags are written bit-reversed
+        let compat = (hvcC[2] << 24 | hvcC[3] << 16 | hvcC[4] << 8 | hvcC[5]) >>> 0;
+        let reversed = 0;
+        for (let i = 0; i < 32; i++) {
+            reversed = (reversed << 1) | (compat & 1);
+            compat >>>= 1;
+        }
+
+        const level = hvcC[12];
+        const constraints = Array.from(hvcC.slice(6, 12));
+        while (constraints.length && constraints[constraints.length - 1] === 0) constraints.pop();
+        const constraintStr = constraints.map(c => '.' + c.toString(16)).join('');
+
+        return `${type}.${profileSpace}${profile}.${(reversed >>> 0).toString(16)}.${tier}${level}${constraintStr}`;
+    }
+
+    // ── Sample table ──
+
+    function _buildSamples(view, stbl, timescale) {
+        const boxes = {};
+        _children(view, stbl).forEach(b => { boxes[b.type] = b; });
+        if (!boxes.stsz || !boxes.stsc || !boxes.stts || !(boxes.stco || boxes.co64)) return [];
+
+        const sizes = _readSizes(view, boxes.stsz);
+        const offsets = _readOffsets(view, sizes, boxes.stsc, boxes.stco || boxes.co64);
+        const deltas = _expandRuns(view, boxes.stts, sizes.length, false);
+        const ctsOffsets = boxes.ctts
+            ? _expandRuns(view, boxes.ctts, sizes.length, view.getUint8(boxes.ctts.dataStart) === 1)
+            : null;
+        const keyframes = boxes.stss ? _readSyncSamples(view, boxes.stss) : null;
+
+        const toMicros = (t) => Math.round(t * 1e6 / timescale);
+        const samples = [];
+        let dts = 0;
+        for (let i = 0; i < sizes.length; i++) {
+            const cts = dts + (ctsOffsets ? ctsOffsets[i] : 0);
+            samples.push({
+                offset: offsets[i],
+                size: sizes[i],
+                timestamp: toMicros(cts),
+                duration: toMicros(deltas[i]),
+                isKey: keyframes ? keyframes.has(i + 1) : true,
+            });
+            dts += deltas[i];
+        }
+        return samples;
+    }
+
+    function _readSizes(view, stsz) {
+        const base = stsz.dataStart + 4;
+        const fixedSize = view.getUint32(base);
+        const count = view.getUint32(base + 4);
+        const sizes = new Array(count);
+        for (let i = 0; i < count; i++) {
+            sizes[i] = fixedSize || view.getUint32(base + 8 + i * 4);
+        }
+        return sizes;
+    }
+
+    function _readOffsets(view, sizes, stsc, stco) {
+        const is64 = stco.type === 'co64';
+        const chunkCount = view.getUint32(stco.dataStart + 4);
+        const chunkOffsets = new Array(chunkCount);
+        for (let i = 0; i < chunkCount; i++) {
+            chunkOffsets[i] = is64
+                ? Number(view.getBigUint64(stco.dataStart + 8 + i * 8))
+                : view.getUint32(stco.dataStart + 8 + i * 4);
+        }
+
+        const runCount = view.getUint32(stsc.dataStart + 4);
+        const runs = [];
+        for (let i = 0; i < runCount; i++) {
+            const p = stsc.dataStart + 8 + i * 12;
+            runs.push({ firstChunk: view.getUint32(p), samplesPerChunk: view.getUint32(p + 4) });
+        }
+
+        const offsets = new Array(sizes.length);
+        let sample = 0;
+        for (let r = 0; r < runs.length && sample < sizes.length; r++) {
+            const lastChunk = r + 1 < runs.length ? runs[r + 1].firstChunk - 1 : chunkCount;
+            for (let chunk = runs[r].firstChunk; chunk <= lastChunk && sample < sizes.length; chunk++) {
+                let offset = chunkOffsets[chunk - 1];
+                for (let k = 0; k < runs[r].samplesPerChunk && sample < sizes.length; k++) {
+                    offsets[sample] = offset;
+                    offset += sizes[sample];
+                    sample++;
+                }
+            }
+        }
+        return offsets;
+    }
+
+    /**
+     * Expand run-length (count, value) tables such as stts and ctts into one value per sample.
+     */
+    function _expandRuns(view, box, sampleCount, signed) {
+        const count = view.getUint32(box.dataStart + 4);
+        const values = new Array(sampleCount).fill(0);
+        let i = 0;
+        for (let r = 0; r < count && i < sampleCount; r++) {
+            const p = box.dataStart + 8 + r * 8;
+            const runLength = view.getUint32(p);
+            const value = signed ? view.getInt32(p + 4) : view.getUint32(p + 4);
+            for (let k = 0; k < runLength && i < sampleCount; k++) values[i++] = value;
+        }
+        return values;
+    }
+
+    function _readSyncSamples(view, stss) {
+        const count = view.getUint32(stss.dataStart + 4);
+        const set = new Set();
+        for (let i = 0; i < count; i++) {
+            set.add(view.getUint32(stss.dataStart + 8 + i * 4));
+        }
+        return set;
+    }
+
+    return { parse };
+})();
@@ -0,0 +1,300 @@
+/**
+ * Thiptine's Day — Pitch Module
+ * Live pitch tracking of the microphone input while recording (in an AudioWorklet, see
+ * PitchDetector), pitch curves for finished takes, and the optional reference melody.
+ * A curve is { start, step, notes }: notes[i] is the MIDI note (fractional, so cents are kept)
+ * at buffer time start + i * step, or null where nothing was sung.
+ */
+
+const Pitch = (() => {
+    const WORKLET_URL = 'js/pitchDetector.js';
+    const ANALYSE_BATCH = 200;    // frames analysed between yields to the page
+    const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    let audioContext = null;
+    let inputNode = null;
+    let workletReady = null;      // addModule() promise, once loading has started
+    let detectorNode = null;
+    let isLive = false;
+    let onLiveFrame = null;
+    let melody = [];              // [{ midi, start, end }] in video seconds, sorted by start
+
+    function init(ctx) {
+        audioContext = ctx;
+    }
+
+    // ══════════════════════════════════════════
+    // Live detection (set up on the Recorder's input node)
+    // ══════════════════════════════════════════
+
+    function setInput(node) {
+        if (inputNode && detectorNode) {
+            try { inputNode.disconnect(detectorNode); } catch (e) { /* wasn't connected */ }
+        }
+        inputNode = node;
+        if (inputNode && detectorNode) inputNode.connect(detectorNode);
+    }
+
+    function isLiveSupported() {
+        return !!(audioContext && audioContext.audioWorklet && window.AudioWorkletNode);
+    }
+
+    /**
+     * Start reporting the input's pitch to the live frame callback as { time, midi, clarity },
+     * `time` being AudioContext time. Resolves false where AudioWorklet isn't available.
+     */
+    async function startLive() {
+        if (!isLiveSupported()) return false;
+        stopLive();
+        isLive = true;
+
+        if (!workletReady) workletReady = audioContext.audioWorklet.addModule(WORKLET_URL);
+        try {
+            await workletReady;
+        } catch (err) {
+            console.warn('Pitch detection unavailable:', err);
+            workletReady = null;
+            isLive = false;
+            return false;
+        }
+        if (!isLive) return false;  // stopped while the worklet was loading
+
+        detectorNode = new AudioWorkletNode(audioContext, 'pitch-detector', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+        });
+        detectorNode.port.onmessage = (e) => {
+            if (onLiveFrame) onLiveFrame(e.data);
+        };
+        if (inputNode) inputNode.connect(detectorNode);
+        return true;
+    }
+
+    function stopLive() {
+        isLive = false;
+        if (!detectorNode) return;
+        if (inputNode) {
+            try { inputNode.disconnect(detectorNode); } catch (e) { /* wasn't connected */ }
+        }
+        detectorNode.port.onmessage = null;
+        detectorNode.port.postMessage('stop');  // lets the processor end on the audio thread
+        detectorNode = null;
+    }
+
+    // ══════════════════════════════════════════
+    // Curves for recorded takes
+    // ══════════════════════════════════════════
+
+    /**
+     * Work out the pitch curve of a whole audio buffer. Runs in batches so the page stays responsive.
+     */
+    async function analyse(audioBuffer) {
+        const factor = PitchDetector.decimation(audioBuffer.sampleRate);
+        const rate = audioBuffer.sampleRate / factor;
+        const samples = _mixdown(audioBuffer, factor);
+        const size = PitchDetector.windowSize(rate);
+        const hop = Math.round(PitchDetector.HOP * rate);
+
+        const notes = [];
+        for (let from = 0; from + size <= samples.length; from += hop) {
+            const result = PitchDetector.detect(samples.subarray(from, from + size), rate);
+            notes.push(result ? Math.round(PitchDetector.toMidi(result.freq) * 100) / 100 : null);
+            if (notes.length % ANALYSE_BATCH === 0) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return { start: size / rate / 2, step: hop / rate, notes };
+    }
+
+    /**
+     * Average the channels to mono, decimating by `factor` on the way.
+     */
+    function _mixdown(audioBuffer, factor) {
+        const channels = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) channels.push(audioBuffer.getChannelData(ch));
+        const out = new Float32Array(Math.floor(audioBuffer.length / factor));
+        const scale = 1 / (factor * channels.length);
+        for (let i = 0; i < out.length; i++) {
+            let sum = 0;
+            const from = i * factor;
+            channels.forEach(data => {
+                for (let j = 0; j < factor; j++) sum += data[from + j];
+            });
+            out[i] = sum * scale;
+        }
+        return out;
+    }
+
+    /**
+     * The note a curve has at buffer time `t`, or null.
+     */
+    function noteAt(curve, t) {
+        if (!curve) return null;
+        const i = Math.round((t - curve.start) / curve.step);
+        return i >= 0 && i < curve.notes.length ? curve.notes[i] : null;
+    }
+
+    // ══════════════════════════════════════════
+    // Notes
+    // ══════════════════════════════════════════
+
+    /**
+     * Name of the nearest note, e.g. 'A4'.
+     */
+    function noteName(midi) {
+        const n = Math.round(midi);
+        return `${NOTE_NAMES[((n % 12) + 12) % 12]}${Math.floor(n / 12) - 1}`;
+    }
+
+    /**
+     * A note as a MIDI number: numbers pass through, names like 'A4', 'C#5' or 'Bb3' are converted.
+     */
+    function parseNote(note) {
+        if (typeof note === 'number') return note;
+        const match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(String(note).trim());
+        if (!match) return null;
+        const base = NOTE_NAMES.indexOf(match[1].toUpperCase());
+        const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+        return (Number(match[3]) + 1) * 12 + base + accidental;
+    }
+
+    // ══════════════════════════════════════════
+    // Reference melody
+    // ══════════════════════════════════════════
+
+    /**
+     * Load the reference melody: an array of { note, start, duration } (video seconds), or the URL
+     * of a .mid or .json file. `offset` moves the melody along the video.
+     */
+    async function loadMelody(source, offset = 0) {
+        melody = [];
+        if (!source) return melody;
+
+        let notes = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) throw new Error(`Could not load the melody (${response.status})`);
+            notes = /\.midi?$/i.test(source)
+                ? _parseMidi(await response.arrayBuffer())
+                : await response.json();
+        }
+        if (!Array.isArray(notes)) throw new Error('The melody must be a list of notes');
+
+        melody = notes
+            .map(n => {
+                const midi = parseNote(n.note);
+                const start = Number(n.start) + offset;
+                const end = n.end !== undefined ? Number(n.end) + offset : start + Number(n.duration);
+                return { midi, start, end };
+            })
+            .filter(n => n.midi !== null && isFinite(n.start) && isFinite(n.end) && n.end > n.start)
+            .sort((a, b) => a.start - b.start);
+        return melody;
+    }
+
+    function getMelody() {
+        return melody.slice();
+    }
+
+    /**
+     * Read the notes of a Standard MIDI File (all tracks and channels) as { note, start, end } in seconds.
+     */
+    function _parseMidi(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const tag = (at) => String.fromCharCode(...new Uint8Array(arrayBuffer, at, 4));
+        if (view.byteLength < 14 || tag(0) !== 'MThd') throw new Error('Not a MIDI file');
+
+        const trackCount = view.getUint16(10);
+        const division = view.getUint16(12);
+        if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported');
+
+        const events = [];    // { tick, tempo } or { tick, on, key }
+        let pos = 8 + view.getUint32(4);
+        let order = 0;
+
+        for (let t = 0; t < trackCount && pos + 8 <= view.byteLength; t++) {
+            if (tag(pos) !== 'MTrk') break;
+            const end = Math.min(pos + 8 + view.getUint32(pos + 4), view.byteLength);
+            pos += 8;
+            let tick = 0;
+            let status = 0;
+
+            const varLen = () => {
+                let value = 0;
+                let byte;
+                do {
+                    byte = view.getUint8(pos++);
+                    value = (value << 7) | (byte & 0x7F);
+                } while (byte & 0x80);
+                return value;
+            };
+
+            while (pos < end) {
+                tick += varLen();
+                const byte = view.getUint8(pos);
+                if (byte === 0xFF) {
+                    const type = view.getUint8(pos + 1);
+                    pos += 2;
+                    const length = varLen();
+                    if (type === 0x51 && length === 3) {
+                        const tempo = (view.getUint8(pos) << 16) | (view.getUint8(pos + 1) << 8) | view.getUint8(pos + 2);
+                        events.push({ tick, tempo, order: order++ });
+                    }
+                    pos += length;
+                    continue;
+                }
+                if (byte === 0xF0 || byte === 0xF7) {
+                    pos++;
+                    pos += varLen();
+                    continue;
+                }
+
+                if (byte & 0x80) {
+                    status = byte;
+                    pos++;
+                }   // otherwise running status: `byte` is already the first data byte
+                const kind = status & 0xF0;
+                const channel = status & 0x0F;
+                const data1 = view.getUint8(pos++);
+                const data2 = kind === 0xC0 || kind === 0xD0 ? 0 : view.getUint8(pos++);
+
+                if (kind === 0x90 || kind === 0x80) {
+                    const on = kind === 0x90 && data2 > 0;
+                    events.push({ tick, on, key: `${channel}:${data1}`, note: data1, order: order++ });
+                }
+            }
+            pos = end;
+        }
+
+        // Ticks to seconds through the tempo map; at equal ticks, tempo changes and note-offs come first
+        events.sort((a, b) => a.tick - b.tick
+            || (b.tempo !== undefined) - (a.tempo !== undefined)
+            || (a.on === true) - (b.on === true)
+            || a.order - b.order);
+        let tempo = 500000;   // µs per quarter note until told otherwise
+        let lastTick = 0;
+        let seconds = 0;
+        const open = {};
+        const notes = [];
+
+        events.forEach(event => {
+            seconds += (event.tick - lastTick) * tempo / division / 1e6;
+            lastTick = event.tick;
+            if (event.tempo !== undefined) {
+                tempo = event.tempo;
+            } else if (event.on) {
+                (open[event.key] = open[event.key] || []).push(seconds);
+            } else if (open[event.key] && open[event.key].length) {
+                notes.push({ note: event.note, start: open[event.key].shift(), end: seconds });
+            }
+        });
+        return notes;
+    }
+
+    function setOnLiveFrame(cb) { onLiveFrame = cb; }
+
+    return {
+        init, setInput, isLiveSupported, startLive, stopLive,
+        analyse, noteAt, noteName, parseNote,
+        loadMelody, getMelody,
+        setOnLiveFrame,
+    };
+})();
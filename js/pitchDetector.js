@@ -0,0 +1,150 @@
+/**
+ * Thiptine's Day — Pitch Detector
+ * YIN pitch detection, shared by the live AudioWorklet and the main thread (which analyses
+ * finished takes), so a take's stored curve matches the trace shown while it was sung.
+ * Loaded both as a page script and with audioWorklet.addModule(); the processor is only
+ * registered inside the worklet.
+ */
+
+const PitchDetector = (() => {
+    const TARGET_RATE = 16000;    // Hz — input is decimated to about this before analysis
+    const MIN_FREQ = 70;          // Hz — lowest pitch looked for (a low bass note)
+    const MAX_FREQ = 1100;        // Hz — highest (above a soprano's top C)
+    const THRESHOLD = 0.15;       // YIN dip threshold; higher finds more pitches but more errors
+    const SILENCE_RMS = 0.01;     // quieter frames are treated as silence
+    const HOP = 0.02;             // seconds between frames
+
+    /**
+     * Integer decimation factor for a sample rate (averaging this many samples into one).
+     */
+    function decimation(sampleRate) {
+        return Math.max(1, Math.floor(sampleRate / TARGET_RATE));
+    }
+
+    /**
+     * Samples per analysis window at the decimated rate: two periods of the lowest pitch.
+     */
+    function windowSize(rate) {
+        return Math.ceil(rate / MIN_FREQ) * 2;
+    }
+
+    /**
+     * Detect the pitch of one window of samples at `rate`.
+     * Returns { freq, clarity } (clarity 0-1), or null for silence and unpitched sounds.
+     */
+    function detect(frame, rate) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+        if (Math.sqrt(sum / frame.length) < SILENCE_RMS) return null;
+
+        const tauMin = Math.floor(rate / MAX_FREQ);
+        const tauMax = Math.min(Math.ceil(rate / MIN_FREQ), Math.floor(frame.length / 2));
+        const width = frame.length - tauMax;
+
+        // Cumulative mean normalised difference
+        const cmnd = new Float32Array(tauMax + 1);
+        cmnd[0] = 1;
+        let running = 0;
+        for (let tau = 1; tau <= tauMax; tau++) {
+            let d = 0;
+            for (let j = 0; j < width; j++) {
+                const diff = frame[j] - frame[j + tau];
+                d += diff * diff;
+            }
+            running += d;
+            cmnd[tau] = running > 0 ? d * tau / running : 1;
+        }
+
+        // First dip under the threshold, followed down to its minimum
+        let tau = tauMin;
+        while (tau < tauMax && cmnd[tau] >= THRESHOLD) tau++;
+        if (tau >= tauMax) return null;
+        while (tau + 1 < tauMax && cmnd[tau + 1] < cmnd[tau]) tau++;
+
+        // Parabolic interpolation between neighbouring lags
+        const a = cmnd[tau - 1];
+        const b = cmnd[tau];
+        const c = cmnd[tau + 1];
+        const denom = a - 2 * b + c;
+        const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5 * (a - c) / denom, 0.5)) : 0;
+
+        return { freq: rate / (tau + shift), clarity: Math.max(0, Math.min(1 - b, 1)) };
+    }
+
+    function toMidi(freq) {
+        return 69 + 12 * Math.log2(freq / 440);
+    }
+
+    function toFrequency(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+
+    return { HOP, decimation, windowSize, detect, toMidi, toFrequency };
+})();
+
+// ══════════════════════════════════════════
+// AudioWorklet processor (live input)
+// ══════════════════════════════════════════
+
+if (typeof registerProcessor === 'function') {
+    /**
+     * Posts { time, midi, clarity } every HOP seconds, `time` being the context time at the centre
+     * of the analysed window and `midi` null when no pitch was found. Has no audio output.
+     * A 'stop' message on its port ends the processor, so it doesn't outlive the take.
+     */
+    registerProcessor('pitch-detector', class extends AudioWorkletProcessor {
+        constructor() {
+            super();
+            this.factor = PitchDetector.decimation(sampleRate);
+            this.rate = sampleRate / this.factor;
+            this.ring = new Float32Array(PitchDetector.windowSize(this.rate));
+            this.frame = new Float32Array(this.ring.length);
+            this.write = 0;
+            this.filled = 0;
+            this.hop = Math.round(PitchDetector.HOP * this.rate);
+            this.sinceHop = 0;
+            this.acc = 0;
+            this.accCount = 0;
+            this.stopped = false;
+            this.port.onmessage = (e) => {
+                if (e.data === 'stop') this.stopped = true;
+            };
+        }
+
+        process(inputs) {
+            if (this.stopped) return false;
+            const input = inputs[0];
+            if (!input || input.length === 0) return true;
+            const data = input[0];
+
+            for (let i = 0; i < data.length; i++) {
+                this.acc += data[i];
+                if (++this.accCount < this.factor) continue;
+                this._push(this.acc / this.factor, currentTime + (i + 1) / sampleRate);
+                this.acc = 0;
+                this.accCount = 0;
+            }
+            return true;
+        }
+
+        _push(sample, time) {
+            const ring = this.ring;
+            ring[this.write] = sample;
+            this.write = (this.write + 1) % ring.length;
+            this.filled = Math.min(this.filled + 1, ring.length);
+            if (this.filled < ring.length || ++this.sinceHop < this.hop) return;
+            this.sinceHop = 0;
+
+            // Unroll the ring, oldest sample first
+            this.frame.set(ring.subarray(this.write));
+            this.frame.set(ring.subarray(0, this.write), ring.length - this.write);
+
+            const result = PitchDetector.detect(this.frame, this.rate);
+            this.port.postMessage({
+                time: time - ring.length / this.rate / 2,
+                midi: result ? PitchDetector.toMidi(result.freq) : null,
+                clarity: result ? result.clarity : 0,
+            });
+        }
+    });
+}
@@ -0,0 +1,289 @@
+/**
+ * Thiptine's Day — Pitch View Module
+ * A scrolling pitch panel above the recording lanes, following the playhead: the reference
+ * melody as note bars, the stored pitch curves of the takes heard there, and the live trace
+ * while recording. Sung notes within a quarter tone of the melody are drawn in green.
+ */
+
+const PitchView = (() => {
+    const STORAGE_KEY = 'thiptines_pitch_view';
+    const WINDOW = 8;             // seconds shown across the panel
+    const PLAYHEAD_AT = 0.7;      // where the playhead sits, as a fraction of the width
+    const DEFAULT_RANGE = [48, 72];   // C3–C5 until there's something to fit
+    const MIN_SPAN = 14;          // semitones shown at least
+    const MAX_GAP = 0.06;         // seconds — curve points further apart aren't joined
+    const IN_TUNE = 0.5;          // semitones from the melody note counted as in tune
+    const LIVE_HOLD = 0.25;       // seconds the live note readout stays after the last pitch
+
+    const COLORS = {
+        grid: 'rgba(255, 255, 255, 0.05)',
+        octave: 'rgba(255, 255, 255, 0.14)',
+        label: 'rgba(255, 255, 255, 0.4)',
+        melody: 'rgba(255, 255, 255, 0.14)',
+        melodyNow: 'rgba(255, 255, 255, 0.3)',
+        armed: '#fd79a8',
+        other: 'rgba(255, 255, 255, 0.35)',
+        live: '#ffffff',
+        inTune: '#55efc4',
+        playhead: 'rgba(232, 67, 147, 0.8)',
+    };
+
+    let panelEl = null;
+    let canvas = null;
+    let readoutEl = null;
+    let toggleBtn = null;
+    let visible = false;
+    let drawRAF = null;
+    let dirty = true;
+    let lastTime = null;
+
+    let clips = [];               // comped clips (pieces carry their take's pitch curve)
+    let armedId = null;
+    let melody = [];              // [{ midi, start, end }]
+    let live = [];                // [{ time, midi }] in video time, midi null for silence
+    let range = DEFAULT_RANGE.slice();
+
+    function init() {
+        panelEl = document.getElementById('rec-pitch');
+        canvas = document.getElementById('rec-pitch-canvas');
+        readoutEl = document.getElementById('rec-pitch-readout');
+        toggleBtn = document.getElementById('rec-pitch-toggle');
+        if (!panelEl || !canvas) return;
+
+        if (toggleBtn) toggleBtn.addEventListener('click', () => setVisible(!visible));
+        setVisible(localStorage.getItem(STORAGE_KEY) === 'true');
+    }
+
+    function setVisible(show) {
+        visible = !!show;
+        localStorage.setItem(STORAGE_KEY, String(visible));
+        panelEl.classList.toggle('hidden', !visible);
+        if (toggleBtn) toggleBtn.classList.toggle('active', visible);
+
+        if (visible && !drawRAF) {
+            dirty = true;
+            drawRAF = requestAnimationFrame(_draw);
+        } else if (!visible && drawRAF) {
+            cancelAnimationFrame(drawRAF);
+            drawRAF = null;
+        }
+    }
+
+    // ══════════════════════════════════════════
+    // Data
+    // ══════════════════════════════════════════
+
+    /**
+     * The clips to draw (comped, so only what's heard) and the track being recorded to.
+     */
+    function setClips(newClips, newArmedId) {
+        clips = newClips.filter(c => c.pitch);
+        armedId = newArmedId;
+        _fitRange();
+    }
+
+    function setMelody(notes) {
+        melody = notes.slice();
+        _fitRange();
+    }
+
+    function clearLive() {
+        live = [];
+        dirty = true;
+    }
+
+    /**
+     * Add a live pitch frame at video time `time` (midi null when nothing is sung).
+     */
+    function addLive(time, midi) {
+        // Playback jumped back (e.g. a new loop pass): older points past this time are stale
+        while (live.length && live[live.length - 1].time > time) live.pop();
+        live.push({ time, midi });
+        if (midi !== null && (midi < range[0] || midi > range[1])) _fitRange();
+        dirty = true;
+    }
+
+    /**
+     * Fit the vertical range to the melody and everything sung, with a little headroom.
+     */
+    function _fitRange() {
+        let lo = Infinity;
+        let hi = -Infinity;
+        const take = (midi) => {
+            if (midi === null) return;
+            lo = Math.min(lo, midi);
+            hi = Math.max(hi, midi);
+        };
+        melody.forEach(n => take(n.midi));
+        clips.forEach(c => c.pitch.notes.forEach(take));
+        live.forEach(p => take(p.midi));
+
+        if (lo > hi) {
+            range = DEFAULT_RANGE.slice();
+        } else {
+            lo = Math.floor(lo) - 2;
+            hi = Math.ceil(hi) + 2;
+            const short = MIN_SPAN - (hi - lo);
+            if (short > 0) {
+                lo -= Math.floor(short / 2);
+                hi += Math.ceil(short / 2);
+            }
+            range = [lo, hi];
+        }
+        dirty = true;
+    }
+
+    // ══════════════════════════════════════════
+    // Drawing
+    // ══════════════════════════════════════════
+
+    function _draw() {
+        drawRAF = requestAnimationFrame(_draw);
+        const time = VideoPlayer.getTime();
+        if (!dirty && time === lastTime) return;
+        dirty = false;
+        lastTime = time;
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (!width || !height) return;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const from = time - WINDOW * PLAYHEAD_AT;
+        const to = from + WINDOW;
+        const [lo, hi] = range;
+        const semitone = height / (hi - lo);
+        const x = (t) => (t - from) / WINDOW * width;
+        const y = (midi) => height - (midi - lo) * semitone;
+
+        _drawGrid(ctx, width, lo, hi, y);
+        _drawMelody(ctx, from, to, time, x, y, semitone);
+
+        // Other tracks first, so the armed track's curve sits on top
+        const ordered = clips.slice().sort((a, b) => _isArmed(a) - _isArmed(b));
+        ordered.forEach(clip => {
+            const points = _curvePoints(clip, from, to);
+            _drawTrace(ctx, points, x, y, _isArmed(clip) ? COLORS.armed : COLORS.other, _isArmed(clip));
+        });
+        _drawTrace(ctx, live.filter(p => p.time >= from && p.time <= to), x, y, COLORS.live, true);
+
+        ctx.strokeStyle = COLORS.playhead;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x(time), 0);
+        ctx.lineTo(x(time), height);
+        ctx.stroke();
+
+        _updateReadout(time);
+    }
+
+    function _isArmed(clip) {
+        return Tracks.resolveTrackId(clip.trackId) === armedId;
+    }
+
+    function _drawGrid(ctx, width, lo, hi, y) {
+        ctx.font = '9px sans-serif';
+        ctx.textBaseline = 'middle';
+        for (let midi = Math.ceil(lo); midi <= hi; midi++) {
+            const isC = ((midi % 12) + 12) % 12 === 0;
+            ctx.fillStyle = isC ? COLORS.octave : COLORS.grid;
+            ctx.fillRect(0, Math.round(y(midi)), width, 1);
+            if (isC) {
+                ctx.fillStyle = COLORS.label;
+                ctx.fillText(Pitch.noteName(midi), 3, y(midi) - 6);
+            }
+        }
+    }
+
+    function _drawMelody(ctx, from, to, time, x, y, semitone) {
+        melody.forEach(note => {
+            if (note.end < from || note.start > to) return;
+            const now = time >= note.start && time < note.end;
+            ctx.fillStyle = now ? COLORS.melodyNow : COLORS.melody;
+            const left = x(note.start);
+            const barHeight = Math.max(3, semitone * 0.8);
+            ctx.fillRect(left, y(note.midi) - barHeight / 2, Math.max(2, x(note.end) - left), barHeight);
+        });
+    }
+
+    /**
+     * A clip's curve between video times `from` and `to`, as [{ time, midi }].
+     */
+    function _curvePoints(clip, from, to) {
+        const { start, step, notes } = clip.pitch;
+        const trimStart = clip.trimStart || 0;
+        const toBuffer = (t) => t - clip.startTime + trimStart;
+        const first = Math.max(0, Math.ceil((toBuffer(Math.max(from, clip.startTime)) - start) / step));
+        const last = Math.min(notes.length - 1,
+            Math.floor((toBuffer(Math.min(to, clip.startTime + clip.duration)) - start) / step));
+
+        const points = [];
+        for (let i = first; i <= last; i++) {
+            points.push({ time: clip.startTime + start + i * step - trimStart, midi: notes[i] });
+        }
+        return points;
+    }
+
+    /**
+     * Join consecutive pitched points; with `tuned`, stretches near the melody are drawn in green.
+     */
+    function _drawTrace(ctx, points, x, y, color, tuned) {
+        ctx.lineWidth = tuned ? 2 : 1.5;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (a.midi === null || b.midi === null || b.time - a.time > MAX_GAP) continue;
+            const target = tuned ? _melodyAt(b.time) : null;
+            ctx.strokeStyle = target !== null && Math.abs(b.midi - target) <= IN_TUNE ? COLORS.inTune : color;
+            ctx.beginPath();
+            ctx.moveTo(x(a.time), y(a.midi));
+            ctx.lineTo(x(b.time), y(b.midi));
+            ctx.stroke();
+        }
+    }
+
+    function _melodyAt(time) {
+        const note = melody.find(n => time >= n.start && time < n.end);
+        return note ? note.midi : null;
+    }
+
+    /**
+     * Show the note being sung (or, on playback, the armed track's note) and how far off the melody it is.
+     */
+    function _updateReadout(time) {
+        if (!readoutEl) return;
+        let midi = null;
+        const latest = live[live.length - 1];
+        if (latest && Math.abs(time - latest.time) < LIVE_HOLD) {
+            midi = latest.midi;
+        } else {
+            const clip = clips.find(c => _isArmed(c) && time >= c.startTime && time < c.startTime + c.duration);
+            if (clip) midi = Pitch.noteAt(clip.pitch, time - clip.startTime + (clip.trimStart || 0));
+        }
+
+        const target = _melodyAt(time);
+        let text = midi !== null ? `${Pitch.noteName(midi)} ${_cents(midi - Math.round(midi))}` : '–';
+        if (target !== null) {
+            text += ` · target ${Pitch.noteName(target)}`;
+            if (midi !== null) text += ` (${_cents(midi - target)})`;
+        }
+        readoutEl.textContent = text;
+        readoutEl.classList.toggle('in-tune', midi !== null && target !== null && Math.abs(midi - target) <= IN_TUNE);
+    }
+
+    function _cents(semitones) {
+        const cents = Math.round(semitones * 100);
+        return `${cents > 0 ? '+' : ''}${cents}¢`;
+    }
+
+    return { init, setVisible, setClips, setMelody, clearLive, addLive };
+})();
@@ -0,0 +1,177 @@
+/**
+ * Thiptine's Day — Project Module
+ * Saves and opens a whole session as one portable JSON file.
+ * Clip audio is embedded as base64 WAV so the file is self-contained; processed clips carry
+ * both the original recording and the processed audio.
+ */
+
+const Project = (() => {
+    const FORMAT = 'thiptines-day-project';
+    const VERSION = 1;
+    const AUDIO_SOURCES = ['original', 'instrumental', 'muted'];
+
+    /**
+     * Build the project file for the current session and download it.
+     * `state` carries app-level settings, e.g. { audioSource: 'original' }
+     * (one of 'original', 'instrumental' or 'muted').
+     */
+    function save(state = {}) {
+        const clips = Recorder.getAllClips().map(clip => ({
+            id: clip.id,
+            name: clip.name || `Take ${clip.id}`,
+            trackId: Tracks.resolveTrackId(clip.trackId),
+            startTime: clip.startTime,
+            duration: clip.duration,
+            trimStart: clip.trimStart || 0,
+            trimEnd: clip.trimEnd || 0,
+            fadeIn: clip.fadeIn || 0,
+            fadeOut: clip.fadeOut || 0,
+            compRanges: clip.compRanges || null,
+            fx: clip.fx || null,
+            processing: clip.processedBuffer ? clip.processing : null,
+            gain: AudioEngine.getClipGain(clip.id),
+            wav: _toBase64(Exporter.audioBufferToWav(clip.originalBuffer || clip.audioBuffer)),
+            processedWav: clip.processedBuffer
+                ? _toBase64(Exporter.audioBufferToWav(clip.processedBuffer))
+                : null,
+        }));
+
+        const manifest = {
+            format: FORMAT,
+            version: VERSION,
+            savedAt: new Date().toISOString(),
+            videoSrc: CONFIG.videoSrc,
+            audioSource: state.audioSource || 'original',
+            tracks: Tracks.getAll(),
+            armedId: Tracks.getArmedId(),
+            clips,
+        };
+
+        const blob = new Blob([JSON.stringify(manifest)], { type: 'application/json' });
+        Exporter.downloadBlob(blob, 'thiptines-day.project.json');
+    }
+
+    /**
+     * Read and validate a project file.
+     * Resolves to { videoSrc, audioSource, tracks, armedId, clips: [{ clip, gain }] }.
+     * Projects saved before tracks existed get a single "Lead" track.
+     * Throws an Error with a user-facing message when the file is invalid or incompatible.
+     */
+    async function open(file, ctx) {
+        let manifest;
+        try {
+            manifest = JSON.parse(await file.text());
+        } catch (err) {
+            throw new Error('This file is not a Thiptine\'s Day project (it is not valid JSON).');
+        }
+
+        _validate(manifest);
+
+        const clips = [];
+        for (const entry of manifest.clips) {
+            let original;
+            let processed = null;
+            try {
+                original = await ctx.decodeAudioData(_fromBase64(entry.wav));
+                if (entry.processing) processed = await ctx.decodeAudioData(_fromBase64(entry.processedWav));
+            } catch (err) {
+                throw new Error(`The audio for "${entry.name}" is damaged and could not be decoded.`);
+            }
+            // Trim values are in seconds of whichever buffer plays
+            const audioBuffer = processed && entry.processing.enabled ? processed : original;
+            clips.push({
+                clip: {
+                    id: entry.id,
+                    name: entry.name,
+                    trackId: entry.trackId,
+                    startTime: entry.startTime,
+                    duration: Math.max(0, audioBuffer.duration - entry.trimStart - entry.trimEnd),
+                    trimStart: entry.trimStart,
+                    trimEnd: entry.trimEnd,
+                    fadeIn: entry.fadeIn,
+                    fadeOut: entry.fadeOut,
+                    compRanges: entry.compRanges,
+                    fx: Effects.normalize(entry.fx),
+                    processing: entry.processing,
+                    audioBuffer,
+                    originalBuffer: processed ? original : null,
+                    processedBuffer: processed,
+                },
+                gain: entry.gain,
+            });
+        }
+
+        return {
+            videoSrc: manifest.videoSrc,
+            audioSource: AUDIO_SOURCES.includes(manifest.audioSource) ? manifest.audioSource : 'original',
+            tracks: manifest.tracks,
+            armedId: manifest.armedId,
+            clips,
+        };
+    }
+
+    function _validate(manifest) {
+        if (!manifest || manifest.format !== FORMAT) {
+            throw new Error('This file is not a Thiptine\'s Day project.');
+        }
+        if (typeof manifest.version !== 'number' || manifest.version > VERSION) {
+            throw new Error(`This project was saved by a newer version of the app (format v${manifest.version}).`);
+        }
+        if (!Array.isArray(manifest.clips)) {
+            throw new Error('This project file is missing its clip list.');
+        }
+        if (!Array.isArray(manifest.tracks) || manifest.tracks.length === 0) {
+            manifest.tracks = [{ id: 1, name: 'Lead' }];
+        }
+
+        const ids = new Set();
+        manifest.clips.forEach((entry, i) => {
+            const valid = entry
+                && Number.isInteger(entry.id) && entry.id > 0
+                && typeof entry.startTime === 'number' && entry.startTime >= 0
+                && typeof entry.gain === 'number'
+                && typeof entry.wav === 'string';
+            if (!valid) {
+                throw new Error(`Clip #${i + 1} in this project is incomplete.`);
+            }
+            if (ids.has(entry.id)) {
+                throw new Error(`This project contains clip id ${entry.id} twice.`);
+            }
+            ids.add(entry.id);
+            if (typeof entry.name !== 'string') entry.name = `Take ${entry.id}`;
+            if (!Number.isInteger(entry.trackId)) entry.trackId = manifest.tracks[0].id;
+            ['trimStart', 'trimEnd', 'fadeIn', 'fadeOut'].forEach(key => {
+                if (typeof entry[key] !== 'number' || entry[key] < 0) entry[key] = 0;
+            });
+            const validRanges = Array.isArray(entry.compRanges) && entry.compRanges.every(r =>
+                Array.isArray(r) && r.length === 2 && r.every(v => typeof v === 'number'));
+            if (!validRanges) entry.compRanges = null;
+            entry.processing = entry.processing && typeof entry.processedWav === 'string'
+                ? { ...ClipProcessor.normalize(entry.processing), enabled: entry.processing.enabled !== false }
+                : null;
+        });
+    }
+
+    // ── Base64 helpers (chunked to avoid call-stack limits on large buffers) ──
+
+    function _toBase64(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const CHUNK = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += CHUNK) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+        }
+        return btoa(binary);
+    }
+
+    function _fromBase64(str) {
+        const binary = atob(str);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    return { save, open };
+})();
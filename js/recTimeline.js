@@ -1,31 +1,68 @@
 /**
  * Thiptine's Day — Recording Timeline Module
- * Shows recorded clips on a second timeline bar.
- * Clips can be deleted and dragged to reposition.
+ * Shows recorded clips in one lane per track, below the main timeline.
+ * Clips can be deleted and dragged to reposition or to move to another lane.
+ * Each lane header has arm, mute/solo, volume, pan and effects controls; double-clicking a clip
+ * opens its own effects, pitch correction, time-stretch and auto-align.
+ * Overlapping clips are takes of one slot: collapsed, a lane shows only the comped audio;
+ * expanded, it shows the take stack, where a take is picked by clicking its lower half
+ * or comped by swiping across it.
  */
 
 const RecTimeline = (() => {
     let container = null;
-    let bar = null;
+    let lanesEl = null;
     let totalDuration = 0;
     let onClipDelete = null;
     let onClipMove = null;
+    let onTrackChange = null;
+    let onTrackArm = null;
+    let onTrackAdd = null;
+    let onTrackRemove = null;
+    let onClipTrim = null;
+    let onClipFade = null;
+    let onClipComp = null;
+    let onTrackFx = null;
+    let onClipFx = null;
+    let isBound = false;
+    let waveCanvases = [];      // { canvas, clip } drawn after each render and on resize
+    let expandedTracks = new Set();
+    let lastRender = null;      // arguments of the latest render, to re-render on expand/collapse
 
-    // Drag state
+    // Drag state — dragMode is 'move', 'trim-start', 'trim-end', 'fade-in', 'fade-out' or 'swipe'
     let dragClipId = null;
+    let dragMode = 'move';
+    let dragClip = null;        // the clip as it was when the drag began
     let dragStartX = 0;
-    let dragOriginalStart = 0;
+    let dragTrackId = null;
+    let dragOriginalTrackId = null;
+    let dragPreview = null;     // latest edit values shown while dragging
+
+    const MIN_CLIP_LENGTH = 0.05; // keep in step with Recorder
+    const TAKE_ROW_HEIGHT = 22;   // px per take in an expanded take stack
 
     function init(duration) {
         container = document.getElementById('rec-timeline-container');
-        bar = document.getElementById('rec-timeline-bar');
+        lanesEl = document.getElementById('rec-lanes');
         totalDuration = duration || 0;
 
-        if (!container || !bar) return;
+        if (!container || !lanesEl || isBound) return;
+        isBound = true;
+
+        const addBtn = document.getElementById('rec-track-add');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                if (onTrackAdd) onTrackAdd();
+            });
+        }
 
         // Global mouse handlers for drag
         document.addEventListener('mousemove', _onMouseMove);
         document.addEventListener('mouseup', _onMouseUp);
+
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => _drawWaveforms()).observe(lanesEl);
+        }
     }
 
     function setDuration(d) {
@@ -33,97 +70,471 @@ const RecTimeline = (() => {
     }
 
     /**
-     * Re-render all clips on the timeline.
+     * Re-render every lane and its clips.
+     * tracks: [{ id, name, volume, pan, mute, solo }], armedId: track receiving new recordings.
      */
-    function render(clips) {
-        if (!bar) return;
-        bar.innerHTML = '';
+    function render(clips, tracks = [], armedId = null) {
+        if (!lanesEl) return;
+        lanesEl.innerHTML = '';
+        waveCanvases = [];
+        lastRender = { clips, tracks, armedId };
 
-        if (!totalDuration || clips.length === 0) {
+        if (!totalDuration) {
             container.classList.add('empty');
             return;
         }
 
         container.classList.remove('empty');
 
-        clips.forEach(clip => {
-            const leftPct = (clip.startTime / totalDuration) * 100;
-            const widthPct = (clip.duration / totalDuration) * 100;
-
-            const el = document.createElement('div');
-            el.classList.add('rec-clip');
-            el.dataset.clipId = clip.id;
-            el.style.left = `${leftPct}%`;
-            el.style.width = `${Math.max(widthPct, 0.5)}%`; // min 0.5% visible
-
-            // Time label
-            const label = document.createElement('span');
-            label.classList.add('rec-clip-label');
-            label.textContent = _formatTime(clip.startTime);
-            el.appendChild(label);
-
-            // Delete button
-            const delBtn = document.createElement('button');
-            delBtn.classList.add('rec-clip-delete');
-            delBtn.innerHTML = '✕';
-            delBtn.title = 'Delete recording';
-            delBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (onClipDelete) onClipDelete(clip.id);
+        tracks.forEach(track => {
+            const trackClips = clips.filter(c => Tracks.resolveTrackId(c.trackId) === track.id);
+            const slots = Comping.getSlots(trackClips);
+            const stackSize = slots.reduce((max, s) => Math.max(max, s.clips.length), 0);
+            const expanded = stackSize > 1 && expandedTracks.has(track.id);
+            const spans = Comping.getAudibleSpans(trackClips);
+
+            const lane = _renderLane(track, track.id === armedId, tracks.length > 1, trackClips.length,
+                stackSize > 1, expanded);
+            const bar = lane.querySelector('.rec-timeline-bar');
+            if (expanded) bar.style.height = `${stackSize * TAKE_ROW_HEIGHT + 4}px`;
+
+            slots.forEach(slot => {
+                const stacked = slot.clips.length > 1;
+                slot.clips.forEach((clip, row) => {
+                    bar.appendChild(_renderClip(clip, { stacked, expanded, row, spans: spans[clip.id] || [] }));
+                });
+            });
+            lanesEl.appendChild(lane);
+        });
+
+        _drawWaveforms();
+    }
+
+    function _drawWaveforms() {
+        waveCanvases.forEach(({ canvas, clip }) => Waveform.draw(canvas, clip.audioBuffer, {
+            from: clip.trimStart || 0,
+            to: clip.audioBuffer.duration - (clip.trimEnd || 0),
+        }));
+    }
+
+    /**
+     * A lane's header and bar. The last track can't be removed; one with recordings shows the
+     * remove button disabled, saying why.
+     */
+    function _renderLane(track, armed, removable, clipCount, hasTakes, expanded) {
+        const lane = document.createElement('div');
+        lane.classList.add('rec-lane');
+        lane.dataset.trackId = track.id;
+        if (armed) lane.classList.add('armed');
+        if (track.mute) lane.classList.add('muted');
+
+        const header = document.createElement('div');
+        header.classList.add('rec-lane-header');
+
+        const armBtn = document.createElement('button');
+        armBtn.classList.add('rec-lane-arm');
+        armBtn.title = armed ? 'New recordings go to this track' : 'Record into this track';
+        armBtn.addEventListener('click', () => {
+            if (onTrackArm) onTrackArm(track.id);
+        });
+        header.appendChild(armBtn);
+
+        const name = document.createElement('span');
+        name.classList.add('rec-lane-name');
+        name.textContent = track.name;
+        name.title = 'Double-click to rename';
+        name.addEventListener('dblclick', () => {
+            const newName = prompt('Track name:', track.name);
+            if (newName && newName.trim() && onTrackChange) {
+                onTrackChange(track.id, { name: newName.trim() });
+            }
+        });
+        header.appendChild(name);
+
+        header.appendChild(_toggle('M', 'Mute', 'mute', track));
+        header.appendChild(_toggle('S', 'Solo', 'solo', track));
+
+        header.appendChild(_slider('Volume', 0, 100, Math.round(track.volume * 100),
+            v => ({ volume: v / 100 }), track));
+        header.appendChild(_slider('Pan', -100, 100, Math.round(track.pan * 100),
+            v => ({ pan: v / 100 }), track));
+
+        const fxBtn = document.createElement('button');
+        fxBtn.classList.add('rec-lane-toggle', 'fx');
+        if (track.fx) fxBtn.classList.add('active');
+        fxBtn.textContent = 'FX';
+        fxBtn.title = track.fx ? 'Track effects (on)' : 'Track effects';
+        fxBtn.addEventListener('click', () => {
+            if (onTrackFx) onTrackFx(track.id);
+        });
+        header.appendChild(fxBtn);
+
+        if (hasTakes) {
+            const takesBtn = document.createElement('button');
+            takesBtn.classList.add('rec-lane-takes');
+            if (expanded) takesBtn.classList.add('active');
+            takesBtn.textContent = expanded ? '▾ Takes' : '▸ Takes';
+            takesBtn.title = expanded ? 'Hide the take stack' : 'Show the take stack to pick or comp takes';
+            takesBtn.addEventListener('click', () => {
+                if (expanded) expandedTracks.delete(track.id);
+                else expandedTracks.add(track.id);
+                if (lastRender) render(lastRender.clips, lastRender.tracks, lastRender.armedId);
             });
-            el.appendChild(delBtn);
-
-            // Drag to move
-            el.addEventListener('mousedown', (e) => {
-                if (e.target === delBtn) return;
-                e.preventDefault();
-                dragClipId = clip.id;
-                dragStartX = e.clientX;
-                dragOriginalStart = clip.startTime;
-                el.classList.add('dragging');
+            header.appendChild(takesBtn);
+        }
+
+        if (removable) {
+            const removeBtn = document.createElement('button');
+            removeBtn.classList.add('rec-lane-remove');
+            removeBtn.innerHTML = '✕';
+            removeBtn.disabled = clipCount > 0;
+            removeBtn.title = clipCount > 0
+                ? `Move or delete this track's ${clipCount === 1 ? 'recording' : `${clipCount} recordings`} before removing it`
+                : 'Remove track';
+            removeBtn.addEventListener('click', () => {
+                if (onTrackRemove) onTrackRemove(track.id);
             });
+            header.appendChild(removeBtn);
+        }
 
-            // Tooltip on hover
-            el.title = `Recording at ${_formatTime(clip.startTime)} (${clip.duration.toFixed(1)}s) — drag to move, ✕ to delete`;
+        const bar = document.createElement('div');
+        bar.classList.add('rec-timeline-bar');
 
-            bar.appendChild(el);
+        lane.appendChild(header);
+        lane.appendChild(bar);
+        return lane;
+    }
+
+    function _toggle(text, title, key, track) {
+        const btn = document.createElement('button');
+        btn.classList.add('rec-lane-toggle', key);
+        if (track[key]) btn.classList.add('active');
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', () => {
+            if (onTrackChange) onTrackChange(track.id, { [key]: !track[key] });
         });
+        return btn;
     }
 
-    function _onMouseMove(e) {
-        if (dragClipId === null || !bar) return;
+    function _slider(title, min, max, value, toChanges, track) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.classList.add('rec-lane-slider');
+        input.min = min;
+        input.max = max;
+        input.value = value;
+        input.title = title;
+        input.addEventListener('input', () => {
+            if (onTrackChange) onTrackChange(track.id, toChanges(Number(input.value)), true);
+        });
+        input.addEventListener('change', () => {
+            if (onTrackChange) onTrackChange(track.id, toChanges(Number(input.value)));
+        });
+        // Double-click resets to the default (full volume / centre)
+        input.addEventListener('dblclick', () => {
+            input.value = min < 0 ? 0 : max;
+            if (onTrackChange) onTrackChange(track.id, toChanges(Number(input.value)));
+        });
+        return input;
+    }
+
+    /**
+     * comp: { stacked, expanded, row, spans } — whether the clip shares its slot with other takes,
+     * whether its lane shows the take stack, its row there, and where it's heard (video time).
+     */
+    function _renderClip(clip, comp) {
+        const leftPct = (clip.startTime / totalDuration) * 100;
+        const widthPct = (clip.duration / totalDuration) * 100;
+
+        const el = document.createElement('div');
+        el.classList.add('rec-clip');
+        el.dataset.clipId = clip.id;
+        if (clip.fx) el.classList.add('has-fx');
+        el.style.left = `${leftPct}%`;
+        el.style.width = `${Math.max(widthPct, 0.5)}%`; // min 0.5% visible
+
+        // Waveform (peaks are cached per buffer, so re-renders only redraw)
+        const wave = document.createElement('canvas');
+        wave.classList.add('rec-clip-wave');
+        el.appendChild(wave);
+        waveCanvases.push({ canvas: wave, clip });
+
+        // Time label
+        const label = document.createElement('span');
+        label.classList.add('rec-clip-label');
+        label.textContent = _formatTime(clip.startTime);
+        el.appendChild(label);
+
+        // Delete button
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('rec-clip-delete');
+        delBtn.innerHTML = '✕';
+        delBtn.title = 'Delete recording';
+        delBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (onClipDelete) onClipDelete(clip.id);
+        });
+        el.appendChild(delBtn);
+
+        // Fade overlays, with a grip at each top corner to drag the fade length
+        ['in', 'out'].forEach(side => {
+            const overlay = document.createElement('div');
+            overlay.classList.add('rec-clip-fade', side);
+            el.appendChild(overlay);
+
+            const grip = document.createElement('div');
+            grip.classList.add('rec-clip-fade-grip', side);
+            grip.title = `Drag to set fade-${side}`;
+            grip.dataset.mode = `fade-${side}`;
+            el.appendChild(grip);
+        });
+        _showFades(el, clip.duration, clip.fadeIn || 0, clip.fadeOut || 0);
+
+        if (comp.stacked) _showComp(el, clip, comp);
+
+        // Trim handles on both edges
+        ['start', 'end'].forEach(edge => {
+            const handle = document.createElement('div');
+            handle.classList.add('rec-clip-trim', edge);
+            handle.title = 'Drag to trim';
+            handle.dataset.mode = `trim-${edge}`;
+            el.appendChild(handle);
+        });
+
+        // Drag to move (sideways in time, up/down between lanes), or trim/fade from a handle
+        el.addEventListener('mousedown', (e) => {
+            if (e.target === delBtn) return;
+            e.preventDefault();
+            dragClipId = clip.id;
+            dragMode = e.target.dataset.mode || 'move';
+            dragClip = { ...clip };
+            dragStartX = e.clientX;
+            dragOriginalTrackId = Tracks.resolveTrackId(clip.trackId);
+            dragTrackId = dragOriginalTrackId;
+            dragPreview = null;
+            el.classList.add('dragging');
+        });
+
+        el.addEventListener('dblclick', (e) => {
+            if (e.target === delBtn) return;
+            if (onClipFx) onClipFx(clip.id);
+        });
+
+        // Tooltip on hover
+        el.title = `${clip.name || 'Recording'} at ${_formatTime(clip.startTime)} (${clip.duration.toFixed(1)}s) — drag to move, edges to trim, top corners to fade, double-click for effects, tuning and alignment, ✕ to delete`;
+        if (comp.stacked && comp.expanded) {
+            el.title += '; click the lower half to use this take, or drag across it to comp that part';
+        }
+
+        return el;
+    }
+
+    /**
+     * Take-stack display: expanded, each take gets its own row with the heard parts highlighted
+     * and a swipe strip; collapsed, each take is clipped to the parts that are heard.
+     */
+    function _showComp(el, clip, comp) {
+        const pct = (t) => ((t - clip.startTime) / clip.duration) * 100;
+
+        if (!comp.expanded) {
+            if (comp.spans.length === 0) {
+                el.classList.add('comp-unheard');
+                return;
+            }
+            const points = [];
+            comp.spans.forEach(([a, b]) => {
+                points.push(`${pct(a)}% calc(100% + 4px)`, `${pct(a)}% -4px`,
+                    `${pct(b)}% -4px`, `${pct(b)}% calc(100% + 4px)`);
+            });
+            el.style.clipPath = `polygon(${points.join(', ')})`;
+            return;
+        }
+
+        el.classList.add('take');
+        el.style.top = `${2 + comp.row * TAKE_ROW_HEIGHT}px`;
+        if (comp.spans.length === 0) el.classList.add('comp-unheard');
+
+        comp.spans.forEach(([a, b]) => {
+            const heard = document.createElement('div');
+            heard.classList.add('rec-clip-comp');
+            heard.style.left = `${pct(a)}%`;
+            heard.style.width = `${pct(b) - pct(a)}%`;
+            el.appendChild(heard);
+        });
+
+        const swipe = document.createElement('div');
+        swipe.classList.add('rec-clip-swipe');
+        swipe.dataset.mode = 'swipe';
+        el.appendChild(swipe);
+
+        const preview = document.createElement('div');
+        preview.classList.add('rec-clip-swipe-preview', 'hidden');
+        el.appendChild(preview);
+    }
+
+    function _showFades(el, duration, fadeIn, fadeOut) {
+        const pct = (t) => `${duration > 0 ? (t / duration) * 100 : 0}%`;
+        el.querySelector('.rec-clip-fade.in').style.width = pct(fadeIn);
+        el.querySelector('.rec-clip-fade.out').style.width = pct(fadeOut);
+        el.querySelector('.rec-clip-fade-grip.in').style.left = pct(fadeIn);
+        el.querySelector('.rec-clip-fade-grip.out').style.right = pct(fadeOut);
+    }
+
+    /**
+     * Lane under the given vertical position (the nearest one if between lanes).
+     */
+    function _laneAtY(clientY) {
+        const lanes = Array.from(lanesEl.querySelectorAll('.rec-lane'));
+        let best = null;
+        let bestDist = Infinity;
+        lanes.forEach(lane => {
+            const rect = lane.getBoundingClientRect();
+            const dist = clientY < rect.top ? rect.top - clientY
+                : clientY > rect.bottom ? clientY - rect.bottom : 0;
+            if (dist < bestDist) {
+                best = lane;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    function _timeAtX(clientX) {
+        const rect = lanesEl.querySelector('.rec-timeline-bar').getBoundingClientRect();
+        return ((clientX - rect.left) / rect.width) * totalDuration;
+    }
+
+    function _dragDelta(e) {
+        const bar = lanesEl.querySelector('.rec-timeline-bar');
         const rect = bar.getBoundingClientRect();
         const dx = e.clientX - dragStartX;
-        const timeDelta = (dx / rect.width) * totalDuration;
-        const newStart = Math.max(0, Math.min(dragOriginalStart + timeDelta, totalDuration));
+        return { dx, timeDelta: (dx / rect.width) * totalDuration };
+    }
+
+    const _clamp = (v, lo, hi) => Math.max(lo, Math.min(v, hi));
+
+    /**
+     * The edit a drag would make, e.g. { startTime } for a move or { trimStart, trimEnd } for a trim.
+     */
+    function _dragEdit(timeDelta) {
+        const c = dragClip;
+        const total = c.audioBuffer.duration;
+        const trimStart = c.trimStart || 0;
+        const trimEnd = c.trimEnd || 0;
+        const fadeIn = c.fadeIn || 0;
+        const fadeOut = c.fadeOut || 0;
+
+        switch (dragMode) {
+            case 'trim-start': {
+                const ts = _clamp(trimStart + timeDelta, Math.max(0, trimStart - c.startTime), total - trimEnd - MIN_CLIP_LENGTH);
+                return { trimStart: ts, trimEnd, startTime: c.startTime + ts - trimStart, duration: total - ts - trimEnd };
+            }
+            case 'trim-end': {
+                const te = _clamp(trimEnd - timeDelta, 0, total - trimStart - MIN_CLIP_LENGTH);
+                return { trimStart, trimEnd: te, startTime: c.startTime, duration: total - trimStart - te };
+            }
+            case 'fade-in':
+                return { fadeIn: _clamp(fadeIn + timeDelta, 0, c.duration - fadeOut), fadeOut };
+            case 'fade-out':
+                return { fadeIn, fadeOut: _clamp(fadeOut - timeDelta, 0, c.duration - fadeIn) };
+            case 'swipe': {
+                const pressed = _timeAtX(dragStartX);
+                const end = c.startTime + c.duration;
+                return {
+                    from: _clamp(Math.min(pressed, pressed + timeDelta), c.startTime, end),
+                    to: _clamp(Math.max(pressed, pressed + timeDelta), c.startTime, end),
+                };
+            }
+            default:
+                return { startTime: _clamp(c.startTime + timeDelta, 0, totalDuration) };
+        }
+    }
+
+    function _onMouseMove(e) {
+        if (dragClipId === null || !lanesEl) return;
+        const { timeDelta } = _dragDelta(e);
+        const edit = _dragEdit(timeDelta);
+        dragPreview = edit;
 
         // Visual preview
-        const el = bar.querySelector(`[data-clip-id="${dragClipId}"]`);
-        if (el) {
-            el.style.left = `${(newStart / totalDuration) * 100}%`;
+        const el = lanesEl.querySelector(`[data-clip-id="${dragClipId}"]`);
+        if (!el) return;
+
+        if (dragMode === 'fade-in' || dragMode === 'fade-out') {
+            _showFades(el, dragClip.duration, edit.fadeIn, edit.fadeOut);
+            return;
+        }
+
+        if (dragMode === 'swipe') {
+            const preview = el.querySelector('.rec-clip-swipe-preview');
+            preview.classList.remove('hidden');
+            preview.style.left = `${((edit.from - dragClip.startTime) / dragClip.duration) * 100}%`;
+            preview.style.width = `${((edit.to - edit.from) / dragClip.duration) * 100}%`;
+            return;
+        }
+
+        el.style.left = `${(edit.startTime / totalDuration) * 100}%`;
+        if (dragMode !== 'move') {
+            el.style.width = `${Math.max((edit.duration / totalDuration) * 100, 0.5)}%`;
+            return;
+        }
+
+        const lane = _laneAtY(e.clientY);
+        if (lane && Number(lane.dataset.trackId) !== dragTrackId) {
+            dragTrackId = Number(lane.dataset.trackId);
+            lane.querySelector('.rec-timeline-bar').appendChild(el);
         }
     }
 
     function _onMouseUp(e) {
-        if (dragClipId === null || !bar) return;
-
-        const rect = bar.getBoundingClientRect();
-        const dx = e.clientX - dragStartX;
-        const timeDelta = (dx / rect.width) * totalDuration;
-        const newStart = Math.max(0, Math.min(dragOriginalStart + timeDelta, totalDuration));
+        if (dragClipId === null || !lanesEl) return;
+        const { dx, timeDelta } = _dragDelta(e);
+        const edit = _dragEdit(timeDelta);
+        const moved = Math.abs(dx) > 3;
 
-        const el = bar.querySelector(`[data-clip-id="${dragClipId}"]`);
+        const el = lanesEl.querySelector(`[data-clip-id="${dragClipId}"]`);
         if (el) el.classList.remove('dragging');
 
-        if (onClipMove && Math.abs(dx) > 3) {
-            onClipMove(dragClipId, newStart);
+        if (dragMode === 'move') {
+            const trackChanged = dragTrackId !== dragOriginalTrackId;
+            if (onClipMove && (moved || trackChanged)) {
+                onClipMove(dragClipId, moved ? edit.startTime : dragClip.startTime, dragTrackId);
+            }
+        } else if (dragMode === 'swipe') {
+            if (el) el.querySelector('.rec-clip-swipe-preview').classList.add('hidden');
+            if (onClipComp) {
+                if (moved) onClipComp(dragClipId, edit.from, edit.to);
+                else onClipComp(dragClipId);
+            }
+        } else if (dragMode.startsWith('trim')) {
+            if (onClipTrim && moved) onClipTrim(dragClipId, edit.trimStart, edit.trimEnd);
+            else if (el && dragPreview) _restoreClipElement(el);
+        } else if (onClipFade && dragPreview) {
+            onClipFade(dragClipId, edit.fadeIn, edit.fadeOut);
         }
 
         dragClipId = null;
+        dragClip = null;
+        dragPreview = null;
+    }
+
+    function _restoreClipElement(el) {
+        el.style.left = `${(dragClip.startTime / totalDuration) * 100}%`;
+        el.style.width = `${Math.max((dragClip.duration / totalDuration) * 100, 0.5)}%`;
     }
 
     function setOnClipDelete(cb) { onClipDelete = cb; }
     function setOnClipMove(cb) { onClipMove = cb; }
+    function setOnClipTrim(cb) { onClipTrim = cb; }
+    function setOnClipFade(cb) { onClipFade = cb; }
+    function setOnClipComp(cb) { onClipComp = cb; }
+    function setOnClipFx(cb) { onClipFx = cb; }
+    function setOnTrackFx(cb) { onTrackFx = cb; }
+    function setOnTrackChange(cb) { onTrackChange = cb; }
+    function setOnTrackArm(cb) { onTrackArm = cb; }
+    function setOnTrackAdd(cb) { onTrackAdd = cb; }
+    function setOnTrackRemove(cb) { onTrackRemove = cb; }
 
     function _formatTime(seconds) {
         const m = Math.floor(seconds / 60);
@@ -131,5 +542,8 @@ const RecTimeline = (() => {
         return `${m}:${s.toString().padStart(2, '0')}`;
     }
 
-    return { init, setDuration, render, setOnClipDelete, setOnClipMove };
+    return {
+        init, setDuration, render, setOnClipDelete, setOnClipMove, setOnClipTrim, setOnClipFade, setOnClipComp,
+        setOnTrackChange, setOnTrackArm, setOnTrackAdd, setOnTrackRemove, setOnClipFx, setOnTrackFx,
+    };
 })();
@@ -7,45 +7,182 @@ const Recorder = (() => {
     let audioContext = null;
     let mediaStream = null;
     let mediaRecorder = null;
-    let clips = [];         // Array of { id, startTime, duration, audioBuffer }
+    let clips = [];         // Array of { id, name, trackId, startTime, duration, latencyOffset, trimStart, trimEnd, fadeIn, fadeOut, compRanges, fx, pitch, processing, audioBuffer, originalBuffer, processedBuffer }
     let nextClipId = 1;
     let isRecording = false;
     let recordStartTime = 0;
     let chunks = [];
+    let latencyCompensation = null; // (inputInfo) → seconds new takes are moved earlier
+    let silenceDetection = null;    // (audioBuffer, from, to) → { lead, trail } seconds of silence to trim
+
+    // Live input: the mic stream as a Web Audio node, with an analyser for level metering
+    let inputSource = null;
+    let inputAnalyser = null;
+    let levelData = null;
+
+    // Capture settings (remembered). Browser voice processing is off by default — it's tuned
+    // for speech and pumps or smears singing.
+    const MIC_STORAGE_KEY = 'thiptines_mic';
+    let micSettings = {
+        deviceId: null,             // null = system default
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+        channelCount: 1,            // 1 = mono, 2 = stereo
+    };
+
+    const MIN_CLIP_LENGTH = 0.05; // seconds — shortest clip a trim or split can leave
+    const PUNCH_FADE = 0.01;      // seconds — short fades so punched edges don't click
 
     // Callbacks
     let onRecordingComplete = null;
     let onRecordingStart = null;
     let onMicError = null;
+    let onInputChange = null;
+    let onDeviceLost = null;
 
     function init(ctx) {
         audioContext = ctx;
+        try {
+            const saved = JSON.parse(localStorage.getItem(MIC_STORAGE_KEY) || '{}');
+            micSettings = { ...micSettings, ...saved };
+        } catch (e) { /* ignore malformed saved settings */ }
     }
 
     /**
-     * Request microphone access. Returns true if granted.
+     * Request microphone access with the current settings. Returns true if granted.
+     * If the chosen device has gone, the default one is used instead (onDeviceLost is told).
      */
     async function requestMic() {
+        if (mediaStream) releaseMic();
+        const preferred = micSettings.deviceId;
         try {
-            mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                }
-            });
-            return true;
+            mediaStream = await _openStream(preferred);
         } catch (err) {
-            console.error('Mic access denied:', err);
-            if (onMicError) onMicError(err);
-            return false;
+            const missing = preferred && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError');
+            try {
+                if (!missing) throw err;
+                mediaStream = await _openStream(null);
+                if (onDeviceLost) onDeviceLost(preferred, false);
+            } catch (fallbackErr) {
+                console.error('Mic access denied:', fallbackErr);
+                if (onMicError) onMicError(fallbackErr);
+                return false;
+            }
         }
+
+        const track = mediaStream.getAudioTracks()[0];
+        if (track) track.addEventListener('ended', _onTrackEnded);
+        _openInput();
+        return true;
+    }
+
+    function _openStream(deviceId) {
+        return navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                echoCancellation: micSettings.echoCancellation,
+                noiseSuppression: micSettings.noiseSuppression,
+                autoGainControl: micSettings.autoGainControl,
+                channelCount: { ideal: micSettings.channelCount },
+            },
+        });
+    }
+
+    /**
+     * The device was unplugged (or revoked): keep what was recorded so far and close the mic.
+     */
+    function _onTrackEnded() {
+        const wasRecording = isRecording;
+        if (isRecording) stopRecording();
+        releaseMic();
+        if (onDeviceLost) onDeviceLost(micSettings.deviceId, wasRecording);
+    }
+
+    // ── Capture settings ──
+
+    function getMicSettings() {
+        return { ...micSettings };
+    }
+
+    /**
+     * Change capture settings ({ deviceId, echoCancellation, noiseSuppression, autoGainControl,
+     * channelCount }) and remember them. An open mic is re-acquired so they apply straight away.
+     * Resolves to false if the mic couldn't be re-opened.
+     */
+    async function setMicSettings(changes) {
+        Object.keys(micSettings).forEach(key => {
+            if (changes[key] !== undefined) micSettings[key] = changes[key];
+        });
+        localStorage.setItem(MIC_STORAGE_KEY, JSON.stringify(micSettings));
+
+        if (!mediaStream || isRecording) return true;
+        releaseMic();
+        return requestMic();
+    }
+
+    /**
+     * Audio inputs as [{ deviceId, label }]. Labels are only filled in once mic access is granted.
+     */
+    async function listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(d => d.kind === 'audioinput')
+            .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Microphone ${i + 1}` }));
+    }
+
+    /**
+     * Feed the mic stream into the audio graph for metering and monitoring.
+     */
+    function _openInput() {
+        _closeInput();
+        inputSource = audioContext.createMediaStreamSource(mediaStream);
+        inputAnalyser = audioContext.createAnalyser();
+        inputAnalyser.fftSize = 2048;
+        levelData = new Float32Array(inputAnalyser.fftSize);
+        inputSource.connect(inputAnalyser);
+        if (onInputChange) onInputChange(inputSource);
+    }
+
+    function _closeInput() {
+        if (!inputSource) return;
+        inputSource.disconnect();
+        inputSource = null;
+        inputAnalyser = null;
+        if (onInputChange) onInputChange(null);
+    }
+
+    /**
+     * The mic as a Web Audio node (null while the mic is closed).
+     */
+    function getInputNode() {
+        return inputSource;
+    }
+
+    /**
+     * Current input level as linear { peak, rms } over the analyser window, or null without a mic.
+     */
+    function getInputLevel() {
+        if (!inputAnalyser) return null;
+        inputAnalyser.getFloatTimeDomainData(levelData);
+        let peak = 0;
+        let sum = 0;
+        for (let i = 0; i < levelData.length; i++) {
+            const v = levelData[i];
+            const abs = Math.abs(v);
+            if (abs > peak) peak = abs;
+            sum += v * v;
+        }
+        return { peak, rms: Math.sqrt(sum / levelData.length) };
     }
 
     /**
      * Start recording from a given video time position.
+     * `meta` is merged into the resulting clip (e.g. { trackId }).
+     * With a `punch` range ({ in, out } in video time) only that part of the take is kept.
      */
-    async function startRecording(startTime) {
+    async function startRecording(startTime, meta = {}, punch = null) {
         if (isRecording) stopRecording();
 
         if (!mediaStream) {
@@ -53,29 +190,75 @@ const Recorder = (() => {
             if (!granted) return false;
         }
 
-        recordStartTime = startTime;
-        chunks = [];
-        isRecording = true;
-
-        mediaRecorder = new MediaRecorder(mediaStream, {
+        // Each take keeps its own recorder, chunks and start time, so a new take can begin
+        // (e.g. the next loop pass) while the previous one is still being decoded
+        const takeStart = startTime;
+        const offset = latencyCompensation ? latencyCompensation(getInputInfo()) || 0 : 0;
+        const takeChunks = [];
+        const recorder = new MediaRecorder(mediaStream, {
             mimeType: _getSupportedMimeType(),
         });
+        recordStartTime = startTime;
+        chunks = takeChunks;
+        mediaRecorder = recorder;
+        isRecording = true;
 
-        mediaRecorder.ondataavailable = (e) => {
-            if (e.data.size > 0) chunks.push(e.data);
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) takeChunks.push(e.data);
         };
 
-        mediaRecorder.onstop = async () => {
-            if (chunks.length === 0) return;
+        recorder.onstop = async () => {
+            if (mediaRecorder === recorder) isRecording = false;
+            if (takeChunks.length === 0) return;
 
-            const blob = new Blob(chunks, { type: mediaRecorder.mimeType });
+            const blob = new Blob(takeChunks, { type: recorder.mimeType });
             try {
                 const arrayBuffer = await blob.arrayBuffer();
                 const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+
+                // Compensate latency; audio that would land before the video starts is trimmed off
+                const shifted = takeStart - offset;
+                let trimStart = Math.min(Math.max(0, -shifted), Math.max(0, audioBuffer.duration - MIN_CLIP_LENGTH));
+                let clipStart = Math.max(0, shifted);
+                let duration = audioBuffer.duration - trimStart;
+                let fade = 0;
+
+                if (punch) {
+                    const from = Math.max(clipStart, punch.in);
+                    const to = Math.min(clipStart + duration, punch.out);
+                    if (to - from < MIN_CLIP_LENGTH) return; // nothing inside the punch range
+                    trimStart += from - clipStart;
+                    clipStart = from;
+                    duration = to - from;
+                    fade = PUNCH_FADE;
+                } else if (silenceDetection) {
+                    // Leave out the wait before the first note and after the last (still in the buffer)
+                    const silence = silenceDetection(audioBuffer, trimStart, trimStart + duration) || {};
+                    const lead = silence.lead || 0;
+                    const trail = silence.trail || 0;
+                    if (duration - lead - trail >= MIN_CLIP_LENGTH) {
+                        trimStart += lead;
+                        clipStart += lead;
+                        duration -= lead + trail;
+                    }
+                }
+
+                const id = nextClipId++;
                 const clip = {
-                    id: nextClipId++,
-                    startTime: recordStartTime,
-                    duration: audioBuffer.duration,
+                    id,
+                    name: `Take ${id}`,
+                    ...meta,
+                    startTime: clipStart,
+                    duration,
+                    latencyOffset: offset,
+                    trimStart,
+                    trimEnd: Math.max(0, audioBuffer.duration - trimStart - duration),
+                    fadeIn: fade,
+                    fadeOut: fade,
+                    compRanges: null,
+                    fx: null,           // null = only the track's effects
+                    pitch: null,        // pitch curve, filled in once the take is analysed
+                    processing: null,   // pitch correction / time-stretch settings (see ClipProcessor)
                     audioBuffer: audioBuffer,
                 };
                 clips.push(clip);
@@ -83,14 +266,48 @@ const Recorder = (() => {
             } catch (err) {
                 console.error('Failed to decode recorded audio:', err);
             }
-            isRecording = false;
         };
 
-        mediaRecorder.start(100); // collect in 100ms chunks
+        recorder.start(100); // collect in 100ms chunks
         if (onRecordingStart) onRecordingStart(startTime);
         return true;
     }
 
+    /**
+     * Record `seconds` from the microphone without making a clip (e.g. room tone).
+     * Resolves to an AudioBuffer, or null when there's no microphone access.
+     */
+    async function captureInput(seconds) {
+        if (!mediaStream) {
+            const granted = await requestMic();
+            if (!granted) return null;
+        }
+
+        const captured = [];
+        const recorder = new MediaRecorder(mediaStream, {
+            mimeType: _getSupportedMimeType(),
+        });
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) captured.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        recorder.start(100);
+        await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+        recorder.stop();
+        await stopped;
+
+        const blob = new Blob(captured, { type: recorder.mimeType });
+        return audioContext.decodeAudioData(await blob.arrayBuffer());
+    }
+
+    /**
+     * Whether the microphone is open.
+     */
+    function hasMic() {
+        return !!mediaStream;
+    }
+
     /**
      * Stop current recording.
      */
@@ -116,15 +333,180 @@ const Recorder = (() => {
     }
 
     /**
-     * Move a clip to a new start time.
+     * Move a clip to a new start time, and optionally onto another track.
      */
-    function moveClip(id, newStart) {
+    function moveClip(id, newStart, trackId) {
         const clip = clips.find(c => c.id === id);
         if (clip) {
             clip.startTime = Math.max(0, newStart);
+            if (trackId !== undefined) clip.trackId = trackId;
         }
     }
 
+    // ── Non-destructive edits ──
+    // A clip plays audioBuffer from trimStart to (buffer end − trimEnd); `duration` is that
+    // trimmed length and `startTime` is where the trimmed region begins on the video timeline.
+
+    /**
+     * Trim seconds off either end. Moving the in-point keeps the audio in place on the timeline.
+     */
+    function trimClip(id, trimStart, trimEnd) {
+        const clip = clips.find(c => c.id === id);
+        if (!clip) return;
+
+        const total = clip.audioBuffer.duration;
+        const oldStart = clip.trimStart || 0;
+        const end = Math.max(0, Math.min(trimEnd, total - MIN_CLIP_LENGTH));
+        const start = Math.max(0, oldStart - clip.startTime, Math.min(trimStart, total - end - MIN_CLIP_LENGTH));
+
+        clip.startTime += start - oldStart;
+        clip.trimStart = start;
+        clip.trimEnd = end;
+        clip.duration = total - start - end;
+        _clampFades(clip);
+    }
+
+    /**
+     * Set fade-in/fade-out lengths in seconds (together they never exceed the clip).
+     */
+    function setClipFades(id, fadeIn, fadeOut) {
+        const clip = clips.find(c => c.id === id);
+        if (!clip) return;
+        clip.fadeIn = Math.max(0, fadeIn);
+        clip.fadeOut = Math.max(0, fadeOut);
+        _clampFades(clip);
+    }
+
+    function _clampFades(clip) {
+        clip.fadeIn = Math.min(clip.fadeIn || 0, clip.duration);
+        clip.fadeOut = Math.min(clip.fadeOut || 0, clip.duration - clip.fadeIn);
+    }
+
+    /**
+     * Split a clip at a video time. The left part keeps the id; the right part is a new clip
+     * sharing the same audio. Returns the new clip, or null if the time isn't inside the clip.
+     */
+    function splitClip(id, time) {
+        const clip = clips.find(c => c.id === id);
+        if (!clip) return null;
+
+        const at = time - clip.startTime;
+        if (at < MIN_CLIP_LENGTH || at > clip.duration - MIN_CLIP_LENGTH) return null;
+
+        const newId = nextClipId++;
+        const right = {
+            ...clip,
+            id: newId,
+            name: `Take ${newId}`,
+            startTime: time,
+            duration: clip.duration - at,
+            trimStart: (clip.trimStart || 0) + at,
+            fadeIn: 0,
+        };
+        clip.trimEnd = (clip.trimEnd || 0) + (clip.duration - at);
+        clip.duration = at;
+        clip.fadeOut = 0;
+        _clampFades(clip);
+        _clampFades(right);
+
+        clips.splice(clips.indexOf(clip) + 1, 0, right);
+        return right;
+    }
+
+    // ── Comping ──
+    // Overlapping clips on a track are takes of one slot; see Comping for how the heard take is chosen.
+
+    /**
+     * Make a take the one heard between two video times (its whole length if omitted),
+     * taking that stretch away from the other takes in its slot.
+     */
+    function compTake(id, from, to) {
+        const changes = Comping.select(clips, id, from, to);
+        clips.forEach(clip => {
+            if (changes[clip.id] !== undefined) clip.compRanges = changes[clip.id];
+        });
+    }
+
+    /**
+     * The clips to play and export: only the comped parts of each take.
+     */
+    function getCompedClips() {
+        return Comping.resolve(clips);
+    }
+
+    /**
+     * Set a clip's own effects settings (null = only its track's effects).
+     */
+    function setClipEffects(id, fx) {
+        const clip = clips.find(c => c.id === id);
+        if (clip) clip.fx = fx;
+    }
+
+    // ── Processing (pitch correction / time-stretch) ──
+    // A processed clip plays `processedBuffer` and keeps the recording as made in `originalBuffer`.
+    // Trim and comp positions are in seconds of whichever buffer is playing, so they're rescaled
+    // whenever the clip switches between the two.
+
+    /**
+     * Play `buffer` instead of the clip's current one, keeping the same stretch of the performance.
+     */
+    function _swapBuffer(clip, buffer) {
+        if (!buffer || buffer === clip.audioBuffer) return;
+        const ratio = buffer.duration / clip.audioBuffer.duration;
+        clip.trimStart = Math.min((clip.trimStart || 0) * ratio, Math.max(0, buffer.duration - MIN_CLIP_LENGTH));
+        clip.duration = Math.max(MIN_CLIP_LENGTH, Math.min(clip.duration * ratio, buffer.duration - clip.trimStart));
+        clip.trimEnd = Math.max(0, buffer.duration - clip.trimStart - clip.duration);
+        if (Array.isArray(clip.compRanges)) {
+            clip.compRanges = clip.compRanges.map(([a, b]) => [a * ratio, b * ratio]);
+        }
+        clip.audioBuffer = buffer;
+        clip.pitch = null;  // the curve describes the buffer that plays; it's worked out again
+        _clampFades(clip);
+    }
+
+    /**
+     * The recording as made and its trim start in seconds of that recording.
+     */
+    function getOriginalAudio(id) {
+        const clip = clips.find(c => c.id === id);
+        if (!clip) return null;
+        const original = clip.originalBuffer || clip.audioBuffer;
+        const ratio = original.duration / clip.audioBuffer.duration;
+        return { audioBuffer: original, trimStart: (clip.trimStart || 0) * ratio };
+    }
+
+    /**
+     * Switch a clip to a newly processed buffer, made from getOriginalAudio() with `processing`.
+     */
+    function applyProcessing(id, processing, processedBuffer) {
+        const clip = clips.find(c => c.id === id);
+        if (!clip) return;
+        const original = clip.originalBuffer || clip.audioBuffer;
+        _swapBuffer(clip, original);
+        clip.originalBuffer = original;
+        clip.processedBuffer = processedBuffer;
+        clip.processing = { ...processing, enabled: true };
+        _swapBuffer(clip, processedBuffer);
+    }
+
+    /**
+     * Switch between the processed audio and the original.
+     */
+    function setProcessingEnabled(id, enabled) {
+        const clip = clips.find(c => c.id === id);
+        if (!clip || !clip.processing || !clip.processedBuffer) return;
+        clip.processing = { ...clip.processing, enabled: !!enabled };
+        _swapBuffer(clip, enabled ? clip.processedBuffer : clip.originalBuffer);
+    }
+
+    /**
+     * Store a clip's pitch curve (see Pitch), which covers its whole audio buffer.
+     */
+    function setClipPitch(id, pitch) {
+        const clip = clips.find(c => c.id === id);
+        if (clip) clip.pitch = pitch;
+    }
+
     /**
      * Get a specific clip by id.
      */
@@ -132,6 +514,34 @@ const Recorder = (() => {
         return clips.find(c => c.id === id) || null;
     }
 
+    /**
+     * Insert or replace a clip by id (used by undo/redo to bring back an earlier state).
+     */
+    function putClip(clip) {
+        clips = clips.filter(c => c.id !== clip.id);
+        clips.push({ ...clip });
+        clips.sort((a, b) => a.id - b.id);
+        nextClipId = Math.max(nextClipId, clip.id + 1);
+    }
+
+    /**
+     * Replace all clips with previously saved ones (e.g. restored from ClipStore).
+     */
+    function restoreClips(restored) {
+        clips = restored.map(c => ({
+            trimStart: 0, trimEnd: 0, fadeIn: 0, fadeOut: 0, compRanges: null, fx: null, pitch: null,
+            processing: null, originalBuffer: null, processedBuffer: null, ...c,
+        }));
+        nextClipId = clips.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+    }
+
+    /**
+     * Remove every clip.
+     */
+    function clearClips() {
+        clips = [];
+    }
+
     /**
      * Check if any recordings exist.
      */
@@ -145,6 +555,8 @@ const Recorder = (() => {
     function setOnRecordingComplete(cb) { onRecordingComplete = cb; }
     function setOnRecordingStart(cb) { onRecordingStart = cb; }
     function setOnMicError(cb) { onMicError = cb; }
+    function setOnInputChange(cb) { onInputChange = cb; }
+    function setOnDeviceLost(cb) { onDeviceLost = cb; }
 
     /**
      * Find a supported MIME type for MediaRecorder.
@@ -162,21 +574,52 @@ const Recorder = (() => {
         return ''; // let browser choose default
     }
 
+    /**
+     * Set how latency compensation is worked out. `fn` receives getInputInfo() once the mic is
+     * open and returns the seconds by which the new take is moved earlier.
+     */
+    function setLatencyCompensation(fn) {
+        latencyCompensation = fn;
+    }
+
+    /**
+     * Set how leading and trailing silence is found in new takes (not punch-ins). `fn` receives
+     * the decoded audio and the stretch of it kept so far (seconds), and returns { lead, trail }.
+     */
+    function setSilenceDetection(fn) {
+        silenceDetection = fn;
+    }
+
+    /**
+     * The open microphone's device id and reported input latency (nulls before access is granted).
+     */
+    function getInputInfo() {
+        const track = mediaStream ? mediaStream.getAudioTracks()[0] : null;
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return { deviceId: settings.deviceId || null, latency: settings.latency || 0 };
+    }
+
     /**
      * Release microphone stream.
      */
     function releaseMic() {
+        _closeInput();
         if (mediaStream) {
+            mediaStream.getAudioTracks().forEach(t => t.removeEventListener('ended', _onTrackEnded));
             mediaStream.getTracks().forEach(t => t.stop());
             mediaStream = null;
         }
     }
 
     return {
-        init, requestMic, startRecording, stopRecording,
-        getAllClips, deleteClip, moveClip, getClip, hasRecordings,
-        getIsRecording, getRecordStartTime,
-        setOnRecordingComplete, setOnRecordingStart, setOnMicError,
+        init, requestMic, hasMic, startRecording, stopRecording, captureInput,
+        getAllClips, deleteClip, moveClip, trimClip, setClipFades, splitClip, getClip, hasRecordings,
+        compTake, getCompedClips, setClipEffects, setClipPitch,
+        getOriginalAudio, applyProcessing, setProcessingEnabled,
+        putClip, restoreClips, clearClips,
+        getIsRecording, getRecordStartTime, setLatencyCompensation, setSilenceDetection, getInputInfo,
+        getInputNode, getInputLevel, getMicSettings, setMicSettings, listInputDevices,
+        setOnRecordingComplete, setOnRecordingStart, setOnMicError, setOnInputChange, setOnDeviceLost,
         releaseMic,
     };
 })();
@@ -1,6 +1,7 @@
 /**
  * Thiptine's Day — Timeline Module
- * Simple continuous progress bar with click-to-seek.
+ * Continuous progress bar with click-to-seek and optional labelled segment blocks.
+ * Also shows the punch-in/out region, whose markers can be dragged.
  */
 
 const Timeline = (() => {
@@ -8,22 +9,227 @@ const Timeline = (() => {
     let bar = null;
     let progressEl = null;
     let tooltipEl = null;
+    let waveformEl = null;
+    let waveformPeaks = null;
+    let resizeObserver = null;
     let totalDuration = 0;
+    let segments = [];      // Array of { index, label, start, end, instrumental, recordable }
+    let segmentEls = [];
+    let activeIndex = -1;
     let onSeek = null;
     let isDragging = false;
 
-    function init(duration) {
+    // Punch-in/out region (video time); markers are dragged independently of seeking
+    let punchRange = null;  // { in, out } or null
+    let punchEl = null;
+    let punchMarkers = {};  // 'in' | 'out' → element
+    let punchDrag = null;   // marker being dragged
+    let onPunchChange = null;
+
+    const MIN_PUNCH = 0.5;    // seconds — shortest punch region a marker drag can leave
+
+    function init(duration, segmentConfig = []) {
         container = document.getElementById('timeline-container');
         bar = document.getElementById('timeline-bar');
         progressEl = document.getElementById('timeline-progress');
         tooltipEl = document.getElementById('timeline-tooltip');
+        waveformEl = document.getElementById('timeline-waveform');
         totalDuration = duration || 0;
+        segments = _normalizeSegments(segmentConfig, totalDuration);
 
+        _renderSegments();
+        _createPunchElements();
+        _renderPunch();
         _bindEvents();
+
+        // Redraw the waveform from cached peaks when the bar changes size
+        if (!resizeObserver && waveformEl && window.ResizeObserver) {
+            resizeObserver = new ResizeObserver(() => _drawWaveform());
+            resizeObserver.observe(bar);
+        }
+    }
+
+    /**
+     * Show the original audio's waveform under the progress bar, from its peaks (Waveform.getPeaks).
+     */
+    function setWaveform(peaks) {
+        waveformPeaks = peaks;
+        _drawWaveform();
+    }
+
+    function _drawWaveform() {
+        if (!waveformEl || !waveformPeaks) return;
+        Waveform.draw(waveformEl, waveformPeaks, {
+            color: 'rgba(212, 160, 176, 0.35)',
+            to: totalDuration || waveformPeaks.duration,
+        });
     }
 
     function setDuration(d) {
         totalDuration = d;
+        _renderPunch();
+    }
+
+    // ── Punch region ──
+
+    function _createPunchElements() {
+        if (punchEl) return;
+        punchEl = document.createElement('div');
+        punchEl.classList.add('timeline-punch', 'hidden');
+        bar.appendChild(punchEl);
+
+        ['in', 'out'].forEach(edge => {
+            const marker = document.createElement('div');
+            marker.classList.add('timeline-punch-marker', edge, 'hidden');
+            marker.title = edge === 'in' ? 'Punch in (drag to move)' : 'Punch out (drag to move)';
+            marker.addEventListener('mousedown', (e) => {
+                e.stopPropagation(); // don't seek
+                e.preventDefault();
+                punchDrag = edge;
+            });
+            marker.addEventListener('touchstart', (e) => {
+                e.stopPropagation();
+                punchDrag = edge;
+            }, { passive: true });
+            bar.appendChild(marker);
+            punchMarkers[edge] = marker;
+        });
+
+        const move = (clientX) => {
+            const time = _timeFromClientX(clientX);
+            if (punchDrag === 'in') punchRange.in = Math.min(time, punchRange.out - MIN_PUNCH);
+            else punchRange.out = Math.max(time, punchRange.in + MIN_PUNCH);
+            punchRange.in = Math.max(0, punchRange.in);
+            punchRange.out = Math.min(totalDuration, punchRange.out);
+            _renderPunch();
+        };
+        const end = () => {
+            if (!punchDrag) return;
+            punchDrag = null;
+            if (onPunchChange) onPunchChange(getPunchRange());
+        };
+
+        document.addEventListener('mousemove', (e) => {
+            if (punchDrag && punchRange) move(e.clientX);
+        });
+        document.addEventListener('mouseup', end);
+        document.addEventListener('touchmove', (e) => {
+            if (punchDrag && punchRange && e.touches.length) move(e.touches[0].clientX);
+        }, { passive: true });
+        document.addEventListener('touchend', end);
+    }
+
+    function _renderPunch() {
+        if (!punchEl) return;
+        const visible = !!punchRange && totalDuration > 0;
+        punchEl.classList.toggle('hidden', !visible);
+        punchMarkers.in.classList.toggle('hidden', !visible);
+        punchMarkers.out.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const left = (punchRange.in / totalDuration) * 100;
+        const right = (punchRange.out / totalDuration) * 100;
+        punchEl.style.left = `${left}%`;
+        punchEl.style.width = `${right - left}%`;
+        punchMarkers.in.style.left = `${left}%`;
+        punchMarkers.out.style.left = `${right}%`;
+    }
+
+    /**
+     * Show a punch region ({ in, out } in seconds), or hide it with null.
+     */
+    function setPunchRange(range) {
+        punchRange = range && range.out > range.in ? { in: range.in, out: range.out } : null;
+        _renderPunch();
+    }
+
+    function getPunchRange() {
+        return punchRange ? { ...punchRange } : null;
+    }
+
+    function setOnPunchChange(cb) { onPunchChange = cb; }
+
+    /**
+     * Resolve the configured segment list into absolute start/end times.
+     * Missing starts follow the previous segment; missing ends run to the next segment or video end.
+     */
+    function _normalizeSegments(list, duration) {
+        if (!Array.isArray(list)) return [];
+
+        const resolved = [];
+        let cursor = 0;
+        list.forEach((seg, i) => {
+            const start = typeof seg.start === 'number' ? seg.start : cursor;
+            let end = null;
+            if (typeof seg.end === 'number') end = seg.end;
+            else if (typeof seg.duration === 'number') end = start + seg.duration;
+
+            resolved.push({
+                index: i,
+                label: seg.label || `Segment ${i + 1}`,
+                start,
+                end,
+                instrumental: seg.instrumental || null,
+                recordable: seg.recordable !== undefined ? !!seg.recordable : true,
+            });
+            cursor = end !== null ? end : start;
+        });
+
+        resolved.forEach((seg, i) => {
+            if (seg.end === null) {
+                const next = resolved[i + 1];
+                seg.end = next ? next.start : duration;
+            }
+            if (duration) {
+                seg.start = Math.min(seg.start, duration);
+                seg.end = Math.min(seg.end, duration);
+            }
+        });
+
+        return resolved.filter(seg => seg.end > seg.start);
+    }
+
+    function _renderSegments() {
+        segmentEls.forEach(el => el.remove());
+        segmentEls = [];
+        activeIndex = -1;
+        if (!totalDuration || segments.length === 0) return;
+
+        segments.forEach((seg, i) => {
+            const el = document.createElement('div');
+            el.classList.add('timeline-segment');
+            if (seg.instrumental) el.classList.add('has-instrumental');
+            if (seg.recordable) el.classList.add('recordable');
+            el.style.left = `${(seg.start / totalDuration) * 100}%`;
+            el.style.width = `${((seg.end - seg.start) / totalDuration) * 100}%`;
+            el.style.setProperty('--seg-color', `var(--seg-${(i % 8) + 1})`);
+
+            const num = document.createElement('span');
+            num.classList.add('seg-number');
+            num.textContent = i + 1;
+            el.appendChild(num);
+
+            const label = document.createElement('span');
+            label.classList.add('seg-label');
+            label.textContent = seg.label;
+            el.appendChild(label);
+
+            // The number and label jump to the segment's start; the rest of the bar seeks exactly
+            [num, label].forEach(target => {
+                target.title = `Jump to ${seg.label}`;
+                target.addEventListener('mousedown', (e) => {
+                    e.stopPropagation();
+                    if (onSeek) onSeek(seg.start);
+                });
+                target.addEventListener('touchstart', (e) => {
+                    e.stopPropagation();
+                    if (onSeek) onSeek(seg.start);
+                }, { passive: true });
+            });
+
+            bar.appendChild(el);
+            segmentEls.push(el);
+        });
     }
 
     function _bindEvents() {
@@ -66,21 +272,21 @@ const Timeline = (() => {
         });
     }
 
+    function _timeFromClientX(clientX) {
+        const rect = bar.getBoundingClientRect();
+        const x = Math.max(0, Math.min(clientX - rect.left, rect.width));
+        return (x / rect.width) * totalDuration;
+    }
+
     function _seekFromEvent(e) {
         if (!totalDuration) return;
-        const rect = bar.getBoundingClientRect();
-        const x = Math.max(0, Math.min(e.clientX - rect.left, rect.width));
-        const pct = x / rect.width;
-        const time = pct * totalDuration;
+        const time = _timeFromClientX(e.clientX);
         if (onSeek) onSeek(time);
     }
 
     function _seekFromTouch(e) {
         if (!totalDuration || !e.touches.length) return;
-        const rect = bar.getBoundingClientRect();
-        const x = Math.max(0, Math.min(e.touches[0].clientX - rect.left, rect.width));
-        const pct = x / rect.width;
-        const time = pct * totalDuration;
+        const time = _timeFromClientX(e.touches[0].clientX);
         if (onSeek) onSeek(time);
     }
 
@@ -88,10 +294,12 @@ const Timeline = (() => {
         if (!totalDuration) return;
         const rect = bar.getBoundingClientRect();
         const x = Math.max(0, Math.min(e.clientX - rect.left, rect.width));
-        const pct = x / rect.width;
-        const time = pct * totalDuration;
+        const time = (x / rect.width) * totalDuration;
 
-        tooltipEl.textContent = _formatTime(time);
+        const seg = getSegmentAt(time);
+        tooltipEl.textContent = seg
+            ? `${seg.index + 1}. ${seg.label} · ${_formatTime(time)}`
+            : _formatTime(time);
         tooltipEl.classList.add('visible');
         tooltipEl.style.left = `${x}px`;
     }
@@ -100,6 +308,29 @@ const Timeline = (() => {
         if (!totalDuration) return;
         const pct = (currentTime / totalDuration) * 100;
         progressEl.style.width = `${Math.min(pct, 100)}%`;
+
+        const seg = getSegmentAt(currentTime);
+        const idx = seg ? segments.indexOf(seg) : -1;
+        if (idx !== activeIndex) {
+            if (segmentEls[activeIndex]) segmentEls[activeIndex].classList.remove('active');
+            if (segmentEls[idx]) segmentEls[idx].classList.add('active');
+            activeIndex = idx;
+        }
+    }
+
+    /**
+     * Segment containing the given time, or null.
+     */
+    function getSegmentAt(time) {
+        return segments.find(seg => time >= seg.start && time < seg.end) || null;
+    }
+
+    function getSegments() {
+        return segments.slice();
+    }
+
+    function hasSegments() {
+        return segments.length > 0;
     }
 
     function setOnSeek(cb) { onSeek = cb; }
@@ -110,5 +341,9 @@ const Timeline = (() => {
         return `${m}:${s.toString().padStart(2, '0')}`;
     }
 
-    return { init, setDuration, update, setOnSeek };
+    return {
+        init, setDuration, update, setOnSeek, setWaveform,
+        getSegmentAt, getSegments, hasSegments,
+        setPunchRange, getPunchRange, setOnPunchChange,
+    };
 })();
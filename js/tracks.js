@@ -0,0 +1,122 @@
+/**
+ * Thiptine's Day — Tracks Module
+ * Named recording tracks (lanes) with mute/solo, volume, pan and an effects chain (see Effects).
+ * New recordings go to the armed track. Settings are remembered in localStorage.
+ */
+
+const Tracks = (() => {
+    const STORAGE_KEY = 'thiptines_tracks';
+
+    let tracks = [];        // Array of { id, name, volume, pan, mute, solo, fx }
+    let armedId = null;
+    let nextTrackId = 1;
+
+    function init() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        } catch (e) { /* ignore malformed saved tracks */ }
+
+        if (saved && Array.isArray(saved.tracks) && saved.tracks.length > 0) {
+            replaceAll(saved.tracks, saved.armedId);
+        } else {
+            replaceAll([{ id: 1, name: 'Lead' }]);
+        }
+    }
+
+    function _normalize(track) {
+        return {
+            id: track.id,
+            name: track.name || `Track ${track.id}`,
+            volume: typeof track.volume === 'number' ? track.volume : 1,
+            pan: typeof track.pan === 'number' ? track.pan : 0,
+            mute: !!track.mute,
+            solo: !!track.solo,
+            fx: track.fx && typeof track.fx === 'object' ? track.fx : null,
+        };
+    }
+
+    function _save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ tracks, armedId }));
+    }
+
+    /**
+     * Replace every track (e.g. when opening a project).
+     */
+    function replaceAll(list, armed) {
+        tracks = list.filter(t => Number.isInteger(t.id) && t.id > 0).map(_normalize);
+        if (tracks.length === 0) tracks = [_normalize({ id: 1, name: 'Lead' })];
+        nextTrackId = tracks.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+        armedId = tracks.some(t => t.id === armed) ? armed : tracks[0].id;
+        _save();
+    }
+
+    function getAll() {
+        return tracks.map(t => ({ ...t }));
+    }
+
+    function get(id) {
+        const track = tracks.find(t => t.id === id);
+        return track ? { ...track } : null;
+    }
+
+    /**
+     * Map a clip's trackId onto an existing track (older clips have none).
+     */
+    function resolveTrackId(id) {
+        return tracks.some(t => t.id === id) ? id : tracks[0].id;
+    }
+
+    function add(name) {
+        const id = nextTrackId++;
+        const harmonies = tracks.filter(t => /^Harmony \d+$/.test(t.name)).length;
+        tracks.push(_normalize({ id, name: name || `Harmony ${harmonies + 1}` }));
+        _save();
+        return id;
+    }
+
+    function remove(id) {
+        if (tracks.length <= 1) return false;
+        tracks = tracks.filter(t => t.id !== id);
+        if (armedId === id) armedId = tracks[0].id;
+        _save();
+        return true;
+    }
+
+    /**
+     * Update name, volume (0-1), pan (-1..1), mute, solo or fx (effects settings, null = dry).
+     */
+    function update(id, changes) {
+        const track = tracks.find(t => t.id === id);
+        if (!track) return;
+        ['name', 'volume', 'pan', 'mute', 'solo', 'fx'].forEach(key => {
+            if (changes[key] !== undefined) track[key] = changes[key];
+        });
+        _save();
+    }
+
+    function arm(id) {
+        if (!tracks.some(t => t.id === id)) return;
+        armedId = id;
+        _save();
+    }
+
+    function getArmedId() {
+        return armedId;
+    }
+
+    /**
+     * Effective { gain, pan } of a track after mute/solo are applied.
+     */
+    function getMix(id) {
+        const track = tracks.find(t => t.id === resolveTrackId(id));
+        const anySolo = tracks.some(t => t.solo);
+        const audible = !track.mute && (!anySolo || track.solo);
+        return { gain: audible ? track.volume : 0, pan: track.pan };
+    }
+
+    return {
+        init, replaceAll, getAll, get, resolveTrackId,
+        add, remove, update, arm, getArmedId, getMix,
+    };
+})();
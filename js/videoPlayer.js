@@ -9,6 +9,12 @@ const VideoPlayer = (() => {
     let onEnded = null;
     let onLoadedMetadata = null;
 
+    // Volume = user volume × fade level (fade is used to cross-fade with the instrumental)
+    let baseVolume = 1;
+    let fadeLevel = 1;
+    let fadeTarget = 1;
+    let fadeFrame = null;
+
     function init(selector = '#bg-video') {
         videoEl = document.querySelector(selector);
         videoEl.muted = false;
@@ -46,6 +52,21 @@ const VideoPlayer = (() => {
         videoEl.currentTime = time;
     }
 
+    /**
+     * Seek and resolve once the new position is ready to play from.
+     */
+    function seekAndWait(time) {
+        if (!videoEl) return Promise.resolve();
+        return new Promise(resolve => {
+            if (Math.abs(videoEl.currentTime - time) < 0.001) {
+                resolve();
+                return;
+            }
+            videoEl.addEventListener('seeked', () => resolve(), { once: true });
+            videoEl.currentTime = time;
+        });
+    }
+
     function getTime() {
         return videoEl ? videoEl.currentTime : 0;
     }
@@ -56,11 +77,35 @@ const VideoPlayer = (() => {
 
     function setVolume(vol) {
         if (!videoEl) return;
-        videoEl.volume = Math.max(0, Math.min(1, vol));
+        baseVolume = Math.max(0, Math.min(1, vol));
+        _applyVolume();
     }
 
     function getVolume() {
-        return videoEl ? videoEl.volume : 1;
+        return baseVolume;
+    }
+
+    function _applyVolume() {
+        videoEl.volume = Math.max(0, Math.min(1, baseVolume * fadeLevel));
+    }
+
+    /**
+     * Fade the video's own audio to a level (0-1) relative to the user volume.
+     */
+    function fadeTo(level, ms = 300) {
+        if (!videoEl || level === fadeTarget) return;
+        fadeTarget = level;
+        if (fadeFrame) cancelAnimationFrame(fadeFrame);
+
+        const from = fadeLevel;
+        const t0 = performance.now();
+        function step(now) {
+            const p = ms > 0 ? Math.min(1, (now - t0) / ms) : 1;
+            fadeLevel = from + (level - from) * p;
+            _applyVolume();
+            fadeFrame = p < 1 ? requestAnimationFrame(step) : null;
+        }
+        fadeFrame = requestAnimationFrame(step);
     }
 
     function setMuted(muted) {
@@ -89,8 +134,8 @@ const VideoPlayer = (() => {
     function setOnLoadedMetadata(cb) { onLoadedMetadata = cb; }
 
     return {
-        init, play, pause, seek,
-        getTime, getDuration, setVolume, getVolume,
+        init, play, pause, seek, seekAndWait,
+        getTime, getDuration, setVolume, getVolume, fadeTo,
         setMuted, isMuted, isPlaying, isReady, getElement,
         setOnTimeUpdate, setOnEnded, setOnLoadedMetadata,
     };
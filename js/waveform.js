@@ -0,0 +1,88 @@
+/**
+ * Thiptine's Day — Waveform Module
+ * Computes peak data from AudioBuffers (cached per buffer) and draws it onto canvases.
+ * Peaks are kept at a fixed resolution so redraws at any width only re-bin cached data.
+ */
+
+const Waveform = (() => {
+    const PEAKS_PER_SECOND = 200;
+
+    const cache = new WeakMap();   // AudioBuffer → { min: Float32Array, max: Float32Array, rate, duration }
+
+    /**
+     * Min/max peaks for a buffer across all channels, computed once per buffer.
+     * They can be kept in place of the buffer and passed to draw() later.
+     */
+    function getPeaks(audioBuffer) {
+        let peaks = cache.get(audioBuffer);
+        if (peaks) return peaks;
+
+        const samplesPerPeak = Math.max(1, Math.round(audioBuffer.sampleRate / PEAKS_PER_SECOND));
+        const count = Math.ceil(audioBuffer.length / samplesPerPeak);
+        const min = new Float32Array(count);
+        const max = new Float32Array(count);
+
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            const data = audioBuffer.getChannelData(ch);
+            for (let p = 0; p < count; p++) {
+                const from = p * samplesPerPeak;
+                const to = Math.min(from + samplesPerPeak, data.length);
+                let lo = min[p];
+                let hi = max[p];
+                for (let i = from; i < to; i++) {
+                    const v = data[i];
+                    if (v < lo) lo = v;
+                    if (v > hi) hi = v;
+                }
+                min[p] = lo;
+                max[p] = hi;
+            }
+        }
+
+        peaks = { min, max, rate: audioBuffer.sampleRate / samplesPerPeak, duration: audioBuffer.duration };
+        cache.set(audioBuffer, peaks);
+        return peaks;
+    }
+
+    /**
+     * Draw a buffer's waveform (or peaks from getPeaks) to fill a canvas.
+     * options: { color, from, to } — from/to select a time range of the buffer in seconds.
+     */
+    function draw(canvas, audioBuffer, options = {}) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+        const height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (!audioBuffer) return;
+
+        const { min, max, rate, duration } = audioBuffer.min ? audioBuffer : getPeaks(audioBuffer);
+        const from = Math.max(0, options.from || 0);
+        const to = Math.min(duration, options.to !== undefined ? options.to : duration);
+        if (to <= from) return;
+
+        const first = from * rate;
+        const perPixel = ((to - from) * rate) / width;
+        const mid = height / 2;
+
+        ctx.fillStyle = options.color || 'rgba(253, 121, 168, 0.6)';
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(first + x * perPixel);
+            const end = Math.max(start + 1, Math.floor(first + (x + 1) * perPixel));
+            let lo = 0;
+            let hi = 0;
+            for (let p = start; p < end && p < min.length; p++) {
+                if (min[p] < lo) lo = min[p];
+                if (max[p] > hi) hi = max[p];
+            }
+            const top = mid - Math.min(1, hi) * mid;
+            const bottom = mid - Math.max(-1, lo) * mid;
+            ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+        }
+    }
+
+    return { getPeaks, draw };
+})();
@@ -0,0 +1,273 @@
+/**
+ * Thiptine's Day — WebM Muxer Module
+ * Minimal in-memory Matroska/WebM writer for WebCodecs output:
+ * an optional video track (VP8/VP9) and an optional Opus audio track, with a SeekHead
+ * and Cues so the resulting file is seekable.
+ */
+
+const WebmMuxer = (() => {
+
+    // Element IDs (with their length-marker bits)
+    const ID = {
+        EBML: 0x1A45DFA3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42F7,
+        EBMLMaxIDLength: 0x42F2, EBMLMaxSizeLength: 0x42F3,
+        DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+        Segment: 0x18538067,
+        SeekHead: 0x114D9B74, Seek: 0x4DBB, SeekID: 0x53AB, SeekPosition: 0x53AC,
+        Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489,
+        MuxingApp: 0x4D80, WritingApp: 0x5741,
+        Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackUID: 0x73C5,
+        TrackType: 0x83, CodecID: 0x86, CodecPrivate: 0x63A2,
+        Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+        Audio: 0xE1, SamplingFrequency: 0xB5, Channels: 0x9F,
+        Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3,
+        Cues: 0x1C53BB6B, CuePoint: 0xBB, CueTime: 0xB3,
+        CueTrackPositions: 0xB7, CueTrack: 0xF7, CueClusterPosition: 0xF1,
+    };
+
+    const VIDEO_TRACK = 1;
+    const AUDIO_TRACK = 2;
+    const MAX_CLUSTER_MS = 5000;
+
+    /**
+     * Create a muxer.
+     * video: { codec: 'V_VP9' | 'V_VP8', width, height } or null for audio-only files
+     * audio: { codec: 'A_OPUS', sampleRate, channels, codecPrivate } or null
+     */
+    function create({ video, audio }) {
+        const videoChunks = [];
+        const audioChunks = [];
+
+        function addVideoChunk(chunk) {
+            videoChunks.push(_copyChunk(chunk));
+        }
+
+        function addAudioChunk(chunk) {
+            audioChunks.push(_copyChunk(chunk));
+        }
+
+        /**
+         * Assemble the file. Returns a Blob (video/webm unless another type is given).
+         */
+        function finalize(mimeType = 'video/webm') {
+            const blocks = [
+                ...videoChunks.map(c => ({ ...c, track: VIDEO_TRACK })),
+                ...audioChunks.map(c => ({ ...c, track: AUDIO_TRACK, isKey: true })),
+            ].sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+
+            const durationMs = blocks.reduce((max, b) => Math.max(max, (b.timestamp + b.duration) / 1000), 0);
+
+            const info = _element(ID.Info, [
+                _uint(ID.TimecodeScale, 1000000),
+                _float(ID.Duration, durationMs),
+                _string(ID.MuxingApp, 'thiptines-day'),
+                _string(ID.WritingApp, 'thiptines-day'),
+            ]);
+            const tracks = _element(ID.Tracks, _trackEntries(video, audio));
+
+            // Clusters start at video keyframes (or when a cluster grows too long).
+            // Audio-only files get a cue for every cluster.
+            const cueTrack = video ? VIDEO_TRACK : AUDIO_TRACK;
+            const clusters = [];
+            let current = null;
+            blocks.forEach(block => {
+                const ms = Math.round(block.timestamp / 1000);
+                const isCuePoint = block.track === cueTrack && block.isKey;
+                const startNew = !current
+                    || (video && isCuePoint && ms > current.timecode)
+                    || ms - current.timecode >= MAX_CLUSTER_MS;
+                if (startNew) {
+                    current = { timecode: ms, hasKey: isCuePoint, parts: [] };
+                    clusters.push(current);
+                }
+                current.parts.push(_simpleBlock(block, ms - current.timecode));
+            });
+
+            const clusterElements = clusters.map(c => _element(ID.Cluster, [
+                _uint(ID.Timecode, c.timecode),
+                ...c.parts,
+            ]));
+
+            // Layout: SeekHead | Info | Tracks | Clusters… | Cues (positions relative to segment data)
+            const seekHeadSize = _length(_seekHead(0, 0, 0));
+            const infoPos = seekHeadSize;
+            const tracksPos = infoPos + _length(info);
+            let pos = tracksPos + _length(tracks);
+            const cuePoints = [];
+            clusters.forEach((c, i) => {
+                if (c.hasKey) {
+                    cuePoints.push(_element(ID.CuePoint, [
+                        _uint(ID.CueTime, c.timecode),
+                        _element(ID.CueTrackPositions, [
+                            _uint(ID.CueTrack, cueTrack),
+                            _uint(ID.CueClusterPosition, pos),
+                        ]),
+                    ]));
+                }
+                pos += _length(clusterElements[i]);
+            });
+            const cuesPos = pos;
+            const cues = _element(ID.Cues, cuePoints);
+
+            const segmentBody = [
+                _seekHead(infoPos, tracksPos, cuesPos),
+                info,
+                tracks,
+                ...clusterElements,
+                cues,
+            ];
+
+            const header = _element(ID.EBML, [
+                _uint(ID.EBMLVersion, 1),
+                _uint(ID.EBMLReadVersion, 1),
+                _uint(ID.EBMLMaxIDLength, 4),
+                _uint(ID.EBMLMaxSizeLength, 8),
+                _string(ID.DocType, 'webm'),
+                _uint(ID.DocTypeVersion, 4),
+                _uint(ID.DocTypeReadVersion, 2),
+            ]);
+
+            return new Blob([...header, ..._element(ID.Segment, segmentBody)], { type: mimeType });
+        }
+
+        return { addVideoChunk, addAudioChunk, finalize };
+    }
+
+    function _copyChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        return {
+            data,
+            timestamp: chunk.timestamp,
+            duration: chunk.duration || 0,
+            isKey: chunk.type === 'key',
+        };
+    }
+
+    function _trackEntries(video, audio) {
+        const entries = [];
+        if (video) {
+            entries.push(_element(ID.TrackEntry, [
+                _uint(ID.TrackNumber, VIDEO_TRACK),
+                _uint(ID.TrackUID, VIDEO_TRACK),
+                _uint(ID.TrackType, 1),
+                _string(ID.CodecID, video.codec),
+                _element(ID.Video, [
+                    _uint(ID.PixelWidth, video.width),
+                    _uint(ID.PixelHeight, video.height),
+                ]),
+            ]));
+        }
+
+        if (audio) {
+            const fields = [
+                _uint(ID.TrackNumber, AUDIO_TRACK),
+                _uint(ID.TrackUID, AUDIO_TRACK),
+                _uint(ID.TrackType, 2),
+                _string(ID.CodecID, audio.codec),
+            ];
+            if (audio.codecPrivate) fields.push(_bytes(ID.CodecPrivate, audio.codecPrivate));
+            fields.push(_element(ID.Audio, [
+                _float(ID.SamplingFrequency, audio.sampleRate),
+                _uint(ID.Channels, audio.channels),
+            ]));
+            entries.push(_element(ID.TrackEntry, fields));
+        }
+        return entries;
+    }
+
+    function _seekHead(infoPos, tracksPos, cuesPos) {
+        const seek = (id, position) => _element(ID.Seek, [
+            _bytes(ID.SeekID, _idBytes(id)),
+            _uint(ID.SeekPosition, position, 8), // fixed width so the SeekHead size is known up front
+        ]);
+        return _element(ID.SeekHead, [
+            seek(ID.Info, infoPos),
+            seek(ID.Tracks, tracksPos),
+            seek(ID.Cues, cuesPos),
+        ]);
+    }
+
+    function _simpleBlock(block, relativeMs) {
+        const header = new Uint8Array(4);
+        header[0] = 0x80 | block.track;            // track number as 1-byte vint
+        header[1] = (relativeMs >> 8) & 0xff;      // int16 relative timecode
+        header[2] = relativeMs & 0xff;
+        header[3] = block.isKey ? 0x80 : 0x00;
+        return _element(ID.SimpleBlock, [[header, block.data]]);
+    }
+
+    // ── EBML encoding ──
+    // An element is an array of Uint8Array parts (nested arrays are flattened).
+
+    function _element(id, children) {
+        const parts = _flatten(children);
+        const size = parts.reduce((sum, p) => sum + p.byteLength, 0);
+        return [_idBytes(id), _vint(size), ...parts];
+    }
+
+    function _flatten(list) {
+        const out = [];
+        (function walk(items) {
+            items.forEach(item => (Array.isArray(item) ? walk(item) : out.push(item)));
+        })(list);
+        return out;
+    }
+
+    function _length(element) {
+        return element.reduce((sum, p) => sum + p.byteLength, 0);
+    }
+
+    function _idBytes(id) {
+        const bytes = [];
+        let n = id;
+        while (n > 0) {
+            bytes.unshift(n & 0xff);
+            n = Math.floor(n / 256);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    function _vint(value) {
+        let length = 1;
+        while (length < 8 && value >= Math.pow(2, 7 * length) - 1) length++;
+        const bytes = new Uint8Array(length);
+        let n = value;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = n & 0xff;
+            n = Math.floor(n / 256);
+        }
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    }
+
+    function _uint(id, value, width) {
+        let length = width || 1;
+        if (!width) {
+            while (length < 8 && value >= Math.pow(2, 8 * length)) length++;
+        }
+        const bytes = new Uint8Array(length);
+        let n = value;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = n & 0xff;
+            n = Math.floor(n / 256);
+        }
+        return _element(id, [bytes]);
+    }
+
+    function _float(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return _element(id, [bytes]);
+    }
+
+    function _string(id, str) {
+        return _element(id, [new TextEncoder().encode(str)]);
+    }
+
+    function _bytes(id, data) {
+        return _element(id, [data instanceof Uint8Array ? data : new Uint8Array(data)]);
+    }
+
+    return { create };
+})();
@@ -0,0 +1,105 @@
+/**
+ * Thiptine's Day — Zip Writer Module
+ * Minimal uncompressed ("stored") zip archive builder.
+ * WAV audio barely compresses, so storing keeps it simple and fast.
+ */
+
+const ZipWriter = (() => {
+    let crcTable = null;
+
+    function create() {
+        const entries = [];   // { nameBytes, size, crc, offset, time, date }
+        let offset = 0;
+        const parts = [];
+
+        /**
+         * Add a file. `data` is a Uint8Array, ArrayBuffer or string.
+         */
+        function addFile(name, data) {
+            const bytes = typeof data === 'string'
+                ? new TextEncoder().encode(data)
+                : data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+            const nameBytes = new TextEncoder().encode(name);
+            const crc = _crc32(bytes);
+            const { time, date } = _dosDateTime(new Date());
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);   // local file header signature
+            header.setUint16(4, 20, true);           // version needed
+            header.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+            header.setUint16(8, 0, true);            // method: stored
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, bytes.length, true);
+            header.setUint32(22, bytes.length, true);
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);
+
+            parts.push(new Uint8Array(header.buffer), nameBytes, bytes);
+            entries.push({ nameBytes, size: bytes.length, crc, offset, time, date });
+            offset += 30 + nameBytes.length + bytes.length;
+        }
+
+        /**
+         * Write the central directory and return the archive as a Blob.
+         */
+        function finalize() {
+            const central = [];
+            let centralSize = 0;
+            entries.forEach(entry => {
+                const header = new DataView(new ArrayBuffer(46));
+                header.setUint32(0, 0x02014b50, true);   // central directory signature
+                header.setUint16(4, 20, true);           // version made by
+                header.setUint16(6, 20, true);           // version needed
+                header.setUint16(8, 0x0800, true);
+                header.setUint16(10, 0, true);
+                header.setUint16(12, entry.time, true);
+                header.setUint16(14, entry.date, true);
+                header.setUint32(16, entry.crc, true);
+                header.setUint32(20, entry.size, true);
+                header.setUint32(24, entry.size, true);
+                header.setUint16(28, entry.nameBytes.length, true);
+                header.setUint32(42, entry.offset, true);
+                central.push(new Uint8Array(header.buffer), entry.nameBytes);
+                centralSize += 46 + entry.nameBytes.length;
+            });
+
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);          // end of central directory signature
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+        }
+
+        return { addFile, finalize };
+    }
+
+    function _crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function _dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+        };
+    }
+
+    return { create };
+})();